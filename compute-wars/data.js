@@ -78,7 +78,14 @@ export const MARKETS = {
       datasets: 1.0,
       talent: 1.1      // +10% on talent
     },
+    depth: { h100: 120, h200: 100, b100: 60, compute: 400, datasets: 150, talent: 50 },  // Units to move price 100%
+    spread: { h100: 0.04, h200: 0.04, b100: 0.08, compute: 0.02, datasets: 0.04, talent: 0.08 },  // Ask-bid gap as share of mid
+    brokerageFee: 0.01,  // Share of each trade's value
+    warehouse: { capacity: 20, rent: 500, raidRisk: 0.02 },  // Slots, rent per turn, chance per turn of a break-in
+    currency: 'USD',  // CURRENCIES id trades here settle in
+    savingsRate: 0.005,  // Interest per turn on money saved with local banks
     customsRisk: 0.05,  // Low risk
+    tariffs: {},  // Share of trade value charged on buys and sells, by good
     restrictedGoods: {},  // No restrictions
     description: 'Stable prices, high volume, strict regulations.'
   },
@@ -94,9 +101,16 @@ export const MARKETS = {
       datasets: 1.4,   // +40% on datasets (GDPR scarcity = high demand)
       talent: 1.0
     },
+    depth: { h100: 80, h200: 70, b100: 40, compute: 300, datasets: 60, talent: 40 },
+    spread: { h100: 0.05, h200: 0.05, b100: 0.09, compute: 0.03, datasets: 0.10, talent: 0.08 },
+    brokerageFee: 0.015,
+    warehouse: { capacity: 20, rent: 400, raidRisk: 0.03 },
+    currency: 'EUR',
+    savingsRate: 0.003,
     customsRisk: 0.08,
+    tariffs: { compute: 0.02 },  // Digital services levy
     restrictedGoods: {
-      datasets: { seizureRisk: 0.25, pricePremium: 1.4 }  // 25% seizure risk, 40% higher prices
+      datasets: { seizureRisk: 0.25, pricePremium: 1.4, duty: 0.20, license: { cost: 8000, turns: 10 } }  // 25% seizure risk, 40% higher prices
     },
     description: 'Data privacy restrictions. Datasets risky but lucrative.'
   },
@@ -112,11 +126,18 @@ export const MARKETS = {
       datasets: 1.0,
       talent: 0.85
     },
+    depth: { h100: 50, h200: 40, b100: 25, compute: 250, datasets: 120, talent: 60 },
+    spread: { h100: 0.12, h200: 0.14, b100: 0.18, compute: 0.03, datasets: 0.05, talent: 0.08 },
+    brokerageFee: 0.02,
+    warehouse: { capacity: 25, rent: 300, raidRisk: 0.07 },  // Cheap space, frequent raids
+    currency: 'CNY',
+    savingsRate: 0.012,  // Best yield, shakiest banks
     customsRisk: 0.15,
+    tariffs: { datasets: 0.05, talent: 0.03 },
     restrictedGoods: {
-      h100: { seizureRisk: 0.30, pricePremium: 1.5 },   // 30% seizure, 50% premium
-      h200: { seizureRisk: 0.35, pricePremium: 1.6 },   // 35% seizure, 60% premium
-      b100: { seizureRisk: 0.45, pricePremium: 1.8 }    // 45% seizure, 80% premium
+      h100: { seizureRisk: 0.30, pricePremium: 1.5, duty: 0.25, license: { cost: 40000, turns: 8 } },   // 30% seizure, 50% premium
+      h200: { seizureRisk: 0.35, pricePremium: 1.6, duty: 0.30, license: { cost: 50000, turns: 8 } },   // 35% seizure, 60% premium
+      b100: { seizureRisk: 0.45, pricePremium: 1.8, duty: 0.40, license: { cost: 80000, turns: 6 } }    // 45% seizure, 80% premium
     },
     description: 'Export controls on GPUs. High risk, high reward.'
   },
@@ -132,12 +153,83 @@ export const MARKETS = {
       datasets: 1.1,
       talent: 1.15
     },
+    depth: { h100: 100, h200: 90, b100: 50, compute: 300, datasets: 150, talent: 50 },
+    spread: { h100: 0.02, h200: 0.02, b100: 0.04, compute: 0.01, datasets: 0.02, talent: 0.04 },  // Hub liquidity
+    brokerageFee: 0.005,
+    warehouse: { capacity: 30, rent: 700, raidRisk: 0.01 },
+    currency: 'SGD',
+    savingsRate: 0.007,
     customsRisk: 0.03,  // Lowest risk
+    tariffs: {},  // Free port
     restrictedGoods: {},  // No restrictions - safe haven
     description: 'Trading hub, no restrictions, premium prices.'
   }
 };
 
+// Money the markets trade in. rate is US dollars per unit, the level exchange
+// rates drift around each turn; volatility is the largest move in one turn.
+export const CURRENCIES = {
+  USD: { id: 'USD', name: 'US Dollar', symbol: '$', rate: 1, volatility: 0 },
+  EUR: { id: 'EUR', name: 'Euro', symbol: '€', rate: 1.08, volatility: 0.02 },
+  CNY: { id: 'CNY', name: 'Chinese Yuan', symbol: '¥', rate: 0.14, volatility: 0.03 },
+  SGD: { id: 'SGD', name: 'Singapore Dollar', symbol: 'S$', rate: 0.74, volatility: 0.015 }
+};
+
+// Travel time (turns) and fare between markets. Routes are symmetric and
+// looked up either way round; pairs not listed use CONFIG.defaultRoute.
+export const ROUTES = {
+  'us-west': {
+    'eu-central': { turns: 1, cost: 800 },
+    'china-east': { turns: 2, cost: 1200 },
+    'singapore': { turns: 2, cost: 1200 }
+  },
+  'eu-central': {
+    'china-east': { turns: 2, cost: 1000 },
+    'singapore': { turns: 2, cost: 1000 }
+  },
+  'china-east': {
+    'singapore': { turns: 1, cost: 500 }
+  }
+};
+
+// How cargo travels. Each mode adjusts the route's turns, adds freight per
+// unit carried, scales customs seizure odds and may damage cargo en route.
+export const SHIPPING_MODES = {
+  air: {
+    id: 'air',
+    name: 'Air Freight',
+    icon: '[✈]',
+    turnsModifier: 0,
+    freightPerUnit: 150,
+    customsMultiplier: 1.0,
+    damageChance: 0.03,
+    maxUnits: null,  // No limit
+    description: 'Standard speed and inspection odds.'
+  },
+  sea: {
+    id: 'sea',
+    name: 'Sea Freight',
+    icon: '[≈]',
+    turnsModifier: 1,
+    freightPerUnit: 30,
+    customsMultiplier: 0.7,  // Containers are spot-checked, not all opened
+    damageChance: 0.10,
+    maxUnits: null,
+    description: 'Cheap and lightly inspected, but slow and rough on cargo.'
+  },
+  courier: {
+    id: 'courier',
+    name: 'Private Courier',
+    icon: '[◆]',
+    turnsModifier: -1,
+    freightPerUnit: 600,
+    customsMultiplier: 0.3,  // Hand-carried, rarely searched
+    damageChance: 0,
+    maxUnits: 5,
+    description: 'Fast and discreet, but pricey and only carries 5 units.'
+  }
+};
+
 export const SUPPLY_LEVELS = {
   surplus: {
     id: 'surplus',
@@ -298,6 +390,44 @@ export const MILESTONES = {
   }
 };
 
+// Random events. Each template describes what it does; the engine has one
+// generic interpreter, so a new event needs data only.
+//
+// odds - optional, what moves the chance of firing each turn from `probability`:
+//   reputation - weight on the reputation modifier (CONFIG.reputationEventModifier per
+//                point from 50); positive makes it likelier with good standing
+//   wealth     - { per, max }: adds net worth / per, up to max
+//   shield     - { upgrade, chance }: owning the upgrade stops it this share of the time
+//   source     - 'customs': only rolls in transit with cargo, at the destination's
+//                customs risk plus heat instead of `probability`
+//
+// Rolled when the event fires (and substituted into the text):
+//   goodPool - where {good} comes from: list of ids, 'held' or 'sanctioned' (default: all goods)
+//   percent  - [min, max] integer range for {percent}
+//   amount   - { range: [min, max], of?: 'balance' | 'netWorth' } for {amount}
+//   {market} is always a random market's name
+//   {delay} is the notice given for policy effects (CONFIG.policyNotice)
+//
+// effects - applied in order. goods: 'rolled' (default) | 'all' | [ids];
+//           markets: 'all' (default) | 'rolled' | [ids]
+//   { type: 'price', goods, markets, multiplier }          fixed price multiplier
+//   { type: 'price', goods, markets, direction }           'up'/'down' by {percent}
+//   { type: 'price_shock', goods, markets, percent }       random move up to ±percent per market
+//   { type: 'money', direction }                           gain/lose {amount} (cash only, savings are safe)
+//   { type: 'bank_failure', markets }                      lose {percent}% of savings held in the markets
+//                                                          ({amount}, from the rolled {market}; skipped if none)
+//   { type: 'seize', fraction: [min, max] }                lose part of the rolled held good ({quantity})
+//   { type: 'policy', change, goods, markets, rate? }     announce a trade-policy change that takes
+//       effect in {delay} turns: 'sanction' / 'lift_sanction' (trading bans) or 'tariff' (rate,
+//       default {percent}%; 0 scraps it). Skipped if it wouldn't change the rules
+//   { type: 'opportunity', kind, duration }                'premium_sell'/'discount_buy' on {good} by {percent}
+//   { type: 'capacity', delta, duration }                  temporary change in cargo slots
+//   { type: 'condition', kind, goods, markets, duration, label, factor | delta }
+//       market condition lasting `duration` turns, shown in the market panel:
+//       'base_shift' (factor on the price prices drift toward), 'volatility' (factor on
+//       supply volatility) or 'customs' (delta added to customs risk)
+const GPUS = ['h100', 'h200', 'b100'];
+
 export const EVENTS = {
   // Market shift events
   nvidia_announcement: {
@@ -305,33 +435,78 @@ export const EVENTS = {
     type: 'market_shift',
     title: 'NVIDIA Announcement',
     templates: [
-      { text: 'NVIDIA announces next-gen architecture. {good} prices dropping {percent}% globally.', effect: 'drop' },
-      { text: 'NVIDIA reports supply shortage. {good} prices rising {percent}% globally.', effect: 'rise' },
-      { text: 'NVIDIA beats earnings expectations. All GPU prices up {percent}%.', effect: 'rise_all' }
+      {
+        text: 'NVIDIA announces next-gen architecture. {good} prices dropping {percent}% globally.',
+        percent: [10, 29],
+        effects: [{ type: 'price', direction: 'down' }]
+      },
+      {
+        text: 'NVIDIA reports supply shortage. {good} prices rising {percent}% globally.',
+        percent: [10, 29],
+        effects: [
+          { type: 'price', direction: 'up' },
+          { type: 'condition', kind: 'base_shift', factor: 1.15, duration: 3, label: 'NVIDIA supply shortage' }
+        ]
+      },
+      {
+        text: 'NVIDIA beats earnings expectations. All GPU prices up {percent}%.',
+        percent: [10, 29],
+        effects: [{ type: 'price', goods: GPUS, direction: 'up' }]
+      }
     ],
-    probability: 0.08
+    probability: 0.08,
+    odds: { reputation: -0.5 }  // Good standing keeps the market calmer
   },
   datacenter_news: {
     id: 'datacenter_news',
     type: 'market_shift',
     title: 'Datacenter News',
     templates: [
-      { text: 'Major cloud expansion announced. Compute demand surging.', effect: 'compute_rise' },
-      { text: 'Datacenter fire in Virginia. Cloud credits spiking.', effect: 'compute_spike' },
-      { text: 'Energy crisis affecting datacenters. Compute prices volatile.', effect: 'compute_volatile' }
+      {
+        text: 'Major cloud expansion announced. Compute demand surging.',
+        effects: [{ type: 'price', goods: ['compute'], multiplier: 1.3 }]
+      },
+      {
+        text: 'Datacenter fire in Virginia. Cloud credits spiking.',
+        effects: [
+          { type: 'price', goods: ['compute'], multiplier: 1.3 },
+          { type: 'condition', kind: 'base_shift', goods: ['compute'], factor: 1.3, duration: 4, label: 'Virginia datacenter outage' }
+        ]
+      },
+      {
+        text: 'Energy crisis affecting datacenters. Compute prices volatile.',
+        effects: [
+          { type: 'price_shock', goods: ['compute'], percent: 25 },
+          { type: 'condition', kind: 'volatility', goods: ['compute'], factor: 3, duration: 3, label: 'Datacenter energy crisis' }
+        ]
+      }
     ],
-    probability: 0.07
+    probability: 0.07,
+    odds: { reputation: -0.5 }
   },
   ai_breakthrough: {
     id: 'ai_breakthrough',
     type: 'market_shift',
     title: 'AI Breakthrough',
     templates: [
-      { text: 'Major AI lab publishes breakthrough paper. Talent demand soaring.', effect: 'talent_rise' },
-      { text: 'New training technique reduces compute needs. Compute prices falling.', effect: 'compute_drop' },
-      { text: 'Open-source model released. Dataset prices dropping.', effect: 'datasets_drop' }
+      {
+        text: 'Major AI lab publishes breakthrough paper. Talent demand soaring.',
+        effects: [
+          { type: 'price', goods: ['talent'], multiplier: 1.25 },
+          { type: 'condition', kind: 'base_shift', goods: ['talent'], factor: 1.2, duration: 3, label: 'AI talent war' }
+        ]
+      },
+      {
+        text: 'New training technique reduces compute needs. Compute prices falling.',
+        effects: [{ type: 'price', goods: ['compute'], multiplier: 0.75 }]
+      },
+      {
+        text: 'Open-source model released. Dataset prices dropping.',
+        effects: [{ type: 'price', goods: ['datasets'], multiplier: 0.7 }]
+      }
     ],
-    probability: 0.05
+    probability: 0.05,
+    odds: { reputation: -0.5 }
   },
   // Regulation events
   export_ban: {
@@ -339,9 +514,40 @@ export const EVENTS = {
     type: 'regulation',
     title: 'Export Restrictions',
     templates: [
-      { text: 'US tightens export controls. {good} now restricted in China.', market: 'china-east' },
-      { text: 'EU data regulations expanded. Datasets restricted in EU Central.', market: 'eu-central' },
-      { text: 'Export ban lifted on {good}. Trade freely again.', effect: 'unrestrict' }
+      {
+        text: 'US tightens export controls. {good} sanctioned in China in {delay} turns.',
+        goodPool: GPUS,
+        effects: [
+          { type: 'policy', change: 'sanction', markets: ['china-east'] },
+          { type: 'condition', kind: 'customs', markets: ['china-east'], delta: 0.1, duration: 5, label: 'Export control crackdown' }
+        ]
+      },
+      {
+        text: 'EU data regulations expanding. Datasets sanctioned in EU Central in {delay} turns.',
+        effects: [{ type: 'policy', change: 'sanction', goods: ['datasets'], markets: ['eu-central'] }]
+      },
+      {
+        text: 'Sanctions on {good} to be lifted in {delay} turns.',
+        goodPool: 'sanctioned',
+        effects: [{ type: 'policy', change: 'lift_sanction' }]
+      }
+    ],
+    probability: 0.05
+  },
+  trade_policy: {
+    id: 'trade_policy',
+    type: 'regulation',
+    title: 'Trade Policy',
+    templates: [
+      {
+        text: '{market} announces a {percent}% tariff on {good}, effective in {delay} turns.',
+        percent: [5, 15],
+        effects: [{ type: 'policy', change: 'tariff', markets: 'rolled' }]
+      },
+      {
+        text: '{market} will scrap its tariff on {good} in {delay} turns.',
+        effects: [{ type: 'policy', change: 'tariff', rate: 0, markets: 'rolled' }]
+      }
     ],
     probability: 0.05
   },
@@ -351,10 +557,19 @@ export const EVENTS = {
     type: 'customs',
     title: 'Customs Seizure',
     templates: [
-      { text: 'Shipment intercepted at border. Lost {quantity}x {good}.', effect: 'seize' },
-      { text: 'Customs inspection delayed shipment. Minor fees incurred.', effect: 'fee' }
+      {
+        text: 'Shipment intercepted at border. Lost {quantity}x {good}.',
+        goodPool: 'held',
+        effects: [{ type: 'seize', fraction: [0.1, 0.4] }]
+      },
+      {
+        text: 'Customs inspection delayed shipment. Minor fees incurred: ${amount}.',
+        amount: { range: [1000, 5000] },
+        effects: [{ type: 'money', direction: 'down' }]
+      }
     ],
-    probability: 0.10  // Modified by market risk and travel
+    probability: 0.10,  // Unused: customs odds come from the destination
+    odds: { source: 'customs', reputation: -1, shield: { upgrade: 'insurance', chance: 0.5 } }
   },
   // Hack events
   exchange_hack: {
@@ -362,10 +577,38 @@ export const EVENTS = {
     type: 'hack',
     title: 'Security Breach',
     templates: [
-      { text: 'Exchange hack detected. Lost ${amount} from your account.', effect: 'money_loss' },
-      { text: 'Phishing attack on your credentials. Minor security fees.', effect: 'small_fee' }
+      {
+        text: 'Exchange hack detected. Lost ${amount} from your account.',
+        amount: { range: [0.05, 0.20], of: 'balance' },
+        effects: [{ type: 'money', direction: 'down' }]
+      },
+      {
+        text: 'Phishing attack on your credentials. Minor security fees: ${amount}.',
+        amount: { range: [0.01, 0.03], of: 'balance' },
+        effects: [{ type: 'money', direction: 'down' }]
+      }
     ],
-    probability: 0.03
+    probability: 0.03,
+    odds: { reputation: 0.5, shield: { upgrade: 'security', chance: 0.5 } }
+  },
+  // Bank events
+  bank_failure: {
+    id: 'bank_failure',
+    type: 'bank',
+    title: 'Bank Failure',
+    templates: [
+      {
+        text: 'A run on {market} banks. Deposit insurance only goes so far: lost ${amount} of your savings there.',
+        percent: [30, 70],
+        effects: [{ type: 'bank_failure', markets: 'rolled' }]
+      },
+      {
+        text: '{market} regulators seize a lender with bad GPU loans. {percent}% haircut on your deposits there (${amount}).',
+        percent: [10, 30],
+        effects: [{ type: 'bank_failure', markets: 'rolled' }]
+      }
+    ],
+    probability: 0.02
   },
   // Audit events
   tax_audit: {
@@ -373,10 +616,18 @@ export const EVENTS = {
     type: 'audit',
     title: 'Tax Audit',
     templates: [
-      { text: 'Tax authorities investigating. Pay ${amount} fine.', effect: 'fine' },
-      { text: 'Compliance review required. Operations slowed.', effect: 'slow' }
+      {
+        text: 'Tax authorities investigating. Pay ${amount} fine.',
+        amount: { range: [0.02, 0.07], of: 'netWorth' },
+        effects: [{ type: 'money', direction: 'down' }]
+      },
+      {
+        text: 'Compliance review required. Operations slowed: -3 cargo slots for 3 turns.',
+        effects: [{ type: 'capacity', delta: -3, duration: 3 }]
+      }
     ],
-    probability: 0.05
+    probability: 0.05,
+    odds: { reputation: 0.5, wealth: { per: 10000000, max: 0.05 } }  // Higher wealth = more audits
   },
   // Opportunity events
   bulk_buyer: {
@@ -384,10 +635,19 @@ export const EVENTS = {
     type: 'opportunity',
     title: 'Opportunity',
     templates: [
-      { text: 'Bulk buyer seeking {good}. Sell now for +{percent}% premium!', effect: 'premium_sell' },
-      { text: 'Desperate seller offloading {good}. Buy at -{percent}% discount!', effect: 'discount_buy' }
+      {
+        text: 'Bulk buyer seeking {good}. Sell now for +{percent}% premium!',
+        percent: [20, 49],
+        effects: [{ type: 'opportunity', kind: 'premium_sell', duration: 3 }]
+      },
+      {
+        text: 'Desperate seller offloading {good}. Buy at -{percent}% discount!',
+        percent: [20, 49],
+        effects: [{ type: 'opportunity', kind: 'discount_buy', duration: 3 }]
+      }
     ],
-    probability: 0.10
+    probability: 0.10,
+    odds: { reputation: 1 }
   },
   // Windfall events
   windfall: {
@@ -395,11 +655,12 @@ export const EVENTS = {
     type: 'windfall',
     title: 'Windfall',
     templates: [
-      { text: 'Research grant received. +${amount}!', effect: 'money_gain' },
-      { text: 'Investment returns arrived. +${amount}!', effect: 'money_gain' },
-      { text: 'Old invoice finally paid. +${amount}!', effect: 'money_gain' }
+      { text: 'Research grant received. +${amount}!', amount: { range: [10000, 40000] }, effects: [{ type: 'money', direction: 'up' }] },
+      { text: 'Investment returns arrived. +${amount}!', amount: { range: [10000, 40000] }, effects: [{ type: 'money', direction: 'up' }] },
+      { text: 'Old invoice finally paid. +${amount}!', amount: { range: [10000, 40000] }, effects: [{ type: 'money', direction: 'up' }] }
     ],
-    probability: 0.02
+    probability: 0.02,
+    odds: { reputation: 1 }
   }
 };
 
@@ -481,18 +742,193 @@ export const TRAVEL_CHOICES = {
   }
 };
 
-// Oracle predictions
+// Firms posting forward contracts on market boards: deliver N of a good to
+// a market by a deadline at a fixed price. Terms come from CONFIG.contract*.
+export const COUNTERPARTIES = [
+  'Helios Labs',
+  'Northwind AI',
+  'Quanta Cloud',
+  'Baidu-adjacent Holdings',
+  'Sovereign Compute Fund',
+  'Stealth Startup (Series B)',
+  'Frankfurt Model Works',
+  'Lion City Datacenters'
+];
+
+// Who will lend you money. Each loan carries the lender's per-turn rate and
+// falls due after its term; past due, the late penalty is added every turn,
+// and once the grace turns run out a secured lender seizes cargo (valued at
+// the global price less CONFIG.collateralHaircut) toward the balance.
+// Lending is capped at maxAmount per lender and at netWorthMultiple times
+// net worth across all your loans. Enforcement scales the odds of the
+// COLLECTIONS stages once a loan runs late.
+export const LENDERS = {
+  bank: {
+    id: 'bank',
+    name: 'First Silicon Bank',
+    maxAmount: 25000,
+    netWorthMultiple: 1.0,
+    rate: 0.03,
+    term: 12,
+    latePenalty: 0.05,
+    graceTurns: 2,
+    secured: true,
+    enforcement: 0.3,
+    description: 'Cheap and patient, but lends little and takes cargo if you default.'
+  },
+  vc: {
+    id: 'vc',
+    name: 'Bridge Round Capital',
+    maxAmount: 60000,
+    netWorthMultiple: 2.0,
+    rate: 0.06,
+    term: 6,
+    latePenalty: 0.10,
+    graceTurns: 1,
+    secured: true,
+    enforcement: 0.6,
+    description: 'A bridge loan to your next raise. Short fuse, secured on inventory.'
+  },
+  shark: {
+    id: 'shark',
+    name: 'Fast Eddie Capital',
+    maxAmount: 40000,
+    netWorthMultiple: 3.0,
+    rate: 0.15,
+    term: 4,
+    latePenalty: 0.20,
+    graceTurns: 0,
+    secured: false,
+    enforcement: 1.0,
+    description: 'Asks no questions and takes no collateral. Do not be late.'
+  },
+  trustee: {
+    id: 'trustee',
+    name: 'Court-Appointed Trustee',
+    maxAmount: 0,             // Only holds RESTRUCTURING repayment plans
+    netWorthMultiple: 0,
+    rate: 0.01,
+    term: 30,
+    latePenalty: 0.05,
+    graceTurns: 2,
+    secured: true,
+    enforcement: 0,
+    description: 'Runs your court-ordered repayment plan. Lends to no one.'
+  }
+};
+
+// What lenders do about loans left unpaid past their due turn. Each turn a
+// late loan rolls for the stages it has reached (turnsLate), harshest first,
+// at chance times the lender's enforcement; the first hit plays out.
+// fee: share of the balance added to the loan
+// seize: share of the most valuable cargo taken, credited like collateral
+// reputation: change to player reputation
+// A stage with templates corners the player with a pendingChoice instead.
+export const COLLECTIONS = {
+  notice: {
+    id: 'notice',
+    title: 'Collection Notice',
+    turnsLate: 1,
+    chance: 0.6,
+    fee: 0.05,
+    text: '{lender} passes loan #{loan} to collections and adds a ${fee} fee.'
+  },
+  collectors: {
+    id: 'collectors',
+    title: 'Debt Collectors',
+    turnsLate: 2,
+    chance: 0.4,
+    fee: 0.05,
+    seize: 0.5,
+    reputation: -3,
+    text: "{lender}'s collectors turn up at the loading dock and leave with {quantity}x {good}. Word gets around."
+  },
+  enforcers: {
+    id: 'enforcers',
+    type: 'collection',
+    title: 'Enforcers',
+    turnsLate: 3,
+    chance: 0.35,
+    demand: 0.5,              // Share of the balance wanted on the spot
+    reprieve: 2,              // Turns added to the due date if you pay it all
+    refusal: { fee: 0.25, reputation: -10 },
+    templates: [
+      {
+        text: "Two of {lender}'s enforcers are waiting in your hotel lobby. They want ${demand} on loan #{loan}, today.",
+        riskText: 'Refuse and the loan grows {refusalFee}%, and so do the stories about you',
+        choices: [
+          { id: 'pay', label: 'Pay Up', icon: '💵' },
+          { id: 'hand_over', label: 'Hand Over Cargo', icon: '📦' },
+          { id: 'refuse', label: 'Refuse', icon: '✗' }
+        ]
+      }
+    ]
+  }
+};
+
+// Offered as a choice when debt passes CONFIG.bankruptcyMultiplier times net
+// worth, instead of ending the run (unless CONFIG.hardcoreBankruptcy, or after
+// CONFIG.maxRestructurings filings). Each plan surrenders a share of every
+// good in cargo and warehouses and of the upgrades (ones nothing else builds
+// on, priciest first). What's still owed is written down to at most debtCap
+// of the assets left and rolled into one loan from planLender.
+export const RESTRUCTURING = {
+  id: 'restructuring',
+  type: 'bankruptcy',
+  title: 'Bankruptcy Court',
+  text: 'You owe ${debt} against a net worth of ${netWorth}. Your creditors will accept a restructuring plan, or you can walk away.',
+  riskText: 'Any plan costs {reputation} reputation. Walking away ends the run.',
+  plans: {
+    surrender_cargo: { label: 'Surrender Cargo', icon: '📦', cargo: 0.75, upgrades: 0.25 },
+    surrender_upgrades: { label: 'Surrender Upgrades', icon: '⚙', cargo: 0.25, upgrades: 0.75 }
+  },
+  reputation: -20,
+  debtCap: 0.5,
+  planLender: 'trustee'
+};
+
+// The Oracle appears now and then and sells a prediction. A consulted
+// prediction comes true with its accuracy after 1-2 turns, applying its
+// effects (same format as EVENTS effects; {good} and {market} are rolled).
 export const ORACLE = {
   name: 'The Algorithm',
   icon: '[◈◈◈]',
   probability: 0.15,  // Chance to appear each turn
   baseCost: 5000,
   predictions: [
-    { text: 'I sense {good} prices will surge within 2 turns...', type: 'price_up', accuracy: 0.70 },
-    { text: 'The market whispers of a {good} crash coming...', type: 'price_down', accuracy: 0.70 },
-    { text: 'Customs will tighten at {market} soon. Be warned.', type: 'customs', accuracy: 0.65 },
-    { text: 'A great opportunity approaches for those who hold {good}...', type: 'opportunity', accuracy: 0.60 },
-    { text: 'I foresee turbulence. All markets will shift.', type: 'volatility', accuracy: 0.55 }
+    {
+      text: 'I sense {good} prices will surge within 2 turns...',
+      type: 'price_up',
+      accuracy: 0.70,
+      percent: [15, 30],
+      effects: [{ type: 'price', direction: 'up' }]
+    },
+    {
+      text: 'The market whispers of a {good} crash coming...',
+      type: 'price_down',
+      accuracy: 0.70,
+      percent: [15, 30],
+      effects: [{ type: 'price', direction: 'down' }]
+    },
+    {
+      text: 'Customs will tighten at {market} soon. Be warned.',
+      type: 'customs',
+      accuracy: 0.65,
+      effects: [{ type: 'condition', kind: 'customs', markets: 'rolled', delta: 0.15, duration: 3, label: 'Customs crackdown' }]
+    },
+    {
+      text: 'A great opportunity approaches for those who hold {good}...',
+      type: 'opportunity',
+      accuracy: 0.60,
+      percent: [20, 49],
+      effects: [{ type: 'opportunity', kind: 'premium_sell', duration: 3 }]
+    },
+    {
+      text: 'I foresee turbulence. All markets will shift.',
+      type: 'volatility',
+      accuracy: 0.55,
+      effects: [{ type: 'condition', kind: 'volatility', goods: 'all', factor: 2.5, duration: 3, label: 'Market turbulence' }]
+    }
   ],
   freeHints: [
     'The winds favor the patient trader...',
@@ -508,17 +944,83 @@ export const CONFIG = {
   startingReputation: 50,
   startingLocation: 'us-west',
 
-  debtBaseInterestRate: 0.05,
-  debtMediumInterestRate: 0.08,
-  debtHighInterestRate: 0.12,
-  debtMediumThreshold: 0.5,   // 50% of net worth
-  debtHighThreshold: 1.0,     // 100% of net worth
-  maxDebtMultiplier: 2.0,     // Can borrow up to 2x net worth
-  bankruptcyMultiplier: 3.0,  // Game over if debt > 3x net worth
+  defaultLender: 'bank',       // For borrow actions without a lender, and unpaid bills
+  collateralHaircut: 0.3,     // Secured lenders value seized cargo 30% under the global price
+  bankruptcyMultiplier: 3.0,  // Insolvent once debt > 3x net worth
+  hardcoreBankruptcy: false,  // true: insolvency ends the run, no restructuring
+  maxRestructurings: 2,       // Filings allowed before insolvency is final
 
   supplyShiftChance: 0.10,    // 10% chance per good per market per turn
 
-  reputationEventModifier: 0.01  // 1% change in event probability per reputation point from 50
+  defaultMarketDepth: 100,    // For goods without a MARKETS depth entry
+  pressureDecay: 0.5,         // Share of the player's trading pressure left after each turn
+  minImpactFactor: 0.2,       // Heavy selling can't push a fill below 20% of the price
+  defaultSpread: 0.04,        // For goods without a MARKETS spread entry
+  defaultBrokerageFee: 0.01,  // For markets without a brokerageFee
+  defaultSavingsRate: 0.005,  // For markets without a savingsRate
+
+  warehouseRaidLoss: [0.3, 0.6],  // Share of one stored good lost in a break-in
+
+  contractOffersPerMarket: 2,  // Offers kept on each market's board
+  contractOfferTurns: 3,      // Turns an offer stays up before it's withdrawn
+  contractSlack: [3, 8],      // Turns allowed beyond the route's travel time
+  contractQuantity: [2, 8],
+  contractPremium: [0.10, 0.30],  // Price over the offering market's current mid
+  contractDeposit: 0.10,      // Share of contract value held until delivery
+  contractPenalty: 0.20,      // Extra share charged on a missed deadline
+  contractReputation: { delivered: 2, failed: -5 },
+  contractMinReputation: 20,  // Counterparties won't deal below this
+  maxContracts: 3,            // Accepted contracts at once
+
+  derivativeTenors: [3, 5, 10],      // Turns to expiry the desk offers
+  futuresInitialMargin: 0.20,        // Cash posted per unit of notional
+  futuresMaintenanceMargin: 0.10,    // Below this the desk calls for more
+  optionTimeValue: { low: 0.03, medium: 0.06, high: 0.10 },  // By good volatility, per sqrt(turn)
+  maxPositions: 8,
+
+  maxLimitOrders: 6,          // Open standing orders at once
+  maxOrderTurns: 10,          // Furthest an order's expiry can be set
+
+  baseCurrency: 'USD',        // Net worth, loans, fares and contracts are in this currency
+  fxFee: 0.01,                // Share of the value changed from one currency to another
+
+  policyNotice: [2, 4],       // Turns between a trade-policy announcement and it taking effect
+  defaultDuty: 0.30,          // Share of a declared good's local value, for restrictions without a duty
+  defaultLicense: { cost: 20000, turns: 8 },  // For restrictions without license terms
+
+  defaultRoute: { turns: 1, cost: 0 },  // For market pairs missing from ROUTES
+  defaultShippingMode: 'air',
+
+  reputationEventModifier: 0.01,  // 1% change in event probability per reputation point from 50
+  seizureReputation: -3,          // Local standing lost when customs there seizes your cargo
+
+  heatMax: 100,
+  heatDecay: 0.15,                // Share of heat that cools off each turn
+  heatGain: { restrictedTrade: 5, smuggler: 15, seizure: 20 },
+  heatCustomsModifier: 0.002      // Added customs and seizure odds per point of heat
+};
+
+// Everything a game economy needs, bundled as the default content pack.
+// Alternate scenarios register their own pack with the same shape.
+export const DEFAULT_CONTENT_PACK = {
+  id: 'default',
+  name: 'Compute Wars',
+  GOODS,
+  MARKETS,
+  CURRENCIES,
+  ROUTES,
+  SHIPPING_MODES,
+  SUPPLY_LEVELS,
+  UPGRADES,
+  MILESTONES,
+  EVENTS,
+  TRAVEL_CHOICES,
+  COUNTERPARTIES,
+  LENDERS,
+  COLLECTIONS,
+  RESTRUCTURING,
+  ORACLE,
+  CONFIG
 };
 
 // ASCII Art
@@ -3,7 +3,7 @@
 // Pure game logic, no DOM dependencies
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { GOODS, MARKETS, SUPPLY_LEVELS, UPGRADES, MILESTONES, EVENTS, TRAVEL_CHOICES, ORACLE, CONFIG } from './data.js';
+import { DEFAULT_CONTENT_PACK } from './data.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Utility Functions
@@ -13,10 +13,6 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
-function randomChoice(array) {
-  return array[Math.floor(Math.random() * array.length)];
-}
-
 function formatMoney(amount) {
   return '$' + Math.round(amount).toLocaleString();
 }
@@ -25,60 +21,158 @@ function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Seeded Random (mulberry32)
+// The generator state lives in state.rngState so it survives saves and clones
+// ─────────────────────────────────────────────────────────────────────────────
+
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  // Hash string seeds (FNV-1a) so players can share readable seeds
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+function random(state) {
+  let t = state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomChoice(state, array) {
+  return array[Math.floor(random(state) * array.length)];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Content Packs
+// A game only stores its pack id; goods, markets, events etc. are looked up
+// from the registry so saves stay small and packs can be swapped per game.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const contentPacks = new Map();
+const packSources = new Map();  // id -> the pack object it was registered from
+
+// Register a pack shaped like data.js ({ id, name, GOODS, MARKETS, ... }).
+// Sections it leaves out fall back to the default pack, and CONFIG is merged
+// key by key, so a fixture economy only needs the parts it changes.
+// Registering the same object again is a no-op; a different pack can't take
+// an id that's already in use, since saves find their pack by id.
+export function registerContentPack(pack) {
+  if (!pack || typeof pack.id !== 'string') {
+    throw new Error('Content pack must have a string id');
+  }
+  if (packSources.has(pack.id)) {
+    if (packSources.get(pack.id) === pack) return contentPacks.get(pack.id);
+    throw new Error(`Content pack id ${pack.id} is already registered`);
+  }
+
+  const resolved = {
+    ...DEFAULT_CONTENT_PACK,
+    ...pack,
+    CONFIG: { ...DEFAULT_CONTENT_PACK.CONFIG, ...pack.CONFIG }
+  };
+  if (!resolved.MARKETS[resolved.CONFIG.startingLocation]) {
+    throw new Error(`Content pack ${pack.id} has no starting market ${resolved.CONFIG.startingLocation}`);
+  }
+
+  contentPacks.set(pack.id, resolved);
+  packSources.set(pack.id, pack);
+  return resolved;
+}
+
+// Pack for a game state, or undefined if it was never registered
+export function getContentPack(state) {
+  return contentPacks.get(state.contentPack);
+}
+
+registerContentPack(DEFAULT_CONTENT_PACK);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // State Initialization
 // ─────────────────────────────────────────────────────────────────────────────
 
-export function createInitialState() {
+function getStartingPrice(pack, marketId, goodId) {
+  const good = pack.GOODS[goodId];
+  const modifier = pack.MARKETS[marketId].priceModifiers[goodId] || 1.0;
+  return Math.round(((good.baseMin + good.baseMax) / 2) * modifier);
+}
+
+function createMarketState(pack, marketId) {
+  const market = pack.MARKETS[marketId];
+  const prices = {};
+  const supply = {};
+  const priceHistory = {};
+
+  for (const goodId of Object.keys(pack.GOODS)) {
+    const initialPrice = getStartingPrice(pack, marketId, goodId);
+    prices[goodId] = initialPrice;
+    supply[goodId] = 'normal';
+    // Initialize price history with starting price
+    priceHistory[goodId] = [initialPrice];
+  }
+
+  return {
+    id: marketId,
+    name: market.name,
+    subtitle: market.subtitle,
+    prices,
+    supply,
+    priceHistory,
+    pressure: {},  // Player's net units bought (+) or sold (-) per good, fading each turn
+    contractOffers: [],  // Forward contracts on this market's board
+    policy: { tariffs: { ...(market.tariffs || {}) }, sanctions: [] }  // Trade rules in force (see Trade Policy)
+  };
+}
+
+function createMilestoneState(pack, milestoneId) {
+  return {
+    ...pack.MILESTONES[milestoneId],
+    achieved: false,
+    achievedOnTurn: null
+  };
+}
+
+export function createInitialState({ seed, journal = false, pack = DEFAULT_CONTENT_PACK.id } = {}) {
+  const contentPack = typeof pack === 'string' ? getContentPack({ contentPack: pack }) : registerContentPack(pack);
+  if (!contentPack) {
+    throw new Error(`Unknown content pack: ${pack}`);
+  }
+  const { MARKETS, MILESTONES, CONFIG } = contentPack;
+
   const markets = {};
+  const initialSeed = seed === undefined ? generateSeed() : normalizeSeed(seed);
 
   for (const marketId of Object.keys(MARKETS)) {
-    const market = MARKETS[marketId];
-    const prices = {};
-    const supply = {};
-    const priceHistory = {};
-
-    for (const goodId of Object.keys(GOODS)) {
-      const good = GOODS[goodId];
-      const modifier = market.priceModifiers[goodId] || 1.0;
-      const basePrice = (good.baseMin + good.baseMax) / 2;
-      const initialPrice = Math.round(basePrice * modifier);
-      prices[goodId] = initialPrice;
-      supply[goodId] = 'normal';
-      // Initialize price history with starting price
-      priceHistory[goodId] = [initialPrice];
-    }
-
-    markets[marketId] = {
-      id: marketId,
-      name: market.name,
-      subtitle: market.subtitle,
-      prices,
-      supply,
-      priceHistory,
-      restricted: []
-    };
+    markets[marketId] = createMarketState(contentPack, marketId);
   }
 
   const milestones = {};
-  for (const [id, milestone] of Object.entries(MILESTONES)) {
-    milestones[id] = {
-      ...milestone,
-      achieved: false,
-      achievedOnTurn: null
-    };
+  for (const id of Object.keys(MILESTONES)) {
+    milestones[id] = createMilestoneState(contentPack, id);
   }
 
-  return {
+  const state = {
+    contentPack: contentPack.id,
     player: {
       balance: CONFIG.startingBalance,
-      debt: 0,
-      debtInterestRate: CONFIG.debtBaseInterestRate,
+      debt: 0,  // Total owed across loans
       location: CONFIG.startingLocation,
       inventory: {},
       costBasis: {},  // Total cost paid per good (for avg cost calculation)
       inventoryCapacity: CONFIG.startingInventoryCapacity,
-      reputation: CONFIG.startingReputation
+      reputation: CONFIG.startingReputation,  // Global standing from upgrades and milestones
+      heat: 0,  // Customs attention, 0 to CONFIG.heatMax
+      cash: {}  // Money held in other currencies, by CURRENCIES id (in that currency)
     },
     markets,
     turn: 1,
@@ -86,6 +180,25 @@ export function createInitialState() {
     unlockedUpgrades: [],
     purchasedUpgrades: [],
     pendingEvents: [],
+    conditions: [],  // Timed market conditions: { kind, title, goods, markets, factor/delta, turnsRemaining }
+    travelingTo: null,        // Destination while in transit on a multi-turn route
+    travelTurnsRemaining: 0,  // Turns still to go before arriving
+    warehouses: {},           // Rented storage by market: { inventory, costBasis }
+    contracts: [],            // Accepted forward contracts (offer fields as posted)
+    nextContractId: 1,
+    positions: [],            // Open futures and options on global prices
+    nextPositionId: 1,
+    savings: {},              // Money banked by market (earns that market's savingsRate)
+    fxRates: createExchangeRates(contentPack),  // Dollars per unit of each other currency in use
+    marketReputation: {},     // Standing earned or lost locally, on top of player.reputation
+    loans: [],                // Money owed to LENDERS: { id, lender, principal, balance, rate, takenTurn, dueTurn }
+    nextLoanId: 1,
+    limitOrders: [],          // Standing orders: { id, market, good, side, quantity, limitPrice, expiresTurn, reserved, costBasis }
+    nextOrderId: 1,
+    licenses: [],             // Export licenses bought: { market, good, expiresTurn }
+    policyChanges: [],        // Announced trade policy: { market, good, change, rate?, effectiveTurn }
+    customsDeclared: false,   // Duty paid on this trip's restricted cargo
+    shippingMode: null,       // SHIPPING_MODES id for the trip under way
 
     // Stats tracking for milestones
     stats: {
@@ -93,6 +206,7 @@ export function createInitialState() {
       goodsTraded: 0,
       marketsVisited: [CONFIG.startingLocation],
       hadDebt: false,
+      restructurings: 0,  // Bankruptcy plans filed
       peakNetWorth: CONFIG.startingBalance
     },
 
@@ -100,11 +214,21 @@ export function createInitialState() {
     pendingChoice: null,  // { type, data, choices, onResolve }
 
     // Oracle predictions
-    oraclePrediction: null,  // Current active prediction
+    oraclePrediction: null,  // This turn's Oracle offer: { text, type, good, market, accuracy, cost, isFree, hint, revealed }
+
+    // Seeded RNG - same seed + same actions = same game
+    seed: initialSeed,
+    rngState: initialSeed,
+
+    // Action journal for replayGame (null when journaling is off)
+    journal: journal ? [] : null,
 
     gameOver: false,
     gameOverReason: null
   };
+
+  refreshContractBoards(state);
+  return state;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -115,6 +239,14 @@ export function calculateInventoryUsed(inventory) {
   return Object.values(inventory).reduce((sum, qty) => sum + qty, 0);
 }
 
+// Cargo slots available right now, including temporary event modifiers
+export function getCargoCapacity(state) {
+  const modifier = (state.pendingEvents || [])
+    .filter(e => e.effect === 'capacity')
+    .reduce((sum, e) => sum + e.delta, 0);
+  return Math.max(0, state.player.inventoryCapacity + modifier);
+}
+
 export function calculateAverageCost(good, player) {
   const quantity = player.inventory[good] || 0;
   const costBasis = player.costBasis[good] || 0;
@@ -135,63 +267,234 @@ export function calculateNetWorth(state) {
     state.player.inventory,
     state.markets[state.player.location].prices
   );
-  return state.player.balance + inventoryValue - state.player.debt;
+  return state.player.balance + getForeignCashValue(state) + inventoryValue + calculateWarehouseValue(state) +
+    getOrderBookValue(state) + getContractDeposits(state) + getPositionsValue(state) + getSavingsTotal(state) - state.player.debt;
 }
 
-export function getDebtInterestRate(state) {
-  const netWorth = calculateNetWorth(state);
-  if (netWorth <= 0) return CONFIG.debtHighInterestRate;
-
-  const debtRatio = state.player.debt / netWorth;
-  if (debtRatio >= CONFIG.debtHighThreshold) return CONFIG.debtHighInterestRate;
-  if (debtRatio >= CONFIG.debtMediumThreshold) return CONFIG.debtMediumInterestRate;
-  return CONFIG.debtBaseInterestRate;
+// Take money from the balance; whatever it can't cover goes on a loan from
+// the default lender, topping up the newest one if there is one
+function chargeOrBorrow(state, amount) {
+  const { CONFIG } = getContentPack(state);
+  const paid = Math.min(amount, Math.max(0, state.player.balance));
+  state.player.balance -= paid;
+  if (amount > paid) {
+    const loan = state.loans.findLast(l => l.lender === CONFIG.defaultLender);
+    if (loan) {
+      loan.balance += amount - paid;
+      syncDebt(state);
+    } else {
+      openLoan(state, CONFIG.defaultLender, amount - paid);
+    }
+    state.stats.hadDebt = true;
+  }
 }
 
-// Get effective buy price considering any active discount events
+// Get effective buy price considering the spread, brokerage, tariff, conversion and any discount event
+// Returns { price, basePrice, discount, spread, fee, tariff, fx }: price is the all-in
+// dollar cost of one unit (ask side of the spread plus brokerage, tariff and
+// currency conversion), basePrice the mid
 export function getEffectiveBuyPrice(state, goodId) {
-  const market = state.markets[state.player.location];
-  const basePrice = market.prices[goodId];
+  const marketId = state.player.location;
+  const basePrice = getSpotPrice(state, marketId, goodId);
+  const spread = getSpread(state, marketId, goodId);
+  const fee = getBrokerageFee(state, marketId);
+  const tariff = getTariff(state, marketId, goodId);
+  const fx = getConversionFee(state, marketId);
 
   const discountEvent = state.pendingEvents?.find(
     e => e.effect === 'discount_buy' && e.good === goodId
   );
+  const discount = discountEvent ? discountEvent.percent : 0;
 
-  if (discountEvent) {
-    return {
-      price: Math.round(basePrice * (1 - discountEvent.percent / 100)),
-      basePrice,
-      discount: discountEvent.percent
-    };
+  return {
+    price: Math.round(basePrice * (1 + spread / 2) * (1 - discount / 100) * (1 + fee + tariff + fx)),
+    basePrice,
+    discount,
+    spread,
+    fee,
+    tariff,
+    fx
+  };
+}
+
+// Full ask-bid gap for a good here, as a share of the mid price
+function getSpread(state, marketId, goodId) {
+  const { MARKETS, CONFIG } = getContentPack(state);
+  return MARKETS[marketId]?.spread?.[goodId] ?? CONFIG.defaultSpread;
+}
+
+// Brokerage charged on the value of every trade here
+function getBrokerageFee(state, marketId) {
+  const { MARKETS, CONFIG } = getContentPack(state);
+  return MARKETS[marketId]?.brokerageFee ?? CONFIG.defaultBrokerageFee;
+}
+
+// Units of a good it takes to move a market's price by 100%
+function getMarketDepth(state, marketId, goodId) {
+  const { MARKETS, CONFIG } = getContentPack(state);
+  return MARKETS[marketId]?.depth?.[goodId] || CONFIG.defaultMarketDepth;
+}
+
+// Price multiplier for a given net pressure (units bought minus sold)
+function getImpactFactor(state, pressure, depth) {
+  const { CONFIG } = getContentPack(state);
+  return Math.max(CONFIG.minImpactFactor, 1 + pressure / depth);
+}
+
+// Impact factors of units 0..quantity-1 (each at its midpoint) added up in
+// closed form: the factor is linear in the unit until it hits the floor
+function sumImpactFactors(state, pressure, depth, step, quantity) {
+  const { CONFIG } = getContentPack(state);
+  const floor = CONFIG.minImpactFactor;
+  const first = 1 + (pressure + step * 0.5) / depth;
+  const slope = step / depth;
+  const crossing = (floor - first) / slope;  // Unit where the line meets the floor
+
+  // Units above the floor form one run: the tail for buys, the head for sells
+  const start = slope > 0 ? clamp(Math.ceil(crossing), 0, quantity) : 0;
+  const end = slope > 0 ? quantity : clamp(Math.floor(crossing) + 1, 0, quantity);
+  const count = end - start;
+  return count * first + slope * count * (start + end - 1) / 2 + (quantity - count) * floor;
+}
+
+// Current price including the player's recent buying/selling pressure
+export function getSpotPrice(state, marketId, goodId) {
+  const market = state.markets[marketId];
+  const pressure = market.pressure?.[goodId] || 0;
+  const depth = getMarketDepth(state, marketId, goodId);
+  return Math.round(market.prices[goodId] * getImpactFactor(state, pressure, depth));
+}
+
+// What filling an order here would cost (buy) or pay (sell): each unit moves
+// the price by 1/depth, so big orders fill progressively worse. Buys pay the
+// ask and sells get the bid; any active discount or premium applies to the
+// whole order, then brokerage, any tariff and currency conversion are added
+// to the cost or taken from the proceeds. Outside dollar markets a buy is paid
+// from cash in the local currency when there's enough (and a sell with
+// keepLocal is kept in it), skipping the conversion; cash is then how much.
+// Returns { total, average, spot, after, discount, premium, fee, tariff, fx, currency, cash }
+export function getFillQuote(state, goodId, quantity, side, { keepLocal = false } = {}) {
+  const { CONFIG } = getContentPack(state);
+  const discount = side === 'buy' ? getEffectiveBuyPrice(state, goodId).discount : 0;
+  const premium = side === 'sell' ? getEffectiveSellPrice(state, goodId).premium : 0;
+  const fill = quoteFill(state, state.player.location, goodId, quantity, side, (1 - discount / 100) * (1 + premium / 100));
+  const currency = getMarketCurrency(state, state.player.location);
+
+  if (currency !== CONFIG.baseCurrency) {
+    const total = fill.total + (side === 'sell' ? fill.fx : -fill.fx);
+    const local = Math.round(total / getExchangeRate(state, currency));
+    const settlesLocally = side === 'buy' ? (state.player.cash[currency] || 0) >= local : keepLocal;
+    if (settlesLocally && local > 0) {
+      return { ...fill, total, average: Math.round(total / quantity), fx: 0, currency, cash: local, discount, premium };
+    }
   }
+  return { ...fill, currency, cash: 0, discount, premium };
+}
 
-  return { price: basePrice, basePrice, discount: 0 };
+// Fill cost/proceeds in any market, scaled by an event multiplier
+function quoteFill(state, marketId, goodId, quantity, side, multiplier = 1) {
+  const market = state.markets[marketId];
+  const depth = getMarketDepth(state, marketId, goodId);
+  const pressure = market.pressure?.[goodId] || 0;
+  const step = side === 'sell' ? -1 : 1;
+  const price = market.prices[goodId];
+
+  let gross = price * sumImpactFactors(state, pressure, depth, step, quantity);
+  gross = Math.round(gross * (1 + step * getSpread(state, marketId, goodId) / 2) * multiplier);
+  const fee = Math.round(gross * getBrokerageFee(state, marketId));
+  const tariff = Math.round(gross * getTariff(state, marketId, goodId));
+  const fx = Math.round(gross * getConversionFee(state, marketId));
+  const total = gross + step * (fee + tariff + fx);
+
+  return {
+    total,
+    average: quantity > 0 ? Math.round(total / quantity) : 0,
+    spot: getSpotPrice(state, marketId, goodId),
+    after: Math.round(price * getImpactFactor(state, pressure + step * quantity, depth)),
+    fee,
+    tariff,
+    fx
+  };
+}
+
+// Largest quantity of a good the player can both afford and carry here
+export function getMaxBuyQuantity(state, goodId) {
+  const space = getCargoCapacity(state) - calculateInventoryUsed(state.player.inventory);
+  let low = 0;
+  let high = Math.max(0, space);
+  // Fill cost only grows with quantity, so binary search the budget
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const quote = getFillQuote(state, goodId, mid, 'buy');
+    if (quote.cash > 0 || quote.total <= state.player.balance) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
 }
 
-// Get effective sell price considering any active premium events
+// Get effective sell price considering the spread, brokerage, tariff, conversion and any premium event
+// Returns { price, basePrice, premium, spread, fee, tariff, fx }: price is what one unit
+// nets in dollars (bid side of the spread less brokerage, tariff and currency
+// conversion), basePrice the mid
 export function getEffectiveSellPrice(state, goodId) {
-  const market = state.markets[state.player.location];
-  const basePrice = market.prices[goodId];
+  const marketId = state.player.location;
+  const basePrice = getSpotPrice(state, marketId, goodId);
+  const spread = getSpread(state, marketId, goodId);
+  const fee = getBrokerageFee(state, marketId);
+  const tariff = getTariff(state, marketId, goodId);
+  const fx = getConversionFee(state, marketId);
 
   const premiumEvent = state.pendingEvents?.find(
     e => e.effect === 'premium_sell' && e.good === goodId
   );
+  const premium = premiumEvent ? premiumEvent.percent : 0;
 
-  if (premiumEvent) {
-    return {
-      price: Math.round(basePrice * (1 + premiumEvent.percent / 100)),
-      basePrice,
-      premium: premiumEvent.percent
-    };
-  }
+  return {
+    price: Math.round(basePrice * (1 - spread / 2) * (1 + premium / 100) * (1 - fee - tariff - fx)),
+    basePrice,
+    premium,
+    spread,
+    fee,
+    tariff,
+    fx
+  };
+}
 
-  return { price: basePrice, basePrice, premium: 0 };
+// Travel time and fare between two markets (either direction)
+export function getRoute(state, from, to) {
+  const { ROUTES, CONFIG } = getContentPack(state);
+  return ROUTES?.[from]?.[to] || ROUTES?.[to]?.[from] || CONFIG.defaultRoute;
 }
 
-export function getMaxBorrowable(state) {
-  const netWorth = Math.max(0, calculateNetWorth(state));
-  const maxDebt = netWorth * CONFIG.maxDebtMultiplier;
-  return Math.max(0, maxDebt - state.player.debt);
+// A shipping mode by id, falling back to the pack's default
+export function getShippingMode(state, modeId = null) {
+  const { SHIPPING_MODES, CONFIG } = getContentPack(state);
+  return SHIPPING_MODES[modeId || CONFIG.defaultShippingMode];
+}
+
+// Everything a trip would cost and risk with a given shipping mode.
+// Returns null for an unknown mode.
+export function getTripQuote(state, destination, modeId = null) {
+  const mode = getShippingMode(state, modeId);
+  if (!mode) return null;
+
+  const route = getRoute(state, state.player.location, destination);
+  const units = calculateInventoryUsed(state.player.inventory);
+  const freight = mode.freightPerUnit * units;
+
+  return {
+    mode: mode.id,
+    turns: Math.max(1, route.turns + mode.turnsModifier),
+    fare: route.cost,
+    freight,
+    cost: route.cost + freight,
+    customsMultiplier: mode.customsMultiplier,
+    damageChance: mode.damageChance,
+    fits: mode.maxUnits === null || units <= mode.maxUnits
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -199,6 +502,7 @@ export function getMaxBorrowable(state) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 function updatePrices(state) {
+  const { GOODS, MARKETS, SUPPLY_LEVELS, CONFIG } = getContentPack(state);
   const priceChanges = {};
 
   for (const marketId of Object.keys(state.markets)) {
@@ -211,15 +515,15 @@ function updatePrices(state) {
       const supply = SUPPLY_LEVELS[market.supply[goodId]];
       const oldPrice = market.prices[goodId];
 
-      // Base volatility from supply level
-      const volatility = supply.volatility;
-      const change = (Math.random() - 0.5) * 2 * volatility;
+      // Base volatility from supply level, scaled by active conditions
+      const volatility = supply.volatility * getConditionFactor(state, 'volatility', marketId, goodId);
+      const change = (random(state) - 0.5) * 2 * volatility;
 
       // Apply supply multiplier
       const supplyMult = supply.priceMultiplier;
 
-      // Calculate new price with market modifier
-      const modifier = marketData.priceModifiers[goodId] || 1.0;
+      // Calculate new price with market modifier (conditions can shift the base)
+      const modifier = (marketData.priceModifiers[goodId] || 1.0) * getConditionFactor(state, 'base_shift', marketId, goodId);
       let newPrice = oldPrice * (1 + change);
 
       // Trend toward supply-adjusted base price
@@ -237,28 +541,29 @@ function updatePrices(state) {
       priceChanges[marketId][goodId] = { old: oldPrice, new: newPrice };
 
       // Record price history (keep last 8 prices)
-      // Initialize priceHistory for saves from before this feature existed
-      if (!market.priceHistory) {
-        market.priceHistory = {};
-      }
-      if (!market.priceHistory[goodId]) {
-        market.priceHistory[goodId] = [];
-      }
       market.priceHistory[goodId].push(newPrice);
       if (market.priceHistory[goodId].length > 8) {
         market.priceHistory[goodId].shift();
       }
     }
 
+    // The market slowly absorbs the player's trading pressure
+    for (const goodId of Object.keys(market.pressure)) {
+      market.pressure[goodId] *= CONFIG.pressureDecay;
+      if (Math.abs(market.pressure[goodId]) < 0.5) {
+        delete market.pressure[goodId];
+      }
+    }
+
     // Random supply level shifts
     for (const goodId of Object.keys(GOODS)) {
-      if (Math.random() < CONFIG.supplyShiftChance) {
+      if (random(state) < CONFIG.supplyShiftChance) {
         const currentSupply = market.supply[goodId];
         const levels = ['surplus', 'normal', 'shortage'];
         const currentIndex = levels.indexOf(currentSupply);
 
         // Shift up or down
-        const direction = Math.random() < 0.5 ? -1 : 1;
+        const direction = random(state) < 0.5 ? -1 : 1;
         const newIndex = clamp(currentIndex + direction, 0, 2);
         market.supply[goodId] = levels[newIndex];
       }
@@ -269,334 +574,622 @@ function updatePrices(state) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Event System
+// Market Conditions
 // ─────────────────────────────────────────────────────────────────────────────
 
-function rollForEvents(state, isTraveling = false, destination = null) {
-  const events = [];
-  const reputationMod = (state.player.reputation - 50) * CONFIG.reputationEventModifier;
+const CONDITION_KINDS = ['base_shift', 'volatility', 'customs'];
 
-  // Market shift events
-  for (const [eventId, eventData] of Object.entries(EVENTS)) {
-    if (eventData.type === 'market_shift') {
-      const prob = eventData.probability - reputationMod * 0.5;
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const good = randomChoice(Object.keys(GOODS));
-        const percent = Math.floor(Math.random() * 20) + 10;
-
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text
-            .replace('{good}', GOODS[good].name)
-            .replace('{percent}', percent),
-          effect: template.effect,
-          good,
-          percent
-        });
-      }
-    }
+// Conditions active in a market, optionally only those touching one good
+export function getActiveConditions(state, marketId, goodId = null) {
+  return (state.conditions || []).filter(c =>
+    c.markets.includes(marketId) && (goodId === null || !c.goods || c.goods.includes(goodId))
+  );
+}
 
-    // Regulation events
-    if (eventData.type === 'regulation') {
-      const prob = eventData.probability;
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const good = randomChoice(Object.keys(GOODS));
-        const market = template.market || randomChoice(Object.keys(MARKETS));
-
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text
-            .replace('{good}', GOODS[good].name),
-          effect: template.effect || 'restrict',
-          good,
-          market
-        });
-      }
-    }
+// Combined multiplier of every active condition of a kind
+function getConditionFactor(state, kind, marketId, goodId) {
+  return getActiveConditions(state, marketId, goodId)
+    .filter(c => c.kind === kind)
+    .reduce((factor, c) => factor * c.factor, 1);
+}
 
-    // Customs events (only when traveling)
-    if (eventData.type === 'customs' && isTraveling && destination) {
-      const marketRisk = MARKETS[destination].customsRisk;
-      const hasInsurance = state.purchasedUpgrades.includes('insurance');
-      let prob = marketRisk - reputationMod;
+// Customs risk of a market including any crackdowns
+export function getCustomsRisk(state, marketId) {
+  const { MARKETS } = getContentPack(state);
+  const delta = getActiveConditions(state, marketId)
+    .filter(c => c.kind === 'customs')
+    .reduce((sum, c) => sum + c.delta, 0);
+  return clamp((MARKETS[marketId]?.customsRisk || 0) + delta, 0, 1);
+}
 
-      if (hasInsurance && Math.random() < 0.5) {
-        prob = 0; // Insurance saved you
+// Count down timed entries (not ones that started this turn) and drop the expired ones.
+// onExpire is called for each entry as it hits zero.
+function tickTimed(state, entries, onExpire = null) {
+  for (const e of entries) {
+    if (e.turn !== state.turn) {
+      e.turnsRemaining = (e.turnsRemaining ?? 1) - 1;
+      if (e.turnsRemaining <= 0 && onExpire) {
+        onExpire(e);
       }
+    }
+  }
+  return entries.filter(e => e.turnsRemaining > 0);
+}
 
-      if (Math.random() < prob && calculateInventoryUsed(state.player.inventory) > 0) {
-        const template = randomChoice(eventData.templates);
-        const inventoryGoods = Object.entries(state.player.inventory).filter(([, qty]) => qty > 0);
+// ─────────────────────────────────────────────────────────────────────────────
+// Reputation and Heat
+// ─────────────────────────────────────────────────────────────────────────────
 
-        if (inventoryGoods.length > 0) {
-          const [good, qty] = randomChoice(inventoryGoods);
-          const seizeQty = Math.max(1, Math.floor(qty * (Math.random() * 0.3 + 0.1)));
+// Standing in a market: the global reputation plus whatever was earned or lost there
+export function getReputation(state, marketId) {
+  return Math.max(0, state.player.reputation + (state.marketReputation?.[marketId] || 0));
+}
 
-          events.push({
-            id: eventId + '_' + Date.now(),
-            type: eventData.type,
-            title: eventData.title,
-            description: template.text
-              .replace('{good}', GOODS[good].name)
-              .replace('{quantity}', seizeQty),
-            effect: 'seize',
-            good,
-            quantity: seizeQty
-          });
-        }
-      }
-    }
+function adjustReputation(state, marketId, delta) {
+  const local = Math.max(-state.player.reputation, (state.marketReputation[marketId] || 0) + delta);
+  if (local === 0) {
+    delete state.marketReputation[marketId];
+  } else {
+    state.marketReputation[marketId] = local;
+  }
+}
 
-    // Hack events
-    if (eventData.type === 'hack') {
-      const hasSecurity = state.purchasedUpgrades.includes('security');
-      let prob = eventData.probability + reputationMod * 0.5;
+function addHeat(state, amount) {
+  const { CONFIG } = getContentPack(state);
+  state.player.heat = Math.min(CONFIG.heatMax, state.player.heat + amount);
+}
 
-      if (hasSecurity && Math.random() < 0.5) {
-        prob = 0;
-      }
+// Heat cools by a share each turn, reaching zero once it's low
+function coolHeat(state) {
+  const { CONFIG } = getContentPack(state);
+  state.player.heat = Math.floor(state.player.heat * (1 - CONFIG.heatDecay));
+}
 
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const amount = Math.floor(state.player.balance * (Math.random() * 0.15 + 0.05));
+// Trading goods a market restricts draws customs attention
+function isContraband(state, marketId, goodId) {
+  const { MARKETS } = getContentPack(state);
+  return Boolean(MARKETS[marketId]?.restrictedGoods?.[goodId]);
+}
 
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text.replace('{amount}', formatMoney(amount)),
-          effect: 'money_loss',
-          amount
-        });
-      }
-    }
+// Extra customs and seizure odds from heat
+export function getHeatModifier(state) {
+  const { CONFIG } = getContentPack(state);
+  return state.player.heat * CONFIG.heatCustomsModifier;
+}
+
+// Chance customs seizes a restricted good on arrival
+function getSeizureChance(state, destination, restriction, customsMultiplier) {
+  const reputationMod = (getReputation(state, destination) - 50) * 0.002; // 0.2% per rep point
+  return Math.max(0.05, restriction.seizureRisk - reputationMod + getHeatModifier(state)) * customsMultiplier;
+}
 
-    // Audit events
-    if (eventData.type === 'audit') {
-      const netWorth = calculateNetWorth(state);
-      const wealthMod = Math.min(0.05, netWorth / 10000000); // Higher wealth = more audits
-      const prob = eventData.probability + wealthMod + reputationMod * 0.5;
+// ─────────────────────────────────────────────────────────────────────────────
+// Trade Policy
+// Each market has tariffs (a share of trade value, charged on buys and sells)
+// and a sanctions list (goods that can't be traded there). Events announce
+// changes a few turns ahead; they come into force at the start of their turn.
+// ─────────────────────────────────────────────────────────────────────────────
 
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const amount = Math.floor(netWorth * (Math.random() * 0.05 + 0.02));
+export function getTariff(state, marketId, goodId) {
+  return state.markets[marketId]?.policy?.tariffs[goodId] || 0;
+}
 
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text.replace('{amount}', formatMoney(amount)),
-          effect: 'fine',
-          amount
-        });
-      }
-    }
+export function isSanctioned(state, marketId, goodId) {
+  return Boolean(state.markets[marketId]?.policy?.sanctions.includes(goodId));
+}
 
-    // Opportunity events
-    if (eventData.type === 'opportunity') {
-      const prob = eventData.probability + reputationMod;
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const good = randomChoice(Object.keys(GOODS));
-        const percent = Math.floor(Math.random() * 30) + 20;
-
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text
-            .replace('{good}', GOODS[good].name)
-            .replace('{percent}', percent),
-          effect: template.effect,
-          good,
-          percent
-        });
+// Put a change into a policy shaped { tariffs, sanctions }
+function applyPolicyChange(policy, change) {
+  switch (change.change) {
+    case 'sanction':
+      if (!policy.sanctions.includes(change.good)) policy.sanctions.push(change.good);
+      break;
+    case 'lift_sanction':
+      policy.sanctions = policy.sanctions.filter(g => g !== change.good);
+      break;
+    case 'tariff':
+      if (change.rate > 0) {
+        policy.tariffs[change.good] = change.rate;
+      } else {
+        delete policy.tariffs[change.good];
       }
-    }
+      break;
+  }
+}
 
-    // Windfall events
-    if (eventData.type === 'windfall') {
-      const prob = eventData.probability + reputationMod;
-      if (Math.random() < prob) {
-        const template = randomChoice(eventData.templates);
-        const amount = Math.floor(Math.random() * 30000) + 10000;
+// A market's policy once everything announced for it is in force
+function getProjectedPolicy(state, marketId) {
+  const { tariffs, sanctions } = state.markets[marketId].policy;
+  const policy = { tariffs: { ...tariffs }, sanctions: [...sanctions] };
+  for (const change of state.policyChanges) {
+    if (change.market === marketId) applyPolicyChange(policy, change);
+  }
+  return policy;
+}
 
-        events.push({
-          id: eventId + '_' + Date.now(),
-          type: eventData.type,
-          title: eventData.title,
-          description: template.text.replace('{amount}', formatMoney(amount)),
-          effect: 'money_gain',
-          amount
+// The changes a policy effect announces, leaving out any that wouldn't alter
+// the rules (already in force or already announced)
+function getPolicyChanges(state, event, effect) {
+  const { goods, markets } = resolveTargets(state, event, effect);
+  const rate = effect.rate ?? (event.percent || 0) / 100;
+  const changes = [];
+
+  for (const marketId of markets) {
+    const projected = getProjectedPolicy(state, marketId);
+    for (const goodId of goods) {
+      const sanctioned = projected.sanctions.includes(goodId);
+      const unchanged = effect.change === 'sanction' ? sanctioned
+        : effect.change === 'lift_sanction' ? !sanctioned
+        : (projected.tariffs[goodId] || 0) === rate;
+      if (!unchanged) {
+        changes.push({
+          market: marketId,
+          good: goodId,
+          change: effect.change,
+          ...(effect.change === 'tariff' ? { rate } : {}),
+          effectiveTurn: state.turn + event.delay
         });
       }
     }
   }
-
-  return events;
+  return changes;
 }
 
-function applyEvents(state, events) {
-  for (const event of events) {
-    switch (event.effect) {
-      case 'drop':
-        // Drop price of specific good globally
-        for (const market of Object.values(state.markets)) {
-          market.prices[event.good] = Math.round(
-            market.prices[event.good] * (1 - event.percent / 100)
-          );
-        }
-        break;
+// Announced changes whose turn has come take effect. Returns them
+function enactPolicyChanges(state) {
+  const due = state.policyChanges.filter(c => c.effectiveTurn <= state.turn);
+  for (const change of due) {
+    applyPolicyChange(state.markets[change.market].policy, change);
+  }
+  state.policyChanges = state.policyChanges.filter(c => !due.includes(c));
+  return due;
+}
 
-      case 'rise':
-        // Raise price of specific good globally
-        for (const market of Object.values(state.markets)) {
-          market.prices[event.good] = Math.round(
-            market.prices[event.good] * (1 + event.percent / 100)
-          );
-        }
-        break;
+// One line for a policy change, e.g. "China East bans H100 GPU trading"
+export function describePolicyChange(state, change) {
+  const { GOODS, MARKETS } = getContentPack(state);
+  const market = MARKETS[change.market].name;
+  const good = GOODS[change.good].name;
+  switch (change.change) {
+    case 'sanction':
+      return `${market} bans ${good} trading`;
+    case 'lift_sanction':
+      return `${market} lifts its ban on ${good}`;
+    default:
+      return change.rate > 0
+        ? `${market} tariff on ${good} set to ${Math.round(change.rate * 100)}%`
+        : `${market} scraps its tariff on ${good}`;
+  }
+}
 
-      case 'rise_all':
-        // Raise all GPU prices
-        for (const market of Object.values(state.markets)) {
-          for (const goodId of ['h100', 'h200', 'b100']) {
-            market.prices[goodId] = Math.round(
-              market.prices[goodId] * (1 + event.percent / 100)
-            );
-          }
-        }
-        break;
+// ─────────────────────────────────────────────────────────────────────────────
+// Currencies
+// Each market trades in its own currency. The balance is kept in the base
+// currency (dollars); trading elsewhere converts it at CONFIG.fxFee unless the
+// player pays from, or keeps proceeds in, cash held in the local currency.
+// ─────────────────────────────────────────────────────────────────────────────
 
-      case 'compute_rise':
-      case 'compute_spike':
-        for (const market of Object.values(state.markets)) {
-          market.prices.compute = Math.round(market.prices.compute * 1.3);
-        }
-        break;
+export function getMarketCurrency(state, marketId) {
+  const { MARKETS, CONFIG } = getContentPack(state);
+  return MARKETS[marketId]?.currency || CONFIG.baseCurrency;
+}
 
-      case 'compute_drop':
-        for (const market of Object.values(state.markets)) {
-          market.prices.compute = Math.round(market.prices.compute * 0.75);
-        }
-        break;
+// Dollars per unit of a currency
+export function getExchangeRate(state, currency) {
+  const { CURRENCIES, CONFIG } = getContentPack(state);
+  return currency === CONFIG.baseCurrency ? 1 : state.fxRates[currency] ?? CURRENCIES[currency]?.rate;
+}
 
-      case 'talent_rise':
-        for (const market of Object.values(state.markets)) {
-          market.prices.talent = Math.round(market.prices.talent * 1.25);
-        }
-        break;
+// Share of a trade's value lost to conversion in a market
+function getConversionFee(state, marketId) {
+  const { CONFIG } = getContentPack(state);
+  return getMarketCurrency(state, marketId) === CONFIG.baseCurrency ? 0 : CONFIG.fxFee;
+}
 
-      case 'datasets_drop':
-        for (const market of Object.values(state.markets)) {
-          market.prices.datasets = Math.round(market.prices.datasets * 0.7);
-        }
-        break;
+// Starting rates for every currency other than the base one the pack's markets use
+function createExchangeRates(pack) {
+  const rates = {};
+  for (const market of Object.values(pack.MARKETS)) {
+    if (market.currency && market.currency !== pack.CONFIG.baseCurrency) {
+      rates[market.currency] = pack.CURRENCIES[market.currency].rate;
+    }
+  }
+  return rates;
+}
 
-      case 'restrict':
-        if (event.market && event.good) {
-          const market = state.markets[event.market];
-          if (!market.restricted.includes(event.good)) {
-            market.restricted.push(event.good);
-          }
-        }
-        break;
+// Rates wander like prices, pulled back toward their CURRENCIES level.
+// Returns { [currency]: { old, new } }
+function updateExchangeRates(state) {
+  const { CURRENCIES } = getContentPack(state);
+  const changes = {};
+  for (const [currency, oldRate] of Object.entries(state.fxRates)) {
+    const { rate, volatility } = CURRENCIES[currency];
+    const drifted = oldRate * (1 + (random(state) - 0.5) * 2 * volatility) * 0.9 + rate * 0.1;
+    state.fxRates[currency] = Number(clamp(drifted, rate * 0.7, rate * 1.3).toFixed(4));
+    changes[currency] = { old: oldRate, new: state.fxRates[currency] };
+  }
+  return changes;
+}
 
-      case 'unrestrict':
-        // Remove a random restriction
-        for (const market of Object.values(state.markets)) {
-          if (market.restricted.length > 0) {
-            market.restricted.pop();
-            break;
-          }
-        }
-        break;
+// Dollar value of the cash held in other currencies
+export function getForeignCashValue(state) {
+  return Object.entries(state.player.cash)
+    .reduce((sum, [currency, amount]) => sum + Math.round(amount * getExchangeRate(state, currency)), 0);
+}
 
-      case 'seize':
-        if (event.good && event.quantity) {
-          const currentQty = state.player.inventory[event.good] || 0;
-          if (currentQty > 0) {
-            const seizeQty = Math.min(event.quantity, currentQty);
-            // Reduce cost basis proportionally
-            const currentCostBasis = state.player.costBasis[event.good] || 0;
-            const costBasisReduction = (seizeQty / currentQty) * currentCostBasis;
-            state.player.costBasis[event.good] = currentCostBasis - costBasisReduction;
-
-            state.player.inventory[event.good] = currentQty - seizeQty;
-            if (state.player.inventory[event.good] === 0) {
-              delete state.player.inventory[event.good];
-              delete state.player.costBasis[event.good];
-            }
-          }
-        }
-        break;
+function adjustCash(state, currency, delta) {
+  state.player.cash[currency] = (state.player.cash[currency] || 0) + delta;
+  if (state.player.cash[currency] === 0) delete state.player.cash[currency];
+}
 
-      case 'money_loss':
-      case 'fine':
-        state.player.balance = Math.max(0, state.player.balance - event.amount);
-        break;
+// What changing an amount of one currency into another gives, after the
+// fee (taken in dollars). Returns { value, fee, received }
+export function getExchangeQuote(state, from, to, amount) {
+  const { CONFIG } = getContentPack(state);
+  const value = Math.round(amount * getExchangeRate(state, from));
+  const fee = Math.round(value * CONFIG.fxFee);
+  return { value, fee, received: Math.floor((value - fee) / getExchangeRate(state, to)) };
+}
 
-      case 'money_gain':
-        state.player.balance += event.amount;
-        break;
+// Tariff and conversion charges on a fill, for trade summaries
+function describeFillCharges(fill) {
+  return (fill.tariff > 0 ? `, tariff ${formatMoney(fill.tariff)}` : '') +
+    (fill.fx > 0 ? `, conversion ${formatMoney(fill.fx)}` : '');
+}
 
-      // Opportunity effects are handled at sell time (stored in pendingEvents)
-      case 'premium_sell':
-      case 'discount_buy':
-        state.pendingEvents.push(event);
-        break;
-    }
-  }
+export function formatCash(state, currency, amount) {
+  const { CURRENCIES } = getContentPack(state);
+  return (CURRENCIES[currency]?.symbol ?? `${currency} `) + Math.round(amount).toLocaleString();
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Milestone Checking
+// Event System
 // ─────────────────────────────────────────────────────────────────────────────
 
-function checkMilestones(state) {
-  const achieved = [];
-  const netWorth = calculateNetWorth(state);
+// Chance of an event firing this turn, per its odds (see EVENTS); 0 when it can't apply
+function getEventProbability(state, eventData, reputationMod, isTraveling, destination) {
+  const { MARKETS } = getContentPack(state);
+  const odds = eventData.odds || {};
 
-  // Update peak net worth
-  if (netWorth > state.stats.peakNetWorth) {
-    state.stats.peakNetWorth = netWorth;
+  // Customs events only hit cargo on the road, at the destination's risk
+  const isCustoms = odds.source === 'customs';
+  if (isCustoms) {
+    if (!isTraveling || !destination || !MARKETS[destination]) return 0;
+    if (calculateInventoryUsed(state.player.inventory) === 0) return 0;
+  }
+  if (odds.shield && state.purchasedUpgrades.includes(odds.shield.upgrade) && random(state) < odds.shield.chance) {
+    return 0;  // The upgrade saved you
   }
 
-  for (const [id, milestone] of Object.entries(state.milestones)) {
-    if (milestone.achieved) continue;
+  const base = isCustoms ? getCustomsRisk(state, destination) + getHeatModifier(state) : eventData.probability;
+  const wealth = odds.wealth ? Math.min(odds.wealth.max, calculateNetWorth(state) / odds.wealth.per) : 0;
+  return base + wealth + reputationMod * (odds.reputation || 0);
+}
 
-    let conditionMet = false;
-    const condition = milestone.condition;
+// Goods a template may pick {good} from
+function getGoodPool(state, template) {
+  const { GOODS } = getContentPack(state);
+  const pool = template.goodPool;
 
-    switch (condition.type) {
-      case 'net_worth':
-        conditionMet = netWorth >= condition.value;
-        break;
-      case 'trades':
-        conditionMet = state.stats.totalTrades >= condition.value;
-        break;
-      case 'markets_visited':
-        conditionMet = state.stats.marketsVisited.length >= condition.value;
-        break;
-      case 'goods_traded':
-        conditionMet = state.stats.goodsTraded >= condition.value;
-        break;
-      case 'turns':
-        conditionMet = state.turn >= condition.value;
-        break;
-      case 'paid_off_debt':
-        conditionMet = state.stats.hadDebt && state.player.debt === 0;
-        break;
+  if (pool === 'held') {
+    return Object.keys(state.player.inventory).filter(g => state.player.inventory[g] > 0 && GOODS[g]);
+  }
+  if (pool === 'sanctioned') {
+    const sanctioned = new Set();
+    for (const market of Object.values(state.markets)) {
+      for (const goodId of getProjectedPolicy(state, market.id).sanctions) {
+        if (GOODS[goodId]) sanctioned.add(goodId);
+      }
     }
+    return [...sanctioned];
+  }
+  if (Array.isArray(pool)) {
+    return pool.filter(g => GOODS[g]);
+  }
+  return Object.keys(GOODS);
+}
 
-    if (conditionMet) {
-      milestone.achieved = true;
+function rollRange([min, max], state) {
+  return min + random(state) * (max - min);
+}
+
+// Roll the variable parts of a template into a concrete event
+function createEvent(state, eventId, eventData) {
+  const { GOODS, MARKETS } = getContentPack(state);
+  const template = randomChoice(state, eventData.templates);
+  const effects = template.effects || [];
+
+  const goods = getGoodPool(state, template);
+  if (goods.length === 0) return null;
+
+  const good = randomChoice(state, goods);
+  const marketIds = Object.keys(MARKETS).filter(m => state.markets[m]);
+  const market = randomChoice(state, marketIds);
+  const event = {
+    id: eventId + '_' + state.turn,
+    type: eventData.type,
+    title: eventData.title,
+    good,
+    market,
+    effects
+  };
+
+  if (template.percent) {
+    const [min, max] = template.percent;
+    event.percent = Math.floor(random(state) * (max - min + 1)) + min;
+  }
+
+  if (template.amount) {
+    const { range, of } = template.amount;
+    if (of === 'balance') {
+      event.amount = Math.floor(state.player.balance * rollRange(range, state));
+    } else if (of === 'netWorth') {
+      event.amount = Math.floor(calculateNetWorth(state) * rollRange(range, state));
+    } else {
+      event.amount = Math.floor(rollRange(range, state));
+    }
+  }
+
+  const seize = effects.find(e => e.type === 'seize');
+  if (seize) {
+    const held = state.player.inventory[good] || 0;
+    if (held === 0) return null;
+    event.quantity = Math.max(1, Math.floor(held * rollRange(seize.fraction, state)));
+  }
+
+  // Policy changes are announced with notice, and only if they change something
+  if (effects.some(e => e.type === 'policy')) {
+    const [min, max] = getContentPack(state).CONFIG.policyNotice;
+    event.delay = Math.floor(random(state) * (max - min + 1)) + min;
+    if (!effects.some(e => e.type === 'policy' && getPolicyChanges(state, event, e).length > 0)) return null;
+  }
+
+  // A bank failure only matters where the player has savings
+  if (effects.some(e => e.type === 'bank_failure')) {
+    const saved = state.savings[market] || 0;
+    if (saved === 0) return null;
+    event.amount = Math.floor(saved * (event.percent || 0) / 100);
+  }
+
+  event.description = template.text
+    .replace(/\$?\{amount\}/, () => formatMoney(event.amount || 0))
+    .replace('{good}', () => GOODS[good].name)
+    .replace('{market}', () => MARKETS[market].name)
+    .replace('{percent}', () => event.percent)
+    .replace('{quantity}', () => event.quantity)
+    .replace('{delay}', () => event.delay);
+
+  return event;
+}
+
+function rollForEvents(state, isTraveling = false, destination = null) {
+  const { EVENTS, CONFIG } = getContentPack(state);
+  const events = [];
+  const here = isTraveling && destination ? destination : state.player.location;
+  const reputationMod = (getReputation(state, here) - 50) * CONFIG.reputationEventModifier;
+
+  for (const [eventId, eventData] of Object.entries(EVENTS)) {
+    const prob = getEventProbability(state, eventData, reputationMod, isTraveling, destination);
+    if (prob > 0 && random(state) < prob) {
+      const event = createEvent(state, eventId, eventData);
+      if (event) {
+        events.push(event);
+      }
+    }
+  }
+
+  return events;
+}
+
+// Scale a good's price in every market that trades it
+function scaleGoodPrice(state, goodId, factor, marketIds = Object.keys(state.markets)) {
+  for (const marketId of marketIds) {
+    const market = state.markets[marketId];
+    if (market && market.prices[goodId] !== undefined) {
+      market.prices[goodId] = Math.round(market.prices[goodId] * factor);
+    }
+  }
+}
+
+// Take up to `quantity` of a good out of inventory, reducing cost basis
+// proportionally. Returns how many were actually removed.
+function removeCargo(state, goodId, quantity) {
+  const currentQty = state.player.inventory[goodId] || 0;
+  const removed = Math.min(quantity, currentQty);
+  if (removed <= 0) return 0;
+
+  const currentCostBasis = state.player.costBasis[goodId] || 0;
+  state.player.costBasis[goodId] = currentCostBasis - (removed / currentQty) * currentCostBasis;
+
+  state.player.inventory[goodId] = currentQty - removed;
+  if (state.player.inventory[goodId] === 0) {
+    delete state.player.inventory[goodId];
+    delete state.player.costBasis[goodId];
+  }
+  return removed;
+}
+
+// Resolve an effect's goods/markets selectors against the current game
+function resolveTargets(state, event, effect) {
+  const { GOODS } = getContentPack(state);
+  const goodsSel = effect.goods || 'rolled';
+  const marketsSel = effect.markets || 'all';
+
+  let goods;
+  if (goodsSel === 'all') goods = Object.keys(GOODS);
+  else if (goodsSel === 'rolled') goods = event.good ? [event.good] : [];
+  else goods = goodsSel.filter(g => GOODS[g]);
+
+  let markets;
+  if (marketsSel === 'all') markets = Object.keys(state.markets);
+  else if (marketsSel === 'rolled') markets = event.market ? [event.market] : [];
+  else markets = marketsSel.filter(m => state.markets[m]);
+
+  return { goods, markets };
+}
+
+function applyEffect(state, event, effect) {
+  const { goods, markets } = resolveTargets(state, event, effect);
+
+  switch (effect.type) {
+    case 'price': {
+      const factor = effect.multiplier !== undefined
+        ? effect.multiplier
+        : 1 + (effect.direction === 'down' ? -1 : 1) * (event.percent || 0) / 100;
+      for (const goodId of goods) {
+        scaleGoodPrice(state, goodId, factor, markets);
+      }
+      break;
+    }
+
+    case 'price_shock':
+      for (const goodId of goods) {
+        for (const marketId of markets) {
+          const shift = (random(state) * 2 - 1) * effect.percent / 100;
+          scaleGoodPrice(state, goodId, 1 + shift, [marketId]);
+        }
+      }
+      break;
+
+    case 'money':
+      if (effect.direction === 'up') {
+        state.player.balance += event.amount;
+      } else {
+        state.player.balance = Math.max(0, state.player.balance - event.amount);
+      }
+      break;
+
+    case 'bank_failure':
+      for (const marketId of markets) {
+        const saved = state.savings[marketId] || 0;
+        state.savings[marketId] = saved - Math.floor(saved * (event.percent || 0) / 100);
+        if (state.savings[marketId] === 0) delete state.savings[marketId];
+      }
+      break;
+
+    case 'seize':
+      if (event.quantity) {
+        removeCargo(state, event.good, event.quantity);
+        addHeat(state, getContentPack(state).CONFIG.heatGain.seizure);
+      }
+      break;
+
+    case 'policy':
+      state.policyChanges.push(...getPolicyChanges(state, event, effect));
+      break;
+
+    // Opportunities are used at buy/sell time (stored in pendingEvents)
+    case 'opportunity':
+      state.pendingEvents.push({
+        id: event.id,
+        type: event.type,
+        title: event.title,
+        description: event.description,
+        effect: effect.kind,
+        good: event.good,
+        percent: event.percent,
+        turn: state.turn,
+        turnsRemaining: effect.duration
+      });
+      break;
+
+    case 'condition':
+      state.conditions.push({
+        id: event.id,
+        kind: effect.kind,
+        title: effect.label || event.title,
+        goods: effect.kind === 'customs' ? null : goods,
+        markets,
+        ...(effect.kind === 'customs' ? { delta: effect.delta } : { factor: effect.factor }),
+        turn: state.turn,
+        turnsRemaining: effect.duration
+      });
+      break;
+
+    case 'capacity':
+      state.pendingEvents.push({
+        id: event.id,
+        type: event.type,
+        title: event.title,
+        description: event.description,
+        effect: 'capacity',
+        delta: effect.delta,
+        turn: state.turn,
+        turnsRemaining: effect.duration
+      });
+      break;
+  }
+}
+
+function applyEvents(state, events) {
+  for (const event of events) {
+    for (const effect of event.effects || []) {
+      applyEffect(state, event, effect);
+    }
+  }
+}
+
+// An intel tip has come due: accurate tips move the good's price everywhere,
+// bad ones were noise. Returns { good, direction, accurate, percent }.
+function resolveIntelTip(state, tip) {
+  const { GOODS } = getContentPack(state);
+  if (!GOODS[tip.good]) return null;
+
+  // Saves from before tips could be wrong only stored accurate ones
+  const accurate = tip.accurate !== false;
+  const outcome = { good: tip.good, direction: tip.direction, accurate, percent: 0 };
+
+  if (accurate) {
+    outcome.percent = Math.floor(random(state) * 16) + 15;
+    const sign = tip.direction === 'fall' ? -1 : 1;
+    scaleGoodPrice(state, tip.good, 1 + sign * outcome.percent / 100);
+  }
+
+  return outcome;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Milestone Checking
+// ─────────────────────────────────────────────────────────────────────────────
+
+function checkMilestones(state) {
+  const achieved = [];
+  const netWorth = calculateNetWorth(state);
+
+  // Update peak net worth
+  if (netWorth > state.stats.peakNetWorth) {
+    state.stats.peakNetWorth = netWorth;
+  }
+
+  for (const [id, milestone] of Object.entries(state.milestones)) {
+    if (milestone.achieved) continue;
+
+    let conditionMet = false;
+    const condition = milestone.condition;
+
+    switch (condition.type) {
+      case 'net_worth':
+        conditionMet = netWorth >= condition.value;
+        break;
+      case 'trades':
+        conditionMet = state.stats.totalTrades >= condition.value;
+        break;
+      case 'markets_visited':
+        conditionMet = state.stats.marketsVisited.length >= condition.value;
+        break;
+      case 'goods_traded':
+        conditionMet = state.stats.goodsTraded >= condition.value;
+        break;
+      case 'turns':
+        conditionMet = state.turn >= condition.value;
+        break;
+      case 'paid_off_debt':
+        conditionMet = state.stats.hadDebt && state.player.debt === 0;
+        break;
+    }
+
+    if (conditionMet) {
+      milestone.achieved = true;
       milestone.achievedOnTurn = state.turn;
       achieved.push(milestone);
 
@@ -619,19 +1212,28 @@ function checkMilestones(state) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 function checkGameOver(state) {
+  const { CONFIG } = getContentPack(state);
   const netWorth = calculateNetWorth(state);
 
-  // Bankruptcy: debt exceeds 3x net worth (or net worth is negative with debt)
+  // Bankruptcy: debt exceeds 3x net worth (or net worth is negative with debt).
+  // Outside hardcore runs the court offers a restructuring plan first
   if (state.player.debt > 0) {
     if (netWorth <= 0 || state.player.debt > netWorth * CONFIG.bankruptcyMultiplier) {
+      if (!CONFIG.hardcoreBankruptcy && state.stats.restructurings < CONFIG.maxRestructurings) {
+        // Enforcers already at the door go first; the court sits next turn
+        if (!state.pendingChoice) {
+          state.pendingChoice = createRestructuringChoice(state);
+        }
+        return false;
+      }
       state.gameOver = true;
       state.gameOverReason = 'bankruptcy';
       return true;
     }
   }
 
-  // Destitution: no money, no inventory, can't borrow
-  if (state.player.balance <= 0 &&
+  // Destitution: no money in any currency, no savings, no inventory, can't borrow
+  if (state.player.balance <= 0 && getForeignCashValue(state) === 0 && getSavingsTotal(state) === 0 &&
       calculateInventoryUsed(state.player.inventory) === 0 &&
       getMaxBorrowable(state) <= 0) {
     state.gameOver = true;
@@ -647,21 +1249,23 @@ function checkGameOver(state) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 function rollForTravelChoice(state, destination) {
-  const reputationMod = (state.player.reputation - 50) * CONFIG.reputationEventModifier;
+  const { MARKETS, TRAVEL_CHOICES, CONFIG } = getContentPack(state);
+  const reputationMod = (getReputation(state, destination) - 50) * CONFIG.reputationEventModifier;
 
   for (const [eventId, eventData] of Object.entries(TRAVEL_CHOICES)) {
     // Check if event requires restricted goods
     if (eventData.requiresRestrictedGoods) {
       const destMarket = MARKETS[destination];
-      const hasRestricted = Object.keys(state.player.inventory).some(
-        goodId => state.player.inventory[goodId] > 0 && destMarket.restrictedGoods[goodId]
+      const hasRestricted = !state.customsDeclared && Object.keys(state.player.inventory).some(
+        goodId => state.player.inventory[goodId] > 0 && destMarket.restrictedGoods[goodId] &&
+          !hasLicense(state, destination, goodId)
       );
       if (!hasRestricted) continue;
     }
 
     // Roll for event with reputation modifier
     const prob = eventData.probability + reputationMod * 0.3;
-    if (Math.random() < prob) {
+    if (random(state) < prob) {
       return generateChoiceEvent(eventData, state, destination);
     }
   }
@@ -670,23 +1274,25 @@ function rollForTravelChoice(state, destination) {
 }
 
 function generateChoiceEvent(eventData, state, destination) {
-  const template = randomChoice(eventData.templates);
-  const goodId = randomChoice(Object.keys(GOODS));
+  const { GOODS } = getContentPack(state);
+  const template = randomChoice(state, eventData.templates);
+  const goodId = randomChoice(state, Object.keys(GOODS));
   const good = GOODS[goodId];
+  const reputation = getReputation(state, destination);
 
   // Generate event-specific parameters
   const params = {
     good: good.name,
     goodId,
-    quantity: Math.floor(Math.random() * 5) + 1,
-    discount: Math.floor(Math.random() * 30) + 20, // 20-50%
-    risk: Math.floor(Math.random() * 25) + 15,     // 15-40%
-    amount: Math.floor(state.player.balance * (0.1 + Math.random() * 0.3)), // 10-40% of balance
-    entryFee: Math.floor(Math.random() * 15000) + 5000,
-    cost: Math.floor(Math.random() * 10000) + 5000,
-    company: eventData.companies ? randomChoice(eventData.companies) : 'NVIDIA',
-    accuracy: Math.floor(50 + state.player.reputation * 0.3), // 50-80% based on rep
-    success: Math.floor(60 + state.player.reputation * 0.2)   // 60-80% based on rep
+    quantity: Math.floor(random(state) * 5) + 1,
+    discount: Math.floor(random(state) * 30) + 20, // 20-50%
+    risk: Math.floor(random(state) * 25) + 15,     // 15-40%
+    amount: Math.floor(state.player.balance * (0.1 + random(state) * 0.3)), // 10-40% of balance
+    entryFee: Math.floor(random(state) * 15000) + 5000,
+    cost: Math.floor(random(state) * 10000) + 5000,
+    company: eventData.companies ? randomChoice(state, eventData.companies) : 'NVIDIA',
+    accuracy: Math.floor(50 + reputation * 0.3), // 50-80% based on rep
+    success: Math.floor(60 + reputation * 0.2)   // 60-80% based on rep
   };
 
   // Build display text
@@ -712,6 +1318,7 @@ function generateChoiceEvent(eventData, state, destination) {
 }
 
 function resolveChoiceEvent(state, choiceId) {
+  const { GOODS, MARKETS } = getContentPack(state);
   const choice = state.pendingChoice;
   if (!choice) return { success: false, message: 'No pending choice' };
 
@@ -720,7 +1327,7 @@ function resolveChoiceEvent(state, choiceId) {
   switch (choice.type) {
     case 'shady_deal':
       if (choiceId === 'accept') {
-        const roll = Math.random() * 100;
+        const roll = random(state) * 100;
         if (roll > choice.params.risk) {
           // Success - get the goods at discount
           const price = Math.round(
@@ -762,7 +1369,7 @@ function resolveChoiceEvent(state, choiceId) {
     case 'gambling':
       if (choiceId === 'gamble') {
         const amount = Math.min(choice.params.amount, state.player.balance);
-        if (Math.random() < 0.5) {
+        if (random(state) < 0.5) {
           state.player.balance += amount;
           result.message = `You won! Doubled your money: +${formatMoney(amount)}`;
           result.gainedMoney = amount;
@@ -775,7 +1382,7 @@ function resolveChoiceEvent(state, choiceId) {
         const fee = Math.min(choice.params.entryFee, state.player.balance);
         state.player.balance -= fee;
         // Random prize - could be great or terrible
-        const multiplier = Math.random() < 0.3 ? (2 + Math.random() * 3) : (Math.random() * 0.5);
+        const multiplier = random(state) < 0.3 ? (2 + random(state) * 3) : (random(state) * 0.5);
         const prize = Math.round(fee * multiplier);
         state.player.balance += prize;
         if (prize > fee) {
@@ -797,18 +1404,20 @@ function resolveChoiceEvent(state, choiceId) {
         result.lostMoney = cost;
 
         // Generate intel (may be true or false)
-        const isAccurate = Math.random() * 100 < choice.params.accuracy;
-        const priceDirection = Math.random() < 0.5 ? 'rise' : 'fall';
+        const isAccurate = random(state) * 100 < choice.params.accuracy;
+        const priceDirection = random(state) < 0.5 ? 'rise' : 'fall';
+
+        // Either way the tip plays out in a turn or two (see resolveIntelTip)
+        state.pendingEvents.push({
+          type: 'intel_tip',
+          good: choice.params.goodId,
+          direction: priceDirection,
+          accurate: isAccurate,
+          turn: state.turn,
+          turnsRemaining: Math.floor(random(state) * 2) + 1
+        });
 
         if (isAccurate) {
-          // Schedule a real price event for next turn
-          const eventGood = choice.params.goodId;
-          state.pendingEvents.push({
-            type: 'intel_tip',
-            good: eventGood,
-            direction: priceDirection,
-            turnsRemaining: Math.floor(Math.random() * 2) + 1
-          });
           result.message = `Intel acquired: "${choice.params.good} prices will ${priceDirection} soon."`;
         } else {
           // Bad intel - just a vague message
@@ -821,11 +1430,13 @@ function resolveChoiceEvent(state, choiceId) {
 
     case 'smuggler':
       if (choiceId === 'use_smuggler') {
+        const { CONFIG } = getContentPack(state);
         const cost = Math.min(choice.params.cost, state.player.balance);
         state.player.balance -= cost;
         result.lostMoney = cost;
+        addHeat(state, CONFIG.heatGain.smuggler);
 
-        if (Math.random() * 100 < choice.params.success) {
+        if (random(state) * 100 < choice.params.success) {
           result.message = `Smuggler succeeded! Your cargo made it through safely.`;
           // Mark this travel as "smuggled" - skip seizure check
           state._smuggledThisTrip = true;
@@ -834,18 +1445,71 @@ function resolveChoiceEvent(state, choiceId) {
           const destMarket = MARKETS[choice.destination];
           let seized = [];
           for (const [goodId, qty] of Object.entries(state.player.inventory)) {
-            if (qty > 0 && destMarket.restrictedGoods[goodId]) {
+            if (qty > 0 && destMarket.restrictedGoods[goodId] && !hasLicense(state, choice.destination, goodId)) {
               seized.push(`${qty}x ${GOODS[goodId].name}`);
               delete state.player.inventory[goodId];
               delete state.player.costBasis[goodId];
             }
           }
+          addHeat(state, CONFIG.heatGain.seizure);
+          adjustReputation(state, choice.destination, CONFIG.seizureReputation);
           result.message = `Smuggler caught! Lost all restricted cargo: ${seized.join(', ')}`;
         }
       } else {
         result.message = 'You declined the smuggler. Taking the normal route.';
       }
       break;
+
+    // Enforcers sent after a late loan (see rollForCollections)
+    case 'collection': {
+      const stage = getContentPack(state).COLLECTIONS[choice.id];
+      const loan = state.loans.find(l => l.id === choice.params.loanId);
+      if (!loan) {
+        result.message = 'The debt is already settled. The enforcers leave.';
+      } else if (choiceId === 'pay') {
+        const due = Math.min(choice.params.demand, loan.balance);
+        const paid = Math.min(due, Math.max(0, state.player.balance));
+        state.player.balance -= paid;
+        loan.balance -= paid;
+        result.lostMoney = paid;
+        if (paid >= due) {
+          loan.dueTurn = state.turn + stage.reprieve;
+          result.message = `You pay ${formatMoney(paid)}. They give you until turn ${loan.dueTurn} for the rest.`;
+        } else {
+          result.message = `You hand over all ${formatMoney(paid)} you have. They'll be back.`;
+        }
+      } else if (choiceId === 'hand_over' && state.player.inventory[choice.params.goodId]) {
+        const goodId = choice.params.goodId;
+        const seized = seizeForLoan(state, loan, goodId, state.player.inventory[goodId]);
+        result.message = `They load up ${seized.quantity}x ${GOODS[goodId].name} and knock ${formatMoney(seized.value)} off the loan.`;
+      } else {
+        const fee = Math.round(loan.balance * stage.refusal.fee);
+        loan.balance += fee;
+        state.player.reputation = Math.max(0, state.player.reputation + stage.refusal.reputation);
+        result.message = `You send them away. The loan grows by ${formatMoney(fee)} and the whole market hears about it.`;
+      }
+      syncDebt(state);
+      break;
+    }
+
+    // Filing a plan, or not, once insolvent (see checkGameOver)
+    case 'bankruptcy': {
+      const plan = getContentPack(state).RESTRUCTURING.plans[choiceId];
+      if (!plan) {
+        if (choiceId !== 'liquidate') {
+          return { success: false, message: `Unknown restructuring plan: ${choiceId}` };
+        }
+        state.gameOver = true;
+        state.gameOverReason = 'bankruptcy';
+        result.message = 'You walk away. The creditors take everything.';
+        break;
+      }
+      const terms = restructure(state, plan);
+      const surrendered = [`${terms.units} units of stock`, ...terms.upgrades].join(', ');
+      result.message = `Plan confirmed. Surrendered ${surrendered}; ${formatMoney(terms.writtenOff)} written off` +
+        (terms.loan ? `, ${formatMoney(terms.loan.balance)} to repay by turn ${terms.loan.dueTurn}.` : '.');
+      break;
+    }
   }
 
   state.pendingChoice = null;
@@ -854,34 +1518,33 @@ function resolveChoiceEvent(state, choiceId) {
 
 // Check for seizure when traveling to restricted market
 function checkSeizureRisk(state, destination) {
+  const { GOODS, MARKETS, CONFIG } = getContentPack(state);
   if (state._smuggledThisTrip) {
     delete state._smuggledThisTrip;
     return [];
   }
+  if (state.customsDeclared) return [];
 
   const destMarket = MARKETS[destination];
   const seized = [];
-  const reputationMod = (state.player.reputation - 50) * 0.002; // 0.2% per rep point
+  const { customsMultiplier } = getShippingMode(state, state.shippingMode);
 
   for (const [goodId, restriction] of Object.entries(destMarket.restrictedGoods || {})) {
     const qty = state.player.inventory[goodId] || 0;
-    if (qty <= 0) continue;
+    if (qty <= 0 || hasLicense(state, destination, goodId)) continue;
 
-    const seizureChance = Math.max(0.05, restriction.seizureRisk - reputationMod);
+    const seizureChance = getSeizureChance(state, destination, restriction, customsMultiplier);
 
     // Check if cargo insurance helps
     const hasInsurance = state.purchasedUpgrades.includes('insurance');
-    const insuranceSaves = hasInsurance && Math.random() < 0.5;
+    const insuranceSaves = hasInsurance && random(state) < 0.5;
 
-    if (Math.random() < seizureChance && !insuranceSaves) {
+    if (random(state) < seizureChance && !insuranceSaves) {
       // Seize a portion (30-70% of that good)
-      const seizePercent = 0.3 + Math.random() * 0.4;
+      const seizePercent = 0.3 + random(state) * 0.4;
       const seizeQty = Math.max(1, Math.floor(qty * seizePercent));
 
       state.player.inventory[goodId] -= seizeQty;
-      if (state.player.inventory[goodId] <= 0) {
-        delete state.player.inventory[goodId];
-      }
 
       // Reduce cost basis proportionally
       if (state.player.costBasis[goodId]) {
@@ -890,13 +1553,18 @@ function checkSeizureRisk(state, destination) {
         );
       }
 
+      if (state.player.inventory[goodId] <= 0) {
+        delete state.player.inventory[goodId];
+        delete state.player.costBasis[goodId];
+      }
+
       seized.push({
         good: goodId,
         goodName: GOODS[goodId].name,
         quantity: seizeQty,
         insuranceSaved: false
       });
-    } else if (insuranceSaves && Math.random() < seizureChance) {
+    } else if (insuranceSaves && random(state) < seizureChance) {
       seized.push({
         good: goodId,
         goodName: GOODS[goodId].name,
@@ -906,23 +1574,38 @@ function checkSeizureRisk(state, destination) {
     }
   }
 
+  // Customs remembers who it caught
+  if (seized.some(s => !s.insuranceSaved)) {
+    addHeat(state, CONFIG.heatGain.seizure);
+    adjustReputation(state, destination, CONFIG.seizureReputation);
+  }
+
   return seized;
 }
 
-// Get at-risk goods for travel confirmation
-export function getAtRiskGoods(state, destination) {
+// Get at-risk goods for travel confirmation, with what it would cost to
+// declare them (duty) or carry them under license instead. Licensed goods
+// aren't at risk
+export function getAtRiskGoods(state, destination, modeId = null) {
+  const { GOODS, MARKETS } = getContentPack(state);
   const destMarket = MARKETS[destination];
+  const { customsMultiplier } = getShippingMode(state, modeId);
   const atRisk = [];
 
   for (const [goodId, restriction] of Object.entries(destMarket.restrictedGoods || {})) {
     const qty = state.player.inventory[goodId] || 0;
-    if (qty > 0) {
+    if (qty > 0 && !hasLicense(state, destination, goodId)) {
+      const { duty, license } = getComplianceTerms(state, restriction);
       atRisk.push({
         goodId,
         goodName: GOODS[goodId].name,
         quantity: qty,
-        seizureRisk: Math.round(restriction.seizureRisk * 100),
-        pricePremium: Math.round((restriction.pricePremium - 1) * 100)
+        seizureRisk: Math.round(getSeizureChance(state, destination, restriction, customsMultiplier) * 100),
+        pricePremium: Math.round((restriction.pricePremium - 1) * 100),
+        dutyRate: Math.round(duty * 100),
+        duty: Math.round((state.markets[destination].prices[goodId] || 0) * qty * duty),
+        licenseCost: license.cost,
+        licenseTurns: license.turns
       });
     }
   }
@@ -931,390 +1614,1653 @@ export function getAtRiskGoods(state, destination) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Oracle System
+// Customs Compliance
+// Restricted cargo can be declared at the border (duty on its local value) or
+// covered by an export license for a good and market, bought ahead of time.
 // ─────────────────────────────────────────────────────────────────────────────
 
-function rollForOracle(state) {
-  if (Math.random() < ORACLE.probability) {
-    const prediction = randomChoice(ORACLE.predictions);
-    const goodId = randomChoice(Object.keys(GOODS));
-    const marketId = randomChoice(Object.keys(MARKETS));
-
-    let text = prediction.text
-      .replace('{good}', GOODS[goodId].name)
-      .replace('{market}', MARKETS[marketId].name);
+function getComplianceTerms(state, restriction) {
+  const { CONFIG } = getContentPack(state);
+  return {
+    duty: restriction.duty ?? CONFIG.defaultDuty,
+    license: restriction.license || CONFIG.defaultLicense
+  };
+}
 
-    // Adjust accuracy based on reputation
-    const adjustedAccuracy = prediction.accuracy + (state.player.reputation - 50) * 0.003;
+export function hasLicense(state, marketId, goodId) {
+  return (state.licenses || []).some(l => l.market === marketId && l.good === goodId && l.expiresTurn >= state.turn);
+}
 
-    return {
-      text,
-      type: prediction.type,
-      good: goodId,
-      market: marketId,
-      accuracy: adjustedAccuracy,
-      cost: ORACLE.baseCost,
-      isFree: Math.random() < 0.3  // 30% chance of free hint
-    };
-  }
-  return null;
+// Drop licenses whose last turn has passed. Returns them
+function expireLicenses(state) {
+  const expired = state.licenses.filter(l => l.expiresTurn <= state.turn);
+  state.licenses = state.licenses.filter(l => !expired.includes(l));
+  return expired;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Action Processing
+// Travel
 // ─────────────────────────────────────────────────────────────────────────────
 
-export function processAction(state, action) {
-  // Clone state to avoid mutation
-  state = deepClone(state);
-
-  const response = {
-    success: false,
-    error: null,
-    state,
-    events: [],
-    priceChanges: {},
-    milestonesAchieved: [],
-    netWorth: 0,
-    turnSummary: '',
-    // New choice system
-    choiceEvent: null,
-    choiceResult: null,
-    seizures: [],
-    oracleMessage: null
-  };
+// Set off once the fare is paid and any encounter resolved. Single-turn
+// routes arrive straight away; longer ones leave the player in transit.
+function departFor(state, destination, response) {
+  const { MARKETS } = getContentPack(state);
+  const { turns } = getTripQuote(state, destination, state.shippingMode);
 
-  // Check if game is over
-  if (state.gameOver) {
-    response.error = 'Game is over. Start a new game.';
-    response.netWorth = calculateNetWorth(state);
-    return response;
+  if (turns <= 1) {
+    arriveAt(state, destination, response);
+    return;
   }
 
-  // If there's a pending choice, only allow resolveChoice action
-  if (state.pendingChoice && action.action !== 'resolveChoice') {
-    response.error = 'You must resolve the current choice first.';
-    response.choiceEvent = state.pendingChoice;
-    return response;
-  }
+  state.travelingTo = destination;
+  state.travelTurnsRemaining = turns - 1;
+  response.turnSummary += `Departed for ${MARKETS[destination].name}. Arriving in ${turns} turns. `;
+}
 
-  const market = state.markets[state.player.location];
+// One more turn on the road (the turn's events roll as in transit)
+function continueTravel(state, response) {
+  const { MARKETS } = getContentPack(state);
+  const destination = state.travelingTo;
+  state.travelTurnsRemaining--;
 
-  // Process the action
-  switch (action.action) {
-    case 'buy': {
-      const { good, quantity } = action;
+  if (state.travelTurnsRemaining <= 0) {
+    state.travelingTo = null;
+    state.travelTurnsRemaining = 0;
+    arriveAt(state, destination, response);
+  } else {
+    response.turnSummary += `En route to ${MARKETS[destination].name}. ${state.travelTurnsRemaining} turn${state.travelTurnsRemaining === 1 ? '' : 's'} to go. `;
+  }
+}
 
-      // Validation
-      if (!GOODS[good]) {
-        response.error = `Invalid good: ${good}`;
-        return response;
-      }
-      if (quantity <= 0) {
-        response.error = 'Quantity must be greater than 0';
-        return response;
-      }
-      if (market.restricted.includes(good)) {
-        response.error = `${GOODS[good].name} is restricted in this market`;
-        return response;
-      }
+// Each trip may wreck 10-30% of one good, depending on the shipping mode
+function rollCargoDamage(state, mode) {
+  const { GOODS } = getContentPack(state);
+  const held = Object.keys(state.player.inventory).filter(g => state.player.inventory[g] > 0);
+  if (held.length === 0 || !(random(state) < mode.damageChance)) return null;
 
-      const price = market.prices[good];
+  const goodId = randomChoice(state, held);
+  const qty = state.player.inventory[goodId];
+  const quantity = removeCargo(state, goodId, Math.max(1, Math.floor(qty * (0.1 + random(state) * 0.2))));
+  return { goodId, goodName: GOODS[goodId].name, quantity };
+}
 
-      // Check for discount opportunity
-      let finalPrice = price;
-      const discountEvent = state.pendingEvents.find(
-        e => e.effect === 'discount_buy' && e.good === good
-      );
-      if (discountEvent) {
-        finalPrice = Math.round(price * (1 - discountEvent.percent / 100));
-        state.pendingEvents = state.pendingEvents.filter(e => e !== discountEvent);
-        response.turnSummary += `Used discount: -${discountEvent.percent}%! `;
+// Clear customs at the destination and step into its market
+function arriveAt(state, destination, response) {
+  const { MARKETS } = getContentPack(state);
+
+  // Check for seizure of restricted goods (unless smuggler succeeded)
+  const seizures = checkSeizureRisk(state, destination);
+  if (seizures.length > 0) {
+    response.seizures = seizures;
+    for (const s of seizures) {
+      if (s.insuranceSaved) {
+        response.turnSummary += `Insurance saved your ${s.goodName}! `;
+      } else {
+        response.turnSummary += `Customs seized ${s.quantity}x ${s.goodName}! `;
       }
+    }
+  }
 
-      const totalCost = finalPrice * quantity;
+  // Roll for customs events at the border
+  const travelEvents = rollForEvents(state, true, destination);
+  response.events.push(...travelEvents);
+  applyEvents(state, travelEvents);
 
-      if (totalCost > state.player.balance) {
-        response.error = `Insufficient funds. Need ${formatMoney(totalCost)}, have ${formatMoney(state.player.balance)}`;
-        return response;
-      }
+  // Rough handling on the way
+  const damage = rollCargoDamage(state, getShippingMode(state, state.shippingMode));
+  if (damage) {
+    response.damagedCargo = damage;
+    response.turnSummary += `Rough trip: ${damage.quantity}x ${damage.goodName} damaged beyond repair. `;
+  }
 
-      const inventoryUsed = calculateInventoryUsed(state.player.inventory);
-      if (inventoryUsed + quantity > state.player.inventoryCapacity) {
-        response.error = `Insufficient cargo space. Need ${quantity} slots, have ${state.player.inventoryCapacity - inventoryUsed}`;
-        return response;
-      }
+  state.shippingMode = null;
+  state.customsDeclared = false;
+  state.player.location = destination;
+  if (!state.stats.marketsVisited.includes(destination)) {
+    state.stats.marketsVisited.push(destination);
+  }
+  response.turnSummary += `Arrived at ${MARKETS[destination].name}. `;
+}
 
-      // Execute buy
-      state.player.balance -= totalCost;
-      state.player.inventory[good] = (state.player.inventory[good] || 0) + quantity;
-      state.player.costBasis[good] = (state.player.costBasis[good] || 0) + totalCost;
-      state.stats.totalTrades++;
-      state.stats.goodsTraded += quantity;
+// ─────────────────────────────────────────────────────────────────────────────
+// Limit Orders
+// ─────────────────────────────────────────────────────────────────────────────
 
-      response.turnSummary += `Bought ${quantity}x ${GOODS[good].name} for ${formatMoney(totalCost)}. `;
-      response.success = true;
-      break;
-    }
+// Cash and goods held by open orders (goods valued in the order's market)
+function getOrderBookValue(state) {
+  return (state.limitOrders || []).reduce((sum, order) => order.side === 'buy'
+    ? sum + order.reserved
+    : sum + (state.markets[order.market]?.prices[order.good] || 0) * order.quantity, 0);
+}
 
-    case 'sell': {
+// Where an order's goods change hands: the cargo while the player stands in
+// its market, otherwise the warehouse rented there. Goods never cross borders
+// through the order book. Returns { holder, space } or null if there's neither
+function getOrderHolder(state, marketId) {
+  if (!state.travelingTo && state.player.location === marketId) {
+    return { holder: state.player, space: getCargoCapacity(state) - calculateInventoryUsed(state.player.inventory) };
+  }
+  const warehouse = state.warehouses[marketId];
+  if (!warehouse) return null;
+  return { holder: warehouse, space: getWarehouseSpec(state, marketId).capacity - calculateInventoryUsed(warehouse.inventory) };
+}
+
+// Hand an order's reservation back: unused cash, or the held goods to the
+// cargo or warehouse in its market. Returns false if there's no room for them
+function releaseOrder(state, order) {
+  if (order.side === 'buy') {
+    state.player.balance += order.reserved;
+    return true;
+  }
+  const target = getOrderHolder(state, order.market);
+  if (!target || target.space < order.quantity) return false;
+  const { holder } = target;
+  holder.inventory[order.good] = (holder.inventory[order.good] || 0) + order.quantity;
+  holder.costBasis[order.good] = (holder.costBasis[order.good] || 0) + order.costBasis;
+  return true;
+}
+
+// Fill every order whose market price has crossed its limit (all-in, per
+// unit), then expire the ones whose last turn has passed. Bought goods go to
+// the cargo or warehouse in the order's market; an expired sell order with
+// nowhere to put its goods stays on the book. Runs after prices update.
+// Returns { filled, expired }
+function checkLimitOrders(state) {
+  const filled = [];
+  const expired = [];
+  const open = [];
+
+  for (const order of state.limitOrders) {
+    const market = state.markets[order.market];
+    const quote = quoteFill(state, order.market, order.good, order.quantity, order.side);
+    const crossed = order.side === 'buy'
+      ? quote.total <= order.reserved
+      : quote.average >= order.limitPrice;
+    const target = order.side === 'buy' ? getOrderHolder(state, order.market) : null;
+    const hasSpace = order.side === 'sell' || (target !== null && target.space >= order.quantity);
+
+    if (crossed && hasSpace && !isSanctioned(state, order.market, order.good)) {
+      if (order.side === 'buy') {
+        const { holder } = target;
+        state.player.balance += order.reserved - quote.total;
+        holder.inventory[order.good] = (holder.inventory[order.good] || 0) + order.quantity;
+        holder.costBasis[order.good] = (holder.costBasis[order.good] || 0) + quote.total;
+        market.pressure[order.good] = (market.pressure[order.good] || 0) + order.quantity;
+      } else {
+        state.player.balance += quote.total;
+        market.pressure[order.good] = (market.pressure[order.good] || 0) - order.quantity;
+      }
+      state.stats.totalTrades++;
+      state.stats.goodsTraded += order.quantity;
+      if (isContraband(state, order.market, order.good)) {
+        addHeat(state, getContentPack(state).CONFIG.heatGain.restrictedTrade);
+      }
+      filled.push({ ...order, total: quote.total, average: quote.average });
+    } else if (order.expiresTurn <= state.turn && releaseOrder(state, order)) {
+      expired.push(order);
+    } else {
+      open.push(order);
+    }
+  }
+
+  state.limitOrders = open;
+  return { filled, expired };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Warehouses
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Rental terms for a market's warehouse, or null if it has none to let
+export function getWarehouseSpec(state, marketId) {
+  const { MARKETS } = getContentPack(state);
+  return MARKETS[marketId]?.warehouse || null;
+}
+
+// Value of everything in storage, each at its own market's prices
+function calculateWarehouseValue(state) {
+  return Object.entries(state.warehouses || {}).reduce((sum, [marketId, warehouse]) =>
+    sum + calculateInventoryValue(warehouse.inventory, state.markets[marketId]?.prices || {}), 0);
+}
+
+// Move goods (and their share of cost basis) between two holders shaped
+// { inventory, costBasis }, i.e. the player and a warehouse
+function transferGoods(from, to, goodId, quantity) {
+  const owned = from.inventory[goodId] || 0;
+  const basis = (quantity / owned) * (from.costBasis[goodId] || 0);
+
+  from.inventory[goodId] = owned - quantity;
+  from.costBasis[goodId] = (from.costBasis[goodId] || 0) - basis;
+  if (from.inventory[goodId] === 0) {
+    delete from.inventory[goodId];
+    delete from.costBasis[goodId];
+  }
+
+  to.inventory[goodId] = (to.inventory[goodId] || 0) + quantity;
+  to.costBasis[goodId] = (to.costBasis[goodId] || 0) + basis;
+}
+
+// Charge a turn's rent on every warehouse; what the balance can't cover is
+// added to debt. Returns the total rent
+function chargeWarehouseRent(state) {
+  let total = 0;
+  for (const marketId of Object.keys(state.warehouses)) {
+    total += getWarehouseSpec(state, marketId)?.rent || 0;
+  }
+
+  chargeOrBorrow(state, total);
+  return total;
+}
+
+// Each stocked warehouse may be broken into, losing part of one good.
+// Returns [{ market, good, goodName, quantity }]
+function rollWarehouseRaids(state) {
+  const { GOODS, CONFIG } = getContentPack(state);
+  const losses = [];
+
+  for (const [marketId, warehouse] of Object.entries(state.warehouses)) {
+    const stored = Object.keys(warehouse.inventory);
+    const spec = getWarehouseSpec(state, marketId);
+    if (stored.length === 0 || !spec || random(state) >= spec.raidRisk) continue;
+
+    const goodId = randomChoice(state, stored);
+    const [minLoss, maxLoss] = CONFIG.warehouseRaidLoss;
+    const share = minLoss + random(state) * (maxLoss - minLoss);
+    const quantity = Math.max(1, Math.floor(warehouse.inventory[goodId] * share));
+    transferGoods(warehouse, { inventory: {}, costBasis: {} }, goodId, quantity);
+    losses.push({ market: marketId, good: goodId, goodName: GOODS[goodId].name, quantity });
+  }
+
+  return losses;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Forward Contracts
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Post a new offer on a market's board: some good, delivered elsewhere by a
+// deadline the route leaves time for, at a premium over today's price here
+function createContractOffer(state, marketId) {
+  const { GOODS, MARKETS, COUNTERPARTIES, CONFIG } = getContentPack(state);
+  const destination = randomChoice(state, Object.keys(MARKETS).filter(m => m !== marketId));
+  const good = randomChoice(state, Object.keys(GOODS));
+  const [minQty, maxQty] = CONFIG.contractQuantity;
+  const quantity = minQty + Math.floor(random(state) * (maxQty - minQty + 1));
+  // The premium is over the sourcing market, capped at what one unit costs at
+  // the destination so it can't be had by buying there and handing straight over
+  const price = Math.min(
+    Math.round(state.markets[marketId].prices[good] * (1 + rollRange(CONFIG.contractPremium, state))),
+    quoteFill(state, destination, good, 1, 'buy').total
+  );
+  const slack = Math.round(rollRange(CONFIG.contractSlack, state));
+
+  return {
+    id: state.nextContractId++,
+    counterparty: randomChoice(state, COUNTERPARTIES),
+    good,
+    quantity,
+    destination,
+    price,
+    deadline: state.turn + getRoute(state, marketId, destination).turns + slack,
+    deposit: Math.round(price * quantity * CONFIG.contractDeposit),
+    penalty: Math.round(price * quantity * CONFIG.contractPenalty),
+    expiresTurn: state.turn + CONFIG.contractOfferTurns
+  };
+}
+
+// Withdraw stale offers and top every board back up
+function refreshContractBoards(state) {
+  const { CONFIG } = getContentPack(state);
+  for (const [marketId, market] of Object.entries(state.markets)) {
+    market.contractOffers = market.contractOffers.filter(o => o.expiresTurn > state.turn);
+    while (market.contractOffers.length < CONFIG.contractOffersPerMarket) {
+      market.contractOffers.push(createContractOffer(state, marketId));
+    }
+  }
+}
+
+// Deposits held against accepted contracts (returned on delivery)
+function getContractDeposits(state) {
+  return (state.contracts || []).reduce((sum, c) => sum + c.deposit, 0);
+}
+
+// Contracts whose deadline has passed are forfeit: the deposit is lost, the
+// penalty is charged (debt covers any shortfall) and reputation suffers.
+// Returns the failed contracts
+function checkContractDeadlines(state) {
+  const { CONFIG } = getContentPack(state);
+  const failed = state.contracts.filter(c => c.deadline <= state.turn);
+
+  for (const contract of failed) {
+    chargeOrBorrow(state, contract.penalty);
+    adjustReputation(state, contract.destination, CONFIG.contractReputation.failed);
+  }
+
+  state.contracts = state.contracts.filter(c => !failed.includes(c));
+  return failed;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Derivatives
+// Cash-settled on a good's global average price. Futures are margined and
+// marked to market every turn; options are bought outright and pay their
+// intrinsic value when exercised or at expiry.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Average mid price of a good across every market
+export function getGlobalPrice(state, goodId) {
+  const prices = Object.values(state.markets).map(m => m.prices[goodId]);
+  return Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length);
+}
+
+// What an option would pay if exercised now, per unit
+function getOptionIntrinsic(state, position) {
+  const price = getGlobalPrice(state, position.good);
+  return Math.max(0, position.type === 'call' ? price - position.strike : position.strike - price);
+}
+
+// Per-unit price of a call or put: intrinsic value plus time value that grows
+// with the good's volatility and the square root of the turns left
+export function getOptionPremium(state, goodId, kind, strike, turns) {
+  const { GOODS, CONFIG } = getContentPack(state);
+  const price = getGlobalPrice(state, goodId);
+  const intrinsic = Math.max(0, kind === 'call' ? price - strike : strike - price);
+  const timeValue = price * (CONFIG.optionTimeValue[GOODS[goodId].volatility] || 0) * Math.sqrt(turns);
+  return Math.round(intrinsic + timeValue);
+}
+
+// What the desk would pay out for a position right now
+function getPositionValue(state, position) {
+  return position.type === 'future'
+    ? position.margin
+    : getOptionIntrinsic(state, position) * position.quantity;
+}
+
+function getPositionsValue(state) {
+  return (state.positions || []).reduce((sum, p) => sum + getPositionValue(state, p), 0);
+}
+
+// Pay a position out to the player (a future's negative margin becomes a charge)
+function settlePosition(state, position) {
+  const value = getPositionValue(state, position);
+  if (value >= 0) {
+    state.player.balance += value;
+  } else {
+    chargeOrBorrow(state, -value);
+  }
+  state.positions = state.positions.filter(p => p !== position);
+  return value;
+}
+
+// Mark futures to the new prices, calling for margin where it has run below
+// maintenance and liquidating when the balance can't cover the call, then
+// settle everything that has expired. Returns { marginCalls, liquidated, settled }
+function markPositions(state) {
+  const { CONFIG } = getContentPack(state);
+  const result = { marginCalls: [], liquidated: [], settled: [] };
+
+  for (const position of [...state.positions]) {
+    const price = getGlobalPrice(state, position.good);
+
+    if (position.type === 'future') {
+      const direction = position.side === 'long' ? 1 : -1;
+      position.margin += (price - position.lastPrice) * position.quantity * direction;
+      position.lastPrice = price;
+
+      const notional = price * position.quantity;
+      if (position.margin < notional * CONFIG.futuresMaintenanceMargin) {
+        const call = Math.round(notional * CONFIG.futuresInitialMargin - position.margin);
+        if (call <= state.player.balance) {
+          state.player.balance -= call;
+          position.margin += call;
+          result.marginCalls.push({ ...position, amount: call });
+        } else {
+          result.liquidated.push({ ...position, value: settlePosition(state, position) });
+          continue;
+        }
+      }
+    }
+
+    if (position.expiresTurn <= state.turn) {
+      result.settled.push({ ...position, value: settlePosition(state, position) });
+    }
+  }
+
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Loans
+// Each loan is owed to one of the LENDERS: { id, lender, principal, balance,
+// rate, takenTurn, dueTurn }. player.debt is kept as the total of the balances.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Drop paid-off loans and total up what's left into player.debt
+function syncDebt(state) {
+  state.loans = state.loans.filter(loan => loan.balance > 0);
+  state.player.debt = state.loans.reduce((sum, loan) => sum + loan.balance, 0);
+}
+
+// Open a loan on the lender's current terms
+function openLoan(state, lenderId, amount) {
+  const { LENDERS } = getContentPack(state);
+  const lender = LENDERS[lenderId];
+  const loan = {
+    id: state.nextLoanId++,
+    lender: lenderId,
+    principal: amount,
+    balance: amount,
+    rate: lender.rate,
+    takenTurn: state.turn,
+    dueTurn: state.turn + lender.term
+  };
+  state.loans.push(loan);
+  state.stats.hadDebt = true;
+  syncDebt(state);
+  return loan;
+}
+
+// 'current' up to the due turn, 'late' after it, 'default' once the
+// lender's grace turns have run out as well
+export function getLoanStatus(state, loan) {
+  const { LENDERS } = getContentPack(state);
+  if (state.turn <= loan.dueTurn) return 'current';
+  return state.turn > loan.dueTurn + (LENDERS[loan.lender]?.graceTurns || 0) ? 'default' : 'late';
+}
+
+// How much a lender will still advance: its own cap less what you already owe
+// it, and its multiple of net worth less everything you owe. Nothing while
+// one of its loans is in default. Without a lender, the best of them.
+export function getMaxBorrowable(state, lenderId) {
+  const { LENDERS } = getContentPack(state);
+  if (lenderId === undefined) {
+    return Math.max(0, ...Object.keys(LENDERS).map(id => getMaxBorrowable(state, id)));
+  }
+
+  const lender = LENDERS[lenderId];
+  if (!lender) return 0;
+  const loans = state.loans.filter(loan => loan.lender === lenderId);
+  if (loans.some(loan => getLoanStatus(state, loan) === 'default')) return 0;
+
+  const owed = loans.reduce((sum, loan) => sum + loan.balance, 0);
+  const netWorth = Math.max(0, calculateNetWorth(state));
+  return Math.max(0, Math.min(
+    lender.maxAmount - owed,
+    Math.floor(netWorth * lender.netWorthMultiple) - state.player.debt
+  ));
+}
+
+// Accrue interest on every loan, add the late penalty to loans left unpaid at
+// or past their due turn, and let secured lenders seize cargo (most valuable
+// first) once their grace has run out. Returns { interest, penalties, seized }
+function serviceLoans(state) {
+  const { LENDERS } = getContentPack(state);
+  const result = { interest: 0, penalties: 0, seized: [] };
+
+  for (const loan of state.loans) {
+    const lender = LENDERS[loan.lender];
+    const interest = Math.round(loan.balance * loan.rate);
+    loan.balance += interest;
+    result.interest += interest;
+
+    if (state.turn < loan.dueTurn) continue;
+    const penalty = Math.round(loan.balance * lender.latePenalty);
+    loan.balance += penalty;
+    result.penalties += penalty;
+
+    if (!lender.secured || state.turn < loan.dueTurn + lender.graceTurns) continue;
+    for (const goodId of getCargoByValue(state)) {
+      if (loan.balance <= 0) break;
+      const seized = seizeForLoan(state, loan, goodId, Math.ceil(loan.balance / getCollateralValue(state, goodId)));
+      result.seized.push({ loanId: loan.id, lender: loan.lender, good: goodId, ...seized });
+    }
+  }
+
+  syncDebt(state);
+  return result;
+}
+
+// Cargo goods, most valuable first
+function getCargoByValue(state) {
+  return Object.keys(state.player.inventory)
+    .sort((a, b) => getGlobalPrice(state, b) - getGlobalPrice(state, a));
+}
+
+// What a lender credits per unit of seized cargo
+function getCollateralValue(state, goodId) {
+  const { CONFIG } = getContentPack(state);
+  return Math.max(1, Math.round(getGlobalPrice(state, goodId) * (1 - CONFIG.collateralHaircut)));
+}
+
+// Take up to `quantity` of a good from cargo and knock its collateral value
+// off a loan. Returns { quantity, value }
+function seizeForLoan(state, loan, goodId, quantity) {
+  const taken = removeCargo(state, goodId, quantity);
+  const value = Math.min(loan.balance, taken * getCollateralValue(state, goodId));
+  loan.balance -= value;
+  return { quantity: taken, value };
+}
+
+// Fill {key} placeholders; ${key} ones are formatted as money
+function fillText(text, params) {
+  return text.replace(/\$?\{(\w+)\}/g, (match, key) => {
+    if (!(key in params)) return match;
+    return match[0] === '$' ? formatMoney(params[key]) : params[key];
+  });
+}
+
+// Late loans attract collectors. Each rolls for the COLLECTIONS stages it has
+// reached, harshest first; a stage with templates becomes the pending choice
+// (one at a time). Returns [{ loanId, stage, title, text }]
+function rollForCollections(state) {
+  const { LENDERS, COLLECTIONS } = getContentPack(state);
+  const stages = Object.values(COLLECTIONS).sort((a, b) => b.turnsLate - a.turnsLate);
+  const collections = [];
+
+  for (const loan of state.loans) {
+    // Counting the turn now ending unpaid
+    const turnsLate = state.turn - loan.dueTurn + 1;
+    if (turnsLate < 1) continue;
+
+    const enforcement = LENDERS[loan.lender].enforcement ?? 1;
+    const stage = stages.find(st => st.turnsLate <= turnsLate &&
+      !(st.templates && state.pendingChoice) &&
+      !(st.seize && getCargoByValue(state).length === 0) &&
+      random(state) < st.chance * enforcement);
+    if (stage) {
+      collections.push(applyCollection(state, loan, stage));
+    }
+  }
+
+  syncDebt(state);
+  return collections;
+}
+
+function applyCollection(state, loan, stage) {
+  const { GOODS, LENDERS } = getContentPack(state);
+  const params = { lender: LENDERS[loan.lender].name, loan: loan.id };
+
+  if (stage.templates) {
+    const template = randomChoice(state, stage.templates);
+    const cargo = getCargoByValue(state);
+    Object.assign(params, {
+      loanId: loan.id,
+      demand: Math.round(loan.balance * stage.demand),
+      refusalFee: Math.round(stage.refusal.fee * 100),
+      goodId: cargo[0] || null
+    });
+    state.pendingChoice = {
+      id: stage.id,
+      type: stage.type,
+      title: stage.title,
+      text: fillText(template.text, params),
+      riskText: fillText(template.riskText, params),
+      choices: template.choices.filter(c => c.id !== 'hand_over' || cargo.length > 0),
+      params
+    };
+    return { loanId: loan.id, stage: stage.id, title: stage.title, text: state.pendingChoice.text };
+  }
+
+  if (stage.fee) {
+    params.fee = Math.round(loan.balance * stage.fee);
+    loan.balance += params.fee;
+  }
+  if (stage.seize) {
+    const goodId = getCargoByValue(state)[0];
+    const quantity = Math.max(1, Math.floor(state.player.inventory[goodId] * stage.seize));
+    params.quantity = seizeForLoan(state, loan, goodId, quantity).quantity;
+    params.good = GOODS[goodId].name;
+  }
+  if (stage.reputation) {
+    state.player.reputation = Math.max(0, state.player.reputation + stage.reputation);
+  }
+  return { loanId: loan.id, stage: stage.id, title: stage.title, text: fillText(stage.text, params) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Restructuring
+// When debt outruns net worth the player may file a RESTRUCTURING plan instead
+// of going bankrupt, a limited number of times per run.
+// ─────────────────────────────────────────────────────────────────────────────
+
+function createRestructuringChoice(state) {
+  const { RESTRUCTURING } = getContentPack(state);
+  const params = {
+    debt: state.player.debt,
+    netWorth: calculateNetWorth(state),
+    reputation: Math.abs(RESTRUCTURING.reputation)
+  };
+  return {
+    id: RESTRUCTURING.id,
+    type: RESTRUCTURING.type,
+    title: RESTRUCTURING.title,
+    text: fillText(RESTRUCTURING.text, params),
+    riskText: fillText(RESTRUCTURING.riskText, params),
+    choices: [
+      ...Object.entries(RESTRUCTURING.plans).map(([id, plan]) => ({ id, label: plan.label, icon: plan.icon })),
+      { id: 'liquidate', label: 'Walk Away', icon: '✗' }
+    ],
+    params
+  };
+}
+
+// Upgrades a plan can take: ones no other owned upgrade requires, priciest first
+function getSurrenderableUpgrades(state) {
+  const { UPGRADES } = getContentPack(state);
+  return state.purchasedUpgrades
+    .filter(id => !state.purchasedUpgrades.some(other => UPGRADES[other]?.prerequisite === id))
+    .sort((a, b) => UPGRADES[b].cost - UPGRADES[a].cost);
+}
+
+// Carry out a plan: surrender stock and upgrades, take the reputation hit and
+// swap every loan for a single repayment plan. Returns { units, upgrades, writtenOff, loan }
+function restructure(state, plan) {
+  const { UPGRADES, RESTRUCTURING } = getContentPack(state);
+
+  let units = 0;
+  for (const [goodId, quantity] of Object.entries(state.player.inventory)) {
+    units += removeCargo(state, goodId, Math.ceil(quantity * plan.cargo));
+  }
+  for (const warehouse of Object.values(state.warehouses)) {
+    for (const [goodId, quantity] of Object.entries(warehouse.inventory)) {
+      const surrendered = Math.ceil(quantity * plan.cargo);
+      transferGoods(warehouse, { inventory: {}, costBasis: {} }, goodId, surrendered);
+      units += surrendered;
+    }
+  }
+
+  // Upgrades go with their effects
+  const upgrades = [];
+  for (let i = Math.ceil(state.purchasedUpgrades.length * plan.upgrades); i > 0; i--) {
+    const upgrade = UPGRADES[getSurrenderableUpgrades(state)[0]];
+    state.purchasedUpgrades = state.purchasedUpgrades.filter(id => id !== upgrade.id);
+    if (upgrade.effect.type === 'inventory') {
+      state.player.inventoryCapacity -= upgrade.effect.value;
+    } else if (upgrade.effect.type === 'reputation') {
+      state.player.reputation -= upgrade.effect.value;
+    }
+    upgrades.push(upgrade.name);
+  }
+  state.player.reputation = Math.max(0, state.player.reputation + RESTRUCTURING.reputation);
+
+  // Write what's owed down to what the remaining assets can carry
+  const owed = state.player.debt;
+  const assets = Math.max(0, calculateNetWorth(state) + owed);
+  const planned = Math.min(owed, Math.round(assets * RESTRUCTURING.debtCap));
+  state.loans = [];
+  syncDebt(state);
+  const loan = planned > 0 ? openLoan(state, RESTRUCTURING.planLender, planned) : null;
+
+  state.stats.restructurings++;
+  return { units, upgrades, writtenOff: owed - planned, loan };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Savings
+// Cash banked in a market earns its savingsRate each turn and is out of reach
+// of hackers, but a bank failure there can take a share of it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function getSavingsRate(state, marketId) {
+  const { MARKETS, CONFIG } = getContentPack(state);
+  return MARKETS[marketId].savingsRate ?? CONFIG.defaultSavingsRate;
+}
+
+export function getSavingsTotal(state) {
+  return Object.values(state.savings || {}).reduce((sum, amount) => sum + amount, 0);
+}
+
+// Pay a turn's interest on every account. Returns the total paid
+function accrueSavingsInterest(state) {
+  let total = 0;
+  for (const [marketId, amount] of Object.entries(state.savings)) {
+    const interest = Math.round(amount * getSavingsRate(state, marketId));
+    state.savings[marketId] = amount + interest;
+    total += interest;
+  }
+  return total;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Oracle System
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The Oracle's offer for this turn (prediction hidden until consulted)
+function rollForOracle(state) {
+  const { GOODS, MARKETS, ORACLE } = getContentPack(state);
+  if (random(state) < ORACLE.probability) {
+    const prediction = randomChoice(state, ORACLE.predictions);
+    const goodId = randomChoice(state, Object.keys(GOODS));
+    const marketId = randomChoice(state, Object.keys(MARKETS));
+
+    let text = prediction.text
+      .replace('{good}', GOODS[goodId].name)
+      .replace('{market}', MARKETS[marketId].name);
+
+    // Adjust accuracy based on reputation
+    const adjustedAccuracy = prediction.accuracy + (getReputation(state, state.player.location) - 50) * 0.003;
+
+    return {
+      text,
+      type: prediction.type,
+      good: goodId,
+      market: marketId,
+      accuracy: clamp(adjustedAccuracy, 0, 1),
+      cost: ORACLE.baseCost,
+      isFree: random(state) < 0.3,  // 30% chance of free hint
+      hint: randomChoice(state, ORACLE.freeHints),
+      revealed: false
+    };
+  }
+  return null;
+}
+
+// What the player sees before paying: who, a vague hint and the price
+export function getOracleTeaser(state) {
+  const { ORACLE } = getContentPack(state);
+  const offer = state.oraclePrediction;
+  if (!offer) return null;
+  return {
+    name: ORACLE.name,
+    icon: ORACLE.icon,
+    hint: offer.hint,
+    cost: offer.isFree ? 0 : offer.cost,
+    isFree: offer.isFree,
+    revealed: offer.revealed
+  };
+}
+
+// A consulted prediction has come due. Returns the applied event, or null
+// when the prophecy turned out wrong.
+function resolveProphecy(state, prophecy) {
+  const { ORACLE } = getContentPack(state);
+  const prediction = ORACLE.predictions.find(p => p.type === prophecy.prediction);
+  if (!prophecy.accurate || !prediction) return null;
+
+  const event = {
+    id: 'oracle_' + state.turn,
+    type: 'oracle',
+    title: ORACLE.name,
+    description: prophecy.text,
+    good: prophecy.good,
+    market: prophecy.market,
+    effects: prediction.effects || []
+  };
+  if (prediction.percent) {
+    const [min, max] = prediction.percent;
+    event.percent = Math.floor(random(state) * (max - min + 1)) + min;
+  }
+
+  applyEvents(state, [event]);
+  return event;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Action Processing
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function processAction(state, action) {
+  // Clone state to avoid mutation
+  state = deepClone(state);
+
+  const response = {
+    success: false,
+    error: null,
+    state,
+    events: [],
+    priceChanges: {},
+    fxChanges: {},
+    milestonesAchieved: [],
+    netWorth: 0,
+    turnSummary: '',
+    // New choice system
+    choiceEvent: null,
+    choiceResult: null,
+    seizures: [],
+    intelResults: [],
+    damagedCargo: null,
+    filledOrders: [],
+    warehouseLosses: [],
+    seizedCollateral: [],
+    collections: [],
+    failedContracts: [],
+    expiredLicenses: [],
+    policyChanges: [],
+    derivatives: null,
+    oracleMessage: null
+  };
+
+  const contentPack = getContentPack(state);
+  if (!contentPack) {
+    response.error = `Unknown content pack: ${state.contentPack}`;
+    return response;
+  }
+  const { GOODS, MARKETS, UPGRADES, MILESTONES } = contentPack;
+
+  // Check if game is over
+  if (state.gameOver) {
+    response.error = 'Game is over. Start a new game.';
+    response.netWorth = calculateNetWorth(state);
+    return response;
+  }
+
+  // If there's a pending choice, only allow resolveChoice action
+  if (state.pendingChoice && action.action !== 'resolveChoice') {
+    response.error = 'You must resolve the current choice first.';
+    response.choiceEvent = state.pendingChoice;
+    return response;
+  }
+
+  // In transit there is no market to trade in, store goods in or leave from
+  const marketActions = ['buy', 'sell', 'travel', 'rentWarehouse', 'deposit', 'withdraw', 'bankDeposit', 'bankWithdraw', 'acceptContract', 'deliverContract'];
+  if (state.travelingTo && marketActions.includes(action.action)) {
+    response.error = `In transit to ${MARKETS[state.travelingTo].name} (${state.travelTurnsRemaining} turn${state.travelTurnsRemaining === 1 ? '' : 's'} to go)`;
+    return response;
+  }
+
+  const market = state.markets[state.player.location];
+
+  // Process the action
+  switch (action.action) {
+    case 'buy': {
       const { good, quantity } = action;
 
+      // Validation
       if (!GOODS[good]) {
         response.error = `Invalid good: ${good}`;
         return response;
       }
-      if (quantity <= 0) {
-        response.error = 'Quantity must be greater than 0';
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        response.error = 'Quantity must be a whole number greater than 0';
+        return response;
+      }
+      if (isSanctioned(state, market.id, good)) {
+        response.error = `${GOODS[good].name} is under sanctions in this market`;
+        return response;
+      }
+
+      const inventoryUsed = calculateInventoryUsed(state.player.inventory);
+      const capacity = getCargoCapacity(state);
+      if (inventoryUsed + quantity > capacity) {
+        response.error = `Insufficient cargo space. Need ${quantity} slots, have ${Math.max(0, capacity - inventoryUsed)}`;
+        return response;
+      }
+
+      const fill = getFillQuote(state, good, quantity, 'buy');
+      const totalCost = fill.total;
+
+      if (fill.cash === 0 && totalCost > state.player.balance) {
+        response.error = `Insufficient funds. Need ${formatMoney(totalCost)}, have ${formatMoney(state.player.balance)}`;
+        return response;
+      }
+
+      // Use up the discount opportunity
+      if (fill.discount > 0) {
+        state.pendingEvents = state.pendingEvents.filter(
+          e => !(e.effect === 'discount_buy' && e.good === good)
+        );
+        response.turnSummary += `Used discount: -${fill.discount}%! `;
+      }
+
+      // Execute buy (our demand lifts the price for a while)
+      market.pressure[good] = (market.pressure[good] || 0) + quantity;
+      if (fill.cash > 0) {
+        adjustCash(state, fill.currency, -fill.cash);
+      } else {
+        state.player.balance -= totalCost;
+      }
+      state.player.inventory[good] = (state.player.inventory[good] || 0) + quantity;
+      state.player.costBasis[good] = (state.player.costBasis[good] || 0) + totalCost;
+      state.stats.totalTrades++;
+      state.stats.goodsTraded += quantity;
+      if (isContraband(state, state.player.location, good)) {
+        addHeat(state, contentPack.CONFIG.heatGain.restrictedTrade);
+      }
+
+      response.turnSummary += `Bought ${quantity}x ${GOODS[good].name} for ${fill.cash > 0 ? formatCash(state, fill.currency, fill.cash) : formatMoney(totalCost)} (avg ${formatMoney(totalCost / quantity)}, fees ${formatMoney(fill.fee)}${describeFillCharges(fill)}). `;
+      response.success = true;
+      break;
+    }
+
+    case 'sell': {
+      const { good, quantity } = action;
+
+      if (!GOODS[good]) {
+        response.error = `Invalid good: ${good}`;
+        return response;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        response.error = 'Quantity must be a whole number greater than 0';
+        return response;
+      }
+      if (isSanctioned(state, market.id, good)) {
+        response.error = `${GOODS[good].name} is under sanctions in this market`;
+        return response;
+      }
+
+      const owned = state.player.inventory[good] || 0;
+      if (quantity > owned) {
+        response.error = `Insufficient inventory. Have ${owned}, trying to sell ${quantity}`;
+        return response;
+      }
+
+      const fill = getFillQuote(state, good, quantity, 'sell', { keepLocal: action.keepLocal });
+      const totalRevenue = fill.total;
+
+      // Use up the premium opportunity
+      if (fill.premium > 0) {
+        state.pendingEvents = state.pendingEvents.filter(
+          e => !(e.effect === 'premium_sell' && e.good === good)
+        );
+        response.turnSummary += `Used premium: +${fill.premium}%! `;
+      }
+
+      // Execute sell (our supply depresses the price for a while)
+      market.pressure[good] = (market.pressure[good] || 0) - quantity;
+      if (fill.cash > 0) {
+        adjustCash(state, fill.currency, fill.cash);
+      } else {
+        state.player.balance += totalRevenue;
+      }
+
+      // Reduce cost basis proportionally
+      const currentCostBasis = state.player.costBasis[good] || 0;
+      const costBasisReduction = (quantity / owned) * currentCostBasis;
+      state.player.costBasis[good] = currentCostBasis - costBasisReduction;
+
+      state.player.inventory[good] -= quantity;
+      if (state.player.inventory[good] === 0) {
+        delete state.player.inventory[good];
+        delete state.player.costBasis[good];
+      }
+      state.stats.totalTrades++;
+      state.stats.goodsTraded += quantity;
+      if (isContraband(state, state.player.location, good)) {
+        addHeat(state, contentPack.CONFIG.heatGain.restrictedTrade);
+      }
+
+      response.turnSummary += `Sold ${quantity}x ${GOODS[good].name} for ${fill.cash > 0 ? formatCash(state, fill.currency, fill.cash) : formatMoney(totalRevenue)} (avg ${formatMoney(totalRevenue / quantity)}, fees ${formatMoney(fill.fee)}${describeFillCharges(fill)}). `;
+      response.success = true;
+      break;
+    }
+
+    case 'travel': {
+      const { destination, confirmed } = action;
+
+      if (!MARKETS[destination]) {
+        response.error = `Invalid destination: ${destination}`;
+        return response;
+      }
+      if (destination === state.player.location) {
+        response.error = 'Already at this location';
+        return response;
+      }
+
+      const quote = getTripQuote(state, destination, action.mode);
+      if (!quote) {
+        response.error = `Invalid shipping mode: ${action.mode}`;
+        return response;
+      }
+      const mode = getShippingMode(state, quote.mode);
+      if (!quote.fits) {
+        response.error = `${mode.name} carries at most ${mode.maxUnits} units`;
+        return response;
+      }
+      if (quote.cost > state.player.balance) {
+        response.error = `Insufficient funds. The trip costs ${formatMoney(quote.cost)}`;
+        return response;
+      }
+
+      // Check for at-risk goods unless confirmed or declared
+      const atRiskGoods = getAtRiskGoods(state, destination, quote.mode);
+      if (atRiskGoods.length > 0 && !confirmed && !action.declare) {
+        response.error = 'CONFIRM_RISK';
+        response.atRiskGoods = atRiskGoods;
+        response.destination = destination;
+        return response;
+      }
+      const duty = action.declare ? atRiskGoods.reduce((sum, g) => sum + g.duty, 0) : 0;
+      if (quote.cost + duty > state.player.balance) {
+        response.error = `Insufficient funds. Declaring costs ${formatMoney(duty)} in duty on top of the trip`;
+        return response;
+      }
+
+      state.player.balance -= quote.cost;
+      state.shippingMode = quote.mode;
+      if (quote.cost > 0) {
+        response.turnSummary += `Shipping by ${mode.name}: paid ${formatMoney(quote.cost)} fare and freight. `;
+      }
+      if (atRiskGoods.length > 0 && action.declare) {
+        state.player.balance -= duty;
+        state.customsDeclared = true;
+        response.turnSummary += `Declared restricted cargo: paid ${formatMoney(duty)} in duty. `;
+      }
+
+      // Roll for choice events during travel
+      const choiceEvent = rollForTravelChoice(state, destination);
+      if (choiceEvent) {
+        state.pendingChoice = choiceEvent;
+        state._pendingDestination = destination;  // Store destination for after choice
+        response.choiceEvent = choiceEvent;
+        response.success = true;
+        response.turnSummary += 'An encounter during your journey...';
+        response.state = state;
+        response.netWorth = calculateNetWorth(state);
+        recordAction(state, action);
+        return response;
+      }
+
+      departFor(state, destination, response);
+      response.success = true;
+      break;
+    }
+
+    case 'resolveChoice': {
+      const { choiceId } = action;
+
+      if (!state.pendingChoice) {
+        response.error = 'No pending choice to resolve';
+        return response;
+      }
+      if (!state.pendingChoice.choices.some(c => c.id === choiceId)) {
+        response.error = `Invalid choice: ${choiceId}`;
+        response.choiceEvent = state.pendingChoice;
+        return response;
+      }
+
+      const result = resolveChoiceEvent(state, choiceId);
+      if (!result.success) {
+        response.error = result.message;
+        return response;
+      }
+      response.choiceResult = result;
+      response.turnSummary = result.message + ' ';
+
+      // If we have a pending destination, continue the journey
+      if (state._pendingDestination) {
+        const destination = state._pendingDestination;
+        delete state._pendingDestination;
+
+        departFor(state, destination, response);
+        response._completedTravel = true;  // Flag for turn advancement
+      }
+
+      response.success = true;
+      break;
+    }
+
+    case 'wait': {
+      if (state.travelingTo) {
+        continueTravel(state, response);
+      } else {
+        response.turnSummary += 'Waited. ';
+      }
+      response.success = true;
+      break;
+    }
+
+    case 'borrow': {
+      const { LENDERS, CONFIG } = contentPack;
+      const { amount, lender: lenderId = CONFIG.defaultLender } = action;
+      const lender = LENDERS[lenderId];
+
+      if (!lender) {
+        response.error = `Unknown lender: ${lenderId}`;
+        return response;
+      }
+      if (amount <= 0) {
+        response.error = 'Amount must be greater than 0';
+        return response;
+      }
+
+      const maxBorrowable = getMaxBorrowable(state, lenderId);
+      if (amount > maxBorrowable) {
+        response.error = `${lender.name} will only lend up to ${formatMoney(maxBorrowable)}`;
+        return response;
+      }
+
+      const loan = openLoan(state, lenderId, amount);
+      state.player.balance += amount;
+
+      response.turnSummary += `Borrowed ${formatMoney(amount)} from ${lender.name}, due turn ${loan.dueTurn}. `;
+      response.success = true;
+      break;
+    }
+
+    // Pay down one loan, or without a loanId spread the amount over the
+    // loans in order of due date
+    case 'payDebt': {
+      const { amount, loanId } = action;
+      const loans = loanId === undefined
+        ? [...state.loans].sort((a, b) => a.dueTurn - b.dueTurn)
+        : state.loans.filter(loan => loan.id === loanId);
+
+      if (loanId !== undefined && loans.length === 0) {
+        response.error = `No loan #${loanId}`;
+        return response;
+      }
+      if (amount <= 0) {
+        response.error = 'Amount must be greater than 0';
+        return response;
+      }
+      if (amount > state.player.balance) {
+        response.error = `Insufficient funds. Have ${formatMoney(state.player.balance)}`;
+        return response;
+      }
+      const owed = loans.reduce((sum, loan) => sum + loan.balance, 0);
+      if (amount > owed) {
+        response.error = `Debt is only ${formatMoney(owed)}`;
+        return response;
+      }
+
+      let remaining = amount;
+      for (const loan of loans) {
+        const paid = Math.min(remaining, loan.balance);
+        loan.balance -= paid;
+        remaining -= paid;
+      }
+      state.player.balance -= amount;
+      syncDebt(state);
+
+      response.turnSummary += `Paid ${formatMoney(amount)} toward debt. `;
+      response.success = true;
+      break;
+    }
+
+    // Savings with the banks of the current market
+    case 'bankDeposit':
+    case 'bankWithdraw': {
+      const { amount } = action;
+      const marketId = state.player.location;
+      const saved = state.savings[marketId] || 0;
+
+      if (!(amount > 0)) {
+        response.error = 'Amount must be greater than 0';
+        return response;
+      }
+      if (action.action === 'bankDeposit' && amount > state.player.balance) {
+        response.error = `Insufficient funds. Have ${formatMoney(state.player.balance)}`;
+        return response;
+      }
+      if (action.action === 'bankWithdraw' && amount > saved) {
+        response.error = `Only ${formatMoney(saved)} saved in ${MARKETS[marketId].name}`;
+        return response;
+      }
+
+      const sign = action.action === 'bankDeposit' ? 1 : -1;
+      state.player.balance -= sign * amount;
+      state.savings[marketId] = saved + sign * amount;
+      if (state.savings[marketId] === 0) delete state.savings[marketId];
+
+      response.turnSummary += sign > 0
+        ? `Deposited ${formatMoney(amount)} with ${MARKETS[marketId].name} banks. `
+        : `Withdrew ${formatMoney(amount)} from ${MARKETS[marketId].name} savings. `;
+      response.success = true;
+      break;
+    }
+
+    // The currency desk works from anywhere, even on the road
+    case 'exchange': {
+      const { from, to, amount } = action;
+      const { baseCurrency } = contentPack.CONFIG;
+      const known = currency => currency === baseCurrency || currency in state.fxRates;
+
+      if (!known(from) || !known(to)) {
+        response.error = `Invalid currency: ${known(from) ? to : from}`;
+        return response;
+      }
+      if (from === to) {
+        response.error = 'Pick two different currencies';
+        return response;
+      }
+      if (!(amount > 0)) {
+        response.error = 'Amount must be greater than 0';
+        return response;
+      }
+      const held = from === baseCurrency ? state.player.balance : state.player.cash[from] || 0;
+      if (amount > held) {
+        response.error = `Insufficient funds. Have ${formatCash(state, from, held)}`;
+        return response;
+      }
+      const quote = getExchangeQuote(state, from, to, amount);
+      if (quote.received <= 0) {
+        response.error = `${formatCash(state, from, amount)} is too little to exchange`;
+        return response;
+      }
+
+      if (from === baseCurrency) {
+        state.player.balance -= amount;
+      } else {
+        adjustCash(state, from, -amount);
+      }
+      if (to === baseCurrency) {
+        state.player.balance += quote.received;
+      } else {
+        adjustCash(state, to, quote.received);
+      }
+
+      response.turnSummary += `Exchanged ${formatCash(state, from, amount)} for ${formatCash(state, to, quote.received)} (fee ${formatMoney(quote.fee)}). `;
+      response.success = true;
+      break;
+    }
+
+    // Licenses can be bought from anywhere, even on the road
+    case 'buyLicense': {
+      const { market: marketId, good } = action;
+      const restriction = MARKETS[marketId]?.restrictedGoods?.[good];
+
+      if (!restriction) {
+        response.error = GOODS[good] && MARKETS[marketId]
+          ? `${GOODS[good].name} needs no license in ${MARKETS[marketId].name}`
+          : `Invalid license: ${good} in ${marketId}`;
+        return response;
+      }
+      const { license } = getComplianceTerms(state, restriction);
+      if (license.cost > state.player.balance) {
+        response.error = `Insufficient funds. The license costs ${formatMoney(license.cost)}`;
+        return response;
+      }
+
+      // Renewing extends the current license rather than overlapping it
+      let held = state.licenses.find(l => l.market === marketId && l.good === good && l.expiresTurn >= state.turn);
+      if (!held) {
+        held = { market: marketId, good, expiresTurn: state.turn - 1 };
+        state.licenses.push(held);
+      }
+      held.expiresTurn += license.turns;
+      state.player.balance -= license.cost;
+
+      response.turnSummary += `Bought a ${GOODS[good].name} export license for ${MARKETS[marketId].name} (${formatMoney(license.cost)}), good through turn ${held.expiresTurn}. `;
+      response.success = true;
+      break;
+    }
+
+    case 'upgrade': {
+      const { upgradeId } = action;
+
+      const upgrade = UPGRADES[upgradeId];
+      if (!upgrade) {
+        response.error = `Invalid upgrade: ${upgradeId}`;
+        return response;
+      }
+      if (state.purchasedUpgrades.includes(upgradeId)) {
+        response.error = 'Already purchased this upgrade';
+        return response;
+      }
+      if (upgrade.prerequisite && !state.purchasedUpgrades.includes(upgrade.prerequisite)) {
+        response.error = `Requires ${UPGRADES[upgrade.prerequisite].name} first`;
+        return response;
+      }
+      if (upgrade.unlockedByMilestone && !state.milestones[upgrade.unlockedByMilestone]?.achieved) {
+        response.error = `Locked. Requires milestone: ${MILESTONES[upgrade.unlockedByMilestone].name}`;
+        return response;
+      }
+      if (upgrade.cost > state.player.balance) {
+        response.error = `Insufficient funds. Need ${formatMoney(upgrade.cost)}`;
+        return response;
+      }
+
+      // Execute upgrade
+      state.player.balance -= upgrade.cost;
+      state.purchasedUpgrades.push(upgradeId);
+
+      // Apply effect
+      if (upgrade.effect.type === 'inventory') {
+        state.player.inventoryCapacity += upgrade.effect.value;
+      } else if (upgrade.effect.type === 'reputation') {
+        state.player.reputation += upgrade.effect.value;
+      }
+
+      response.turnSummary += `Purchased ${upgrade.name}. `;
+      response.success = true;
+      break;
+    }
+
+    case 'rentWarehouse': {
+      const marketId = state.player.location;
+      const spec = getWarehouseSpec(state, marketId);
+
+      if (!spec) {
+        response.error = `No warehouse space to rent in ${MARKETS[marketId].name}`;
+        return response;
+      }
+      if (state.warehouses[marketId]) {
+        response.error = `Already renting a warehouse in ${MARKETS[marketId].name}`;
+        return response;
+      }
+
+      state.warehouses[marketId] = { inventory: {}, costBasis: {} };
+      response.turnSummary += `Rented a ${spec.capacity}-slot warehouse in ${MARKETS[marketId].name} for ${formatMoney(spec.rent)}/turn. `;
+      response.success = true;
+      break;
+    }
+
+    case 'releaseWarehouse': {
+      const marketId = action.market || state.player.location;
+      const warehouse = state.warehouses[marketId];
+
+      if (!warehouse) {
+        response.error = `No warehouse rented in ${MARKETS[marketId]?.name || marketId}`;
+        return response;
+      }
+      if (Object.keys(warehouse.inventory).length > 0) {
+        response.error = 'Empty the warehouse before giving it up';
+        return response;
+      }
+
+      delete state.warehouses[marketId];
+      response.turnSummary += `Gave up the warehouse in ${MARKETS[marketId].name}. `;
+      response.success = true;
+      break;
+    }
+
+    case 'deposit':
+    case 'withdraw': {
+      const { good, quantity } = action;
+      const warehouse = state.warehouses[state.player.location];
+      const isDeposit = action.action === 'deposit';
+
+      if (!warehouse) {
+        response.error = `No warehouse rented in ${MARKETS[state.player.location].name}`;
+        return response;
+      }
+      if (!GOODS[good]) {
+        response.error = `Invalid good: ${good}`;
         return response;
       }
-      if (market.restricted.includes(good)) {
-        response.error = `${GOODS[good].name} is restricted in this market`;
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        response.error = 'Quantity must be a whole number greater than 0';
         return response;
       }
 
-      const owned = state.player.inventory[good] || 0;
+      const from = isDeposit ? state.player : warehouse;
+      const to = isDeposit ? warehouse : state.player;
+      const owned = from.inventory[good] || 0;
       if (quantity > owned) {
-        response.error = `Insufficient inventory. Have ${owned}, trying to sell ${quantity}`;
+        response.error = `Insufficient ${isDeposit ? 'cargo' : 'stock'}. Have ${owned}, trying to move ${quantity}`;
         return response;
       }
 
-      let price = market.prices[good];
-
-      // Check for premium opportunity
-      const premiumEvent = state.pendingEvents.find(
-        e => e.effect === 'premium_sell' && e.good === good
-      );
-      if (premiumEvent) {
-        price = Math.round(price * (1 + premiumEvent.percent / 100));
-        state.pendingEvents = state.pendingEvents.filter(e => e !== premiumEvent);
-        response.turnSummary += `Used premium: +${premiumEvent.percent}%! `;
-      }
-
-      const totalRevenue = price * quantity;
-
-      // Execute sell
-      state.player.balance += totalRevenue;
-
-      // Reduce cost basis proportionally
-      const currentCostBasis = state.player.costBasis[good] || 0;
-      const costBasisReduction = (quantity / owned) * currentCostBasis;
-      state.player.costBasis[good] = currentCostBasis - costBasisReduction;
-
-      state.player.inventory[good] -= quantity;
-      if (state.player.inventory[good] === 0) {
-        delete state.player.inventory[good];
-        delete state.player.costBasis[good];
+      const space = isDeposit
+        ? getWarehouseSpec(state, state.player.location).capacity - calculateInventoryUsed(warehouse.inventory)
+        : getCargoCapacity(state) - calculateInventoryUsed(state.player.inventory);
+      if (quantity > space) {
+        response.error = `Insufficient ${isDeposit ? 'warehouse' : 'cargo'} space. Need ${quantity} slots, have ${Math.max(0, space)}`;
+        return response;
       }
-      state.stats.totalTrades++;
-      state.stats.goodsTraded += quantity;
 
-      response.turnSummary += `Sold ${quantity}x ${GOODS[good].name} for ${formatMoney(totalRevenue)}. `;
+      transferGoods(from, to, good, quantity);
+      response.turnSummary += isDeposit
+        ? `Stored ${quantity}x ${GOODS[good].name} in the warehouse. `
+        : `Took ${quantity}x ${GOODS[good].name} from the warehouse. `;
       response.success = true;
       break;
     }
 
-    case 'travel': {
-      const { destination, confirmed } = action;
+    case 'acceptContract': {
+      const { CONFIG } = contentPack;
+      const offer = market.contractOffers.find(o => o.id === action.contractId);
 
-      if (!MARKETS[destination]) {
-        response.error = `Invalid destination: ${destination}`;
+      if (!offer) {
+        response.error = `No contract #${action.contractId} on the board here`;
         return response;
       }
-      if (destination === state.player.location) {
-        response.error = 'Already at this location';
+      if (getReputation(state, state.player.location) < CONFIG.contractMinReputation) {
+        response.error = 'Your reputation is too poor for anyone to sign with you';
         return response;
       }
-
-      // Check for at-risk goods if not confirmed
-      const atRiskGoods = getAtRiskGoods(state, destination);
-      if (atRiskGoods.length > 0 && !confirmed) {
-        response.error = 'CONFIRM_RISK';
-        response.atRiskGoods = atRiskGoods;
-        response.destination = destination;
+      if (state.contracts.length >= CONFIG.maxContracts) {
+        response.error = `At most ${CONFIG.maxContracts} contracts at once`;
         return response;
       }
-
-      // Roll for choice events during travel
-      const choiceEvent = rollForTravelChoice(state, destination);
-      if (choiceEvent) {
-        state.pendingChoice = choiceEvent;
-        state._pendingDestination = destination;  // Store destination for after choice
-        response.choiceEvent = choiceEvent;
-        response.success = true;
-        response.turnSummary = 'An encounter during your journey...';
-        response.state = state;
-        response.netWorth = calculateNetWorth(state);
+      if (offer.deposit > state.player.balance) {
+        response.error = `Insufficient funds. The deposit is ${formatMoney(offer.deposit)}`;
         return response;
       }
 
-      // Check for seizure of restricted goods
-      const seizures = checkSeizureRisk(state, destination);
-      if (seizures.length > 0) {
-        response.seizures = seizures;
-        for (const s of seizures) {
-          if (s.insuranceSaved) {
-            response.turnSummary += `Insurance saved your ${s.goodName}! `;
-          } else {
-            response.turnSummary += `Customs seized ${s.quantity}x ${s.goodName}! `;
-          }
-        }
-      }
-
-      // Roll for customs events during travel (before arriving)
-      const travelEvents = rollForEvents(state, true, destination);
-      response.events.push(...travelEvents);
-      applyEvents(state, travelEvents);
-
-      // Complete the travel immediately
-      state.player.location = destination;
-      if (!state.stats.marketsVisited.includes(destination)) {
-        state.stats.marketsVisited.push(destination);
-      }
-
-      response.turnSummary += `Traveled to ${MARKETS[destination].name}. `;
+      state.player.balance -= offer.deposit;
+      market.contractOffers = market.contractOffers.filter(o => o !== offer);
+      state.contracts.push(offer);
+      response.turnSummary += `Signed with ${offer.counterparty}: deliver ${offer.quantity}x ${GOODS[offer.good].name} to ${MARKETS[offer.destination].name} by turn ${offer.deadline} for ${formatMoney(offer.price)} each. `;
       response.success = true;
       break;
     }
 
-    case 'resolveChoice': {
-      const { choiceId } = action;
+    case 'deliverContract': {
+      const { CONFIG } = contentPack;
+      const contract = state.contracts.find(c => c.id === action.contractId);
 
-      if (!state.pendingChoice) {
-        response.error = 'No pending choice to resolve';
+      if (!contract) {
+        response.error = `No open contract #${action.contractId}`;
         return response;
       }
-
-      const result = resolveChoiceEvent(state, choiceId);
-      response.choiceResult = result;
-      response.turnSummary = result.message + ' ';
-
-      // If we have a pending destination, complete the travel
-      if (state._pendingDestination) {
-        const destination = state._pendingDestination;
-        delete state._pendingDestination;
-
-        // Check for seizure (unless smuggler succeeded)
-        const seizures = checkSeizureRisk(state, destination);
-        if (seizures.length > 0) {
-          response.seizures = seizures;
-          for (const s of seizures) {
-            if (s.insuranceSaved) {
-              response.turnSummary += `Insurance saved your ${s.goodName}! `;
-            } else {
-              response.turnSummary += `Customs seized ${s.quantity}x ${s.goodName}! `;
-            }
-          }
-        }
-
-        // Roll for other travel events
-        const travelEvents = rollForEvents(state, true, destination);
-        response.events.push(...travelEvents);
-        applyEvents(state, travelEvents);
-
-        // Complete the travel
-        state.player.location = destination;
-        if (!state.stats.marketsVisited.includes(destination)) {
-          state.stats.marketsVisited.push(destination);
-        }
-        response.turnSummary += `Arrived at ${MARKETS[destination].name}. `;
-        response._completedTravel = true;  // Flag for turn advancement
+      if (contract.destination !== state.player.location) {
+        response.error = `Deliver to ${MARKETS[contract.destination].name}`;
+        return response;
+      }
+      const owned = state.player.inventory[contract.good] || 0;
+      if (owned < contract.quantity) {
+        response.error = `Need ${contract.quantity}x ${GOODS[contract.good].name} in cargo, have ${owned}`;
+        return response;
       }
 
-      response.success = true;
-      break;
-    }
+      const payment = contract.price * contract.quantity;
+      removeCargo(state, contract.good, contract.quantity);
+      state.player.balance += payment + contract.deposit;
+      adjustReputation(state, contract.destination, CONFIG.contractReputation.delivered);
+      state.contracts = state.contracts.filter(c => c !== contract);
+      state.stats.totalTrades++;
+      state.stats.goodsTraded += contract.quantity;
 
-    case 'wait': {
-      response.turnSummary += 'Waited. ';
+      response.turnSummary += `Delivered ${contract.quantity}x ${GOODS[contract.good].name} to ${contract.counterparty} for ${formatMoney(payment)} (deposit returned). `;
       response.success = true;
       break;
     }
 
-    case 'borrow': {
-      const { amount } = action;
+    case 'openFuture':
+    case 'buyOption': {
+      const { CONFIG } = contentPack;
+      const { good, quantity, turns } = action;
+      const isFuture = action.action === 'openFuture';
+      const kind = isFuture ? action.side : action.kind;
 
-      if (amount <= 0) {
-        response.error = 'Amount must be greater than 0';
+      if (!GOODS[good]) {
+        response.error = `Invalid good: ${good}`;
+        return response;
+      }
+      if (isFuture ? !['long', 'short'].includes(kind) : !['call', 'put'].includes(kind)) {
+        response.error = isFuture ? 'Side must be long or short' : 'Kind must be call or put';
+        return response;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        response.error = 'Quantity must be a whole number greater than 0';
+        return response;
+      }
+      if (!CONFIG.derivativeTenors.includes(turns)) {
+        response.error = `Expiry must be one of ${CONFIG.derivativeTenors.join(', ')} turns`;
+        return response;
+      }
+      if (!isFuture && !(action.strike > 0)) {
+        response.error = 'Strike must be greater than 0';
+        return response;
+      }
+      if (state.positions.length >= CONFIG.maxPositions) {
+        response.error = `At most ${CONFIG.maxPositions} open positions`;
         return response;
       }
 
-      const maxBorrowable = getMaxBorrowable(state);
-      if (amount > maxBorrowable) {
-        response.error = `Can only borrow up to ${formatMoney(maxBorrowable)}`;
+      const price = getGlobalPrice(state, good);
+      const cost = isFuture
+        ? Math.round(price * quantity * CONFIG.futuresInitialMargin)
+        : getOptionPremium(state, good, kind, action.strike, turns) * quantity;
+      if (cost > state.player.balance) {
+        response.error = `Insufficient funds. ${isFuture ? 'Initial margin' : 'The premium'} is ${formatMoney(cost)}`;
         return response;
       }
 
-      state.player.balance += amount;
-      state.player.debt += amount;
-      state.stats.hadDebt = true;
+      const position = isFuture
+        ? { type: 'future', side: kind, margin: cost, entryPrice: price, lastPrice: price }
+        : { type: kind, strike: Math.round(action.strike), premium: cost };
+      state.player.balance -= cost;
+      state.positions.push({ id: state.nextPositionId++, good, quantity, expiresTurn: state.turn + turns, ...position });
 
-      response.turnSummary += `Borrowed ${formatMoney(amount)}. `;
+      response.turnSummary += isFuture
+        ? `Went ${kind} ${quantity}x ${GOODS[good].name} futures at ${formatMoney(price)} (margin ${formatMoney(cost)}). `
+        : `Bought ${quantity}x ${GOODS[good].name} ${kind}s struck at ${formatMoney(position.strike)} for ${formatMoney(cost)}. `;
       response.success = true;
       break;
     }
 
-    case 'payDebt': {
-      const { amount } = action;
+    case 'closePosition': {
+      const position = state.positions.find(p => p.id === action.positionId);
+      if (!position) {
+        response.error = `No open position #${action.positionId}`;
+        return response;
+      }
 
-      if (amount <= 0) {
-        response.error = 'Amount must be greater than 0';
+      const value = settlePosition(state, position);
+      response.turnSummary += `Closed position #${position.id} for ${formatMoney(value)}. `;
+      response.success = true;
+      break;
+    }
+
+    case 'placeOrder': {
+      const { market: marketId, good, side, quantity, limitPrice, expiresTurn } = action;
+      const { CONFIG } = contentPack;
+
+      if (!MARKETS[marketId]) {
+        response.error = `Invalid market: ${marketId}`;
         return response;
       }
-      if (amount > state.player.balance) {
-        response.error = `Insufficient funds. Have ${formatMoney(state.player.balance)}`;
+      if (!GOODS[good]) {
+        response.error = `Invalid good: ${good}`;
+        return response;
+      }
+      if (side !== 'buy' && side !== 'sell') {
+        response.error = 'Side must be buy or sell';
+        return response;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        response.error = 'Quantity must be a whole number greater than 0';
+        return response;
+      }
+      if (!(limitPrice > 0)) {
+        response.error = 'Limit price must be greater than 0';
+        return response;
+      }
+      if (!Number.isInteger(expiresTurn) || expiresTurn < state.turn || expiresTurn >= state.turn + CONFIG.maxOrderTurns) {
+        response.error = `Orders must expire between turn ${state.turn} and turn ${state.turn + CONFIG.maxOrderTurns - 1}`;
+        return response;
+      }
+      if (state.limitOrders.length >= CONFIG.maxLimitOrders) {
+        response.error = `At most ${CONFIG.maxLimitOrders} open orders`;
         return response;
       }
-      if (amount > state.player.debt) {
-        response.error = `Debt is only ${formatMoney(state.player.debt)}`;
+      if (isSanctioned(state, marketId, good)) {
+        response.error = `${GOODS[good].name} is under sanctions in ${MARKETS[marketId].name}`;
         return response;
       }
 
-      state.player.balance -= amount;
-      state.player.debt -= amount;
+      const order = {
+        id: state.nextOrderId,
+        market: marketId,
+        good,
+        side,
+        quantity,
+        limitPrice: Math.round(limitPrice),
+        expiresTurn,
+        reserved: 0,
+        costBasis: 0
+      };
+
+      // Hold back what the order needs to fill; goods come from (and fills go
+      // to) the cargo here, or the warehouse in a market the player isn't in
+      const target = getOrderHolder(state, marketId);
+      if (!target) {
+        response.error = `Rent a warehouse in ${MARKETS[marketId].name} to trade there from afar`;
+        return response;
+      }
+      if (side === 'buy') {
+        order.reserved = order.limitPrice * quantity;
+        if (order.reserved > state.player.balance) {
+          response.error = `Insufficient funds. The order reserves ${formatMoney(order.reserved)}`;
+          return response;
+        }
+        state.player.balance -= order.reserved;
+      } else {
+        const { holder } = target;
+        const owned = holder.inventory[good] || 0;
+        if (quantity > owned) {
+          response.error = `Insufficient inventory. Have ${owned}${holder === state.player ? '' : ' in storage there'}, trying to sell ${quantity}`;
+          return response;
+        }
+        const held = { inventory: {}, costBasis: {} };
+        transferGoods(holder, held, good, quantity);
+        order.costBasis = held.costBasis[good];
+      }
 
-      response.turnSummary += `Paid ${formatMoney(amount)} toward debt. `;
+      state.nextOrderId++;
+      state.limitOrders.push(order);
+      response.turnSummary += `Placed order #${order.id}: ${side} ${quantity}x ${GOODS[good].name} in ${MARKETS[marketId].name} at ${formatMoney(order.limitPrice)} until turn ${expiresTurn}. `;
       response.success = true;
       break;
     }
 
-    case 'upgrade': {
-      const { upgradeId } = action;
-
-      const upgrade = UPGRADES[upgradeId];
-      if (!upgrade) {
-        response.error = `Invalid upgrade: ${upgradeId}`;
+    case 'cancelOrder': {
+      const order = state.limitOrders.find(o => o.id === action.orderId);
+      if (!order) {
+        response.error = `No open order #${action.orderId}`;
         return response;
       }
-      if (state.purchasedUpgrades.includes(upgradeId)) {
-        response.error = 'Already purchased this upgrade';
+
+      if (!releaseOrder(state, order)) {
+        response.error = `No room for the goods in ${MARKETS[order.market].name}: go there or free up warehouse space`;
         return response;
       }
-      if (upgrade.prerequisite && !state.purchasedUpgrades.includes(upgrade.prerequisite)) {
-        response.error = `Requires ${UPGRADES[upgrade.prerequisite].name} first`;
+      state.limitOrders = state.limitOrders.filter(o => o !== order);
+      response.turnSummary += `Cancelled order #${order.id}. `;
+      response.success = true;
+      break;
+    }
+
+    case 'consultOracle': {
+      const { ORACLE } = contentPack;
+      const offer = state.oraclePrediction;
+
+      if (!offer) {
+        response.error = `${ORACLE.name} is not here this turn`;
         return response;
       }
-      if (upgrade.unlockedByMilestone && !state.milestones[upgrade.unlockedByMilestone]?.achieved) {
-        response.error = `Locked. Requires milestone: ${MILESTONES[upgrade.unlockedByMilestone].name}`;
+      if (offer.revealed) {
+        response.error = `Already consulted ${ORACLE.name} this turn`;
         return response;
       }
-      if (upgrade.cost > state.player.balance) {
-        response.error = `Insufficient funds. Need ${formatMoney(upgrade.cost)}`;
+      const cost = offer.isFree ? 0 : offer.cost;
+      if (cost > state.player.balance) {
+        response.error = `Insufficient funds. Need ${formatMoney(cost)}`;
         return response;
       }
 
-      // Execute upgrade
-      state.player.balance -= upgrade.cost;
-      state.purchasedUpgrades.push(upgradeId);
-
-      // Apply effect
-      if (upgrade.effect.type === 'inventory') {
-        state.player.inventoryCapacity += upgrade.effect.value;
-      } else if (upgrade.effect.type === 'reputation') {
-        state.player.reputation += upgrade.effect.value;
-      }
+      state.player.balance -= cost;
+      offer.revealed = true;
+
+      // Whether it comes true is decided now, with the stated accuracy
+      state.pendingEvents.push({
+        type: 'prophecy',
+        prediction: offer.type,
+        text: offer.text,
+        good: offer.good,
+        market: offer.market,
+        accurate: random(state) < offer.accuracy,
+        turn: state.turn,
+        turnsRemaining: Math.floor(random(state) * 2) + 1
+      });
 
-      response.turnSummary += `Purchased ${upgrade.name}. `;
+      response.oracleMessage = { ...getOracleTeaser(state), text: offer.text, type: offer.type, accuracy: offer.accuracy };
+      response.turnSummary += cost > 0
+        ? `Consulted ${ORACLE.name} for ${formatMoney(cost)}: "${offer.text}" `
+        : `${ORACLE.name} speaks freely: "${offer.text}" `;
       response.success = true;
       break;
     }
@@ -1341,70 +3287,427 @@ export function processAction(state, action) {
     response.milestonesAchieved = checkMilestones(state);
 
     if (shouldAdvanceTurn) {
-      // Apply debt interest
-      if (state.player.debt > 0) {
-        const interestRate = getDebtInterestRate(state);
-        const interest = Math.round(state.player.debt * interestRate);
-        state.player.debt += interest;
-        state.player.debtInterestRate = interestRate;
-        if (interest > 0) {
-          response.turnSummary += `Debt interest: +${formatMoney(interest)}. `;
+      // Loan interest, late penalties and collateral seizures
+      if (state.loans.length > 0) {
+        const { LENDERS } = contentPack;
+        const loans = serviceLoans(state);
+        if (loans.interest > 0) {
+          response.turnSummary += `Loan interest: +${formatMoney(loans.interest)}. `;
         }
+        if (loans.penalties > 0) {
+          response.turnSummary += `Late penalties: +${formatMoney(loans.penalties)}. `;
+        }
+        for (const seizure of loans.seized) {
+          response.turnSummary += `${LENDERS[seizure.lender].name} seized ${seizure.quantity} ${GOODS[seizure.good].name} against loan #${seizure.loanId}! `;
+        }
+        response.seizedCollateral = loans.seized;
+
+        // Collectors chase late loans, possibly cornering the player with a choice
+        response.collections = rollForCollections(state);
+        for (const collection of response.collections) {
+          response.turnSummary += `${collection.title}: ${collection.text} `;
+        }
+      }
+
+      // Interest on savings
+      const savingsInterest = accrueSavingsInterest(state);
+      if (savingsInterest > 0) {
+        response.turnSummary += `Savings interest: +${formatMoney(savingsInterest)}. `;
+      }
+
+      // Customs attention fades
+      coolHeat(state);
+
+      // Warehouse rent, and the chance of a break-in
+      const rent = chargeWarehouseRent(state);
+      if (rent > 0) {
+        response.turnSummary += `Warehouse rent: -${formatMoney(rent)}. `;
+      }
+      response.warehouseLosses = rollWarehouseRaids(state);
+      for (const loss of response.warehouseLosses) {
+        response.turnSummary += `Thieves raided your ${MARKETS[loss.market].name} warehouse: ${loss.quantity}x ${loss.goodName} gone! `;
       }
 
-      // Roll for random events
-      const events = rollForEvents(state);
+      // Count down timed events and market conditions; due intel tips and prophecies play out here
+      state.pendingEvents = tickTimed(state, state.pendingEvents, e => {
+        if (e.type === 'intel_tip') {
+          const outcome = resolveIntelTip(state, e);
+          if (outcome) {
+            response.intelResults.push(outcome);
+            const goodName = GOODS[outcome.good].name;
+            response.turnSummary += outcome.accurate
+              ? `Intel came true: ${goodName} prices ${outcome.direction === 'fall' ? 'fell' : 'rose'} ${outcome.percent}%! `
+              : `Intel on ${goodName} was a bust. `;
+          }
+        } else if (e.type === 'prophecy') {
+          const event = resolveProphecy(state, e);
+          if (event) {
+            response.events.push(event);
+            response.turnSummary += 'The Oracle\'s prophecy came to pass! ';
+          } else {
+            response.turnSummary += 'The Oracle\'s prophecy did not come to pass. ';
+          }
+        }
+      });
+      state.conditions = tickTimed(state, state.conditions);
+
+      // Roll for random events (cargo on the road can be hit by customs)
+      const events = rollForEvents(state, Boolean(state.travelingTo), state.travelingTo);
       response.events.push(...events);
       applyEvents(state, events);
 
       // Update prices
       response.priceChanges = updatePrices(state);
+      response.fxChanges = updateExchangeRates(state);
 
-      // Roll for Oracle appearance
-      const oracle = rollForOracle(state);
-      if (oracle) {
-        response.oracleMessage = oracle;
-        state.oraclePrediction = oracle;
+      // Standing orders fill against the new prices
+      const orders = checkLimitOrders(state);
+      response.filledOrders = orders.filled;
+      for (const order of orders.filled) {
+        response.turnSummary += `Order #${order.id} filled: ${order.side === 'buy' ? 'bought' : 'sold'} ${order.quantity}x ${GOODS[order.good].name} in ${MARKETS[order.market].name} for ${formatMoney(order.total)}. `;
       }
+      for (const order of orders.expired) {
+        response.turnSummary += `Order #${order.id} expired. `;
+      }
+
+      // Futures are marked to the new prices; expired positions settle
+      response.derivatives = markPositions(state);
+      for (const call of response.derivatives.marginCalls) {
+        response.turnSummary += `Margin call on ${GOODS[call.good].name} futures: ${formatMoney(call.amount)} posted. `;
+      }
+      for (const position of response.derivatives.liquidated) {
+        response.turnSummary += `Margin call missed: ${GOODS[position.good].name} futures liquidated for ${formatMoney(position.value)}! `;
+      }
+      for (const position of response.derivatives.settled) {
+        response.turnSummary += `${GOODS[position.good].name} ${position.type === 'future' ? 'futures' : `${position.type}s`} settled for ${formatMoney(position.value)}. `;
+      }
+
+      // Contracts due this turn that weren't delivered
+      response.failedContracts = checkContractDeadlines(state);
+      for (const contract of response.failedContracts) {
+        response.turnSummary += `Missed the ${contract.counterparty} deadline: deposit lost and ${formatMoney(contract.penalty)} penalty! `;
+      }
+
+      // Export licenses run out
+      response.expiredLicenses = expireLicenses(state);
+      for (const license of response.expiredLicenses) {
+        response.turnSummary += `Your ${GOODS[license.good].name} license for ${MARKETS[license.market].name} has expired. `;
+      }
+
+      // Roll for Oracle appearance (an unbought offer is gone by next turn)
+      state.oraclePrediction = rollForOracle(state);
+      response.oracleMessage = getOracleTeaser(state);
 
       // Check game over
       checkGameOver(state);
 
-      // Advance turn
+      // Enforcers or the bankruptcy court may have cornered the player
+      if (state.pendingChoice) {
+        response.choiceEvent = state.pendingChoice;
+      }
+
+      // Advance turn: announced trade policy comes into force and the
+      // contract boards get fresh offers
       state.turn++;
+      response.policyChanges = enactPolicyChanges(state);
+      for (const change of response.policyChanges) {
+        response.turnSummary += `New trade rules: ${describePolicyChange(state, change)}. `;
+      }
+      refreshContractBoards(state);
+    }
+  }
 
-      // Clear expired opportunity events
-      state.pendingEvents = state.pendingEvents.filter(e => {
-        // Opportunities last 3 turns
-        return state.turn - (e.turn || state.turn) < 3;
-      });
+  response.netWorth = calculateNetWorth(state);
+  response.turnAdvanced = shouldAdvanceTurn;
+
+  if (shouldAdvanceTurn) {
+    response.turnSummary += `Net worth: ${formatMoney(response.netWorth)}`;
+  }
+
+  if (response.success) {
+    recordAction(state, action);
+  }
+
+  return response;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Action Journal & Replay
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Append a successful action to the journal (only when journaling is enabled)
+function recordAction(state, action) {
+  if (!Array.isArray(state.journal)) return;
+  state.journal.push({
+    action: deepClone(action),
+    turn: state.turn
+  });
+}
+
+// Rebuild a game from its seed and action list (raw actions or journal entries).
+// Failed actions are kept in steps but, like in the UI, do not change state.
+export function replayGame(seed, actions, options = {}) {
+  let state = createGame({ ...options, seed, journal: true });
+  const steps = [];
+  let divergedAt = null;
+
+  actions.forEach((entry, index) => {
+    const action = typeof entry.action === 'object' ? entry.action : entry;
+    const response = processAction(state, action);
+    if (response.success) {
+      state = response.state;
+    }
+
+    // Journal entries carry the turn they ended on - flag the first mismatch
+    if (divergedAt === null && entry.turn !== undefined && entry.turn !== state.turn) {
+      divergedAt = index;
+    }
+
+    steps.push({ action, response });
+  });
+
+  return { state, steps, divergedAt };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export for JSON API usage
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Options: { seed, journal, pack } - omit seed for a random one;
+// pack is a registered pack id or a pack object (registered on the fly)
+export function createGame(options = {}) {
+  return createInitialState(options);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Save Data Functions
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SAVE_VERSION = '1.17';
+
+// Ordered upgrade steps. Each migrate(state) mutates the state in place and
+// returns a list of human-readable changes. Add a step (and bump SAVE_VERSION)
+// whenever the state shape changes instead of patching old saves in the engine.
+const SAVE_MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    migrate(state) {
+      const changes = [];
+
+      for (const [marketId, market] of Object.entries(state.markets)) {
+        if (!market.priceHistory) {
+          market.priceHistory = {};
+        }
+        for (const goodId of Object.keys(market.prices)) {
+          if (!market.priceHistory[goodId]) {
+            market.priceHistory[goodId] = [market.prices[goodId]];
+            changes.push(`Added price history for ${goodId} in ${marketId}`);
+          }
+        }
+      }
+
+      if (typeof state.rngState !== 'number') {
+        state.seed = generateSeed();
+        state.rngState = state.seed;
+        changes.push('Assigned new random seed');
+      }
+
+      if (state.journal === undefined) {
+        state.journal = null;
+        changes.push('Added action journal (disabled)');
+      }
+
+      return changes;
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    migrate(state) {
+      if (state.contentPack) return [];
+      state.contentPack = DEFAULT_CONTENT_PACK.id;
+      return [`Assigned content pack ${DEFAULT_CONTENT_PACK.id}`];
+    }
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    migrate(state) {
+      if (Array.isArray(state.conditions)) return [];
+      state.conditions = [];
+      return ['Added market conditions'];
+    }
+  },
+  {
+    from: '1.3',
+    to: '1.4',
+    migrate(state) {
+      if (state.travelingTo !== undefined && state.travelTurnsRemaining !== undefined) return [];
+      state.travelingTo = null;
+      state.travelTurnsRemaining = 0;
+      return ['Added in-transit travel state'];
+    }
+  },
+  {
+    from: '1.4',
+    to: '1.5',
+    migrate(state) {
+      if (state.shippingMode !== undefined) return [];
+      // A trip already under way keeps going by the default mode
+      const { CONFIG } = getContentPack(state) ?? DEFAULT_CONTENT_PACK;
+      state.shippingMode = state.travelingTo ? CONFIG.defaultShippingMode : null;
+      return ['Added shipping mode'];
+    }
+  },
+  {
+    from: '1.5',
+    to: '1.6',
+    migrate(state) {
+      const changes = [];
+      for (const [marketId, market] of Object.entries(state.markets)) {
+        if (!market.pressure) {
+          market.pressure = {};
+          changes.push(`Added trading pressure to ${marketId}`);
+        }
+      }
+      return changes;
+    }
+  },
+  {
+    from: '1.6',
+    to: '1.7',
+    migrate(state) {
+      state.limitOrders = [];
+      state.nextOrderId = 1;
+      return ['Added limit order book'];
+    }
+  },
+  {
+    from: '1.7',
+    to: '1.8',
+    migrate(state) {
+      state.warehouses = {};
+      return ['Added warehouses'];
+    }
+  },
+  {
+    from: '1.8',
+    to: '1.9',
+    migrate(state) {
+      // Boards fill up at the end of the next turn
+      for (const market of Object.values(state.markets)) {
+        market.contractOffers = [];
+      }
+      state.contracts = [];
+      state.nextContractId = 1;
+      return ['Added forward contracts'];
+    }
+  },
+  {
+    from: '1.9',
+    to: '1.10',
+    migrate(state) {
+      state.positions = [];
+      state.nextPositionId = 1;
+      return ['Added derivatives positions'];
+    }
+  },
+  {
+    from: '1.10',
+    to: '1.11',
+    migrate(state) {
+      const { LENDERS, CONFIG } = getContentPack(state) ?? DEFAULT_CONTENT_PACK;
+      const changes = ['Added loan book'];
+      state.loans = [];
+      state.nextLoanId = 1;
+      delete state.player.debtInterestRate;
+
+      // Existing debt becomes a fresh loan from the default lender
+      if (state.player.debt > 0) {
+        const lender = LENDERS[CONFIG.defaultLender];
+        state.loans.push({
+          id: state.nextLoanId++,
+          lender: lender.id,
+          principal: state.player.debt,
+          balance: state.player.debt,
+          rate: lender.rate,
+          takenTurn: state.turn,
+          dueTurn: state.turn + lender.term
+        });
+        changes.push(`Moved ${formatMoney(state.player.debt)} of debt to ${lender.name}`);
+      }
+      return changes;
+    }
+  },
+  {
+    from: '1.11',
+    to: '1.12',
+    migrate(state) {
+      state.stats.restructurings = 0;
+      return ['Added bankruptcy restructuring count'];
+    }
+  },
+  {
+    from: '1.12',
+    to: '1.13',
+    migrate(state) {
+      state.savings = {};
+      return ['Added savings accounts'];
+    }
+  },
+  {
+    from: '1.13',
+    to: '1.14',
+    migrate(state) {
+      state.marketReputation = {};
+      state.player.heat = 0;
+      return ['Added per-market reputation and customs heat'];
+    }
+  },
+  {
+    from: '1.14',
+    to: '1.15',
+    migrate(state) {
+      state.licenses = [];
+      state.customsDeclared = false;
+      return ['Added export licenses and customs declarations'];
+    }
+  },
+  {
+    from: '1.15',
+    to: '1.16',
+    migrate(state) {
+      const { MARKETS } = getContentPack(state) ?? DEFAULT_CONTENT_PACK;
+      for (const [marketId, market] of Object.entries(state.markets)) {
+        market.policy = { tariffs: { ...(MARKETS[marketId]?.tariffs || {}) }, sanctions: market.restricted || [] };
+        delete market.restricted;
+      }
+      state.policyChanges = [];
+      return ['Replaced trading bans with per-market trade policy (tariffs and sanctions)'];
+    }
+  },
+  {
+    from: '1.16',
+    to: '1.17',
+    migrate(state) {
+      state.fxRates = createExchangeRates(getContentPack(state) ?? DEFAULT_CONTENT_PACK);
+      state.player.cash = {};
+      return ['Added local currencies and exchange rates'];
     }
   }
-
-  response.netWorth = calculateNetWorth(state);
-  response.turnAdvanced = shouldAdvanceTurn;
-
-  if (shouldAdvanceTurn) {
-    response.turnSummary += `Net worth: ${formatMoney(response.netWorth)}`;
+];
+
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
   }
-
-  return response;
-}
-
-// ─────────────────────────────────────────────────────────────────────────────
-// Export for JSON API usage
-// ─────────────────────────────────────────────────────────────────────────────
-
-export function createGame() {
-  return createInitialState();
+  return 0;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Save Data Functions
-// ─────────────────────────────────────────────────────────────────────────────
-
-export const SAVE_VERSION = '1.0';
-
 export function createSaveData(state, eventLog = []) {
   return {
     version: SAVE_VERSION,
@@ -1423,6 +3726,8 @@ export function validateSaveData(saveData) {
 
   if (!saveData.version) {
     errors.push('Missing version field');
+  } else if (compareVersions(saveData.version, SAVE_VERSION) > 0) {
+    errors.push(`Unsupported save version ${saveData.version}`);
   }
 
   if (!saveData.state) {
@@ -1458,22 +3763,592 @@ export function validateSaveData(saveData) {
   };
 }
 
+// Upgrade a save step-by-step to SAVE_VERSION. Returns a migrated copy plus
+// one entry per applied step; rejects saves written by a newer version.
+export function migrateSaveData(saveData) {
+  const result = { success: false, error: null, saveData: null, steps: [] };
+
+  if (!saveData || typeof saveData !== 'object' || !saveData.state) {
+    result.error = 'Save data must be an object with a state';
+    return result;
+  }
+  if (!saveData.version) {
+    result.error = 'Missing version field';
+    return result;
+  }
+  if (compareVersions(saveData.version, SAVE_VERSION) > 0) {
+    result.error = `Save version ${saveData.version} is newer than supported version ${SAVE_VERSION}`;
+    return result;
+  }
+
+  const migrated = deepClone(saveData);
+
+  while (compareVersions(migrated.version, SAVE_VERSION) < 0) {
+    const step = SAVE_MIGRATIONS.find(m => compareVersions(m.from, migrated.version) === 0);
+    if (!step) {
+      result.error = `No migration path from save version ${migrated.version}`;
+      return result;
+    }
+    const changes = step.migrate(migrated.state);
+    migrated.version = step.to;
+    result.steps.push({ from: step.from, to: step.to, changes });
+  }
+
+  result.success = true;
+  result.saveData = migrated;
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// State Validation
+// ─────────────────────────────────────────────────────────────────────────────
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Walk the whole state and collect problems. Each problem may carry a
+// repair(state) that fixes it in place; problems without one are fatal.
+function inspectState(state) {
+  const problems = [];
+  const report = (type, path, message, repair = null) => {
+    problems.push({ type, path, message, repair });
+  };
+
+  if (!state || typeof state !== 'object') {
+    report('invalid_value', 'state', 'State must be an object');
+    return problems;
+  }
+
+  const pack = getContentPack(state);
+  if (!pack) {
+    report('unknown_content_pack', 'contentPack', `Unknown content pack: ${state.contentPack}`);
+    return problems;
+  }
+  const { GOODS, MARKETS, SUPPLY_LEVELS, UPGRADES, MILESTONES, TRAVEL_CHOICES, LENDERS, COLLECTIONS, RESTRUCTURING, CONFIG } = pack;
+  const isValidContract = c => c && GOODS[c.good] && MARKETS[c.destination] &&
+    Number.isInteger(c.quantity) && c.quantity > 0 &&
+    [c.price, c.deposit, c.penalty].every(v => isNumber(v) && v >= 0) && Number.isInteger(c.deadline);
+
+  // Player
+  const player = state.player;
+  if (!player || typeof player !== 'object') {
+    report('missing_field', 'player', 'Missing player');
+    return problems;
+  }
+  if (!isNumber(player.balance)) {
+    report('invalid_value', 'player.balance', 'Balance must be a number');
+  }
+  if (!isNumber(player.debt) || player.debt < 0) {
+    report('invalid_value', 'player.debt', 'Debt must be a non-negative number', s => { s.player.debt = 0; });
+  }
+  if (!MARKETS[player.location]) {
+    report('unknown_market', 'player.location', `Unknown location: ${player.location}`,
+      s => { s.player.location = CONFIG.startingLocation; });
+  }
+  if (!isNumber(player.inventoryCapacity) || player.inventoryCapacity < 0) {
+    report('invalid_value', 'player.inventoryCapacity', 'Inventory capacity must be a non-negative number',
+      s => { s.player.inventoryCapacity = CONFIG.startingInventoryCapacity; });
+  }
+  if (!isNumber(player.reputation)) {
+    report('invalid_value', 'player.reputation', 'Reputation must be a number',
+      s => { s.player.reputation = CONFIG.startingReputation; });
+  }
+  if (!isNumber(player.heat) || player.heat < 0 || player.heat > CONFIG.heatMax) {
+    report('invalid_value', 'player.heat', `Heat must be between 0 and ${CONFIG.heatMax}`,
+      s => { s.player.heat = isNumber(s.player.heat) ? clamp(s.player.heat, 0, CONFIG.heatMax) : 0; });
+  }
+
+  if (!player.inventory || typeof player.inventory !== 'object') {
+    report('missing_field', 'player.inventory', 'Missing inventory', s => { s.player.inventory = {}; });
+  } else {
+    for (const [goodId, qty] of Object.entries(player.inventory)) {
+      const removeGood = s => {
+        delete s.player.inventory[goodId];
+        if (s.player.costBasis) delete s.player.costBasis[goodId];
+      };
+      if (!GOODS[goodId]) {
+        report('unknown_good', `player.inventory.${goodId}`, `Unknown good in inventory: ${goodId}`, removeGood);
+      } else if (!Number.isInteger(qty) || qty <= 0) {
+        report('invalid_quantity', `player.inventory.${goodId}`, `Invalid quantity for ${goodId}: ${qty}`, removeGood);
+      }
+    }
+  }
+
+  if (!player.costBasis || typeof player.costBasis !== 'object') {
+    report('missing_field', 'player.costBasis', 'Missing cost basis', s => { s.player.costBasis = {}; });
+  } else {
+    for (const [goodId, cost] of Object.entries(player.costBasis)) {
+      const path = `player.costBasis.${goodId}`;
+      if (!GOODS[goodId]) {
+        report('unknown_good', path, `Unknown good in cost basis: ${goodId}`, s => { delete s.player.costBasis[goodId]; });
+      } else if (!isNumber(cost) || cost < 0) {
+        report('invalid_value', path, `Invalid cost basis for ${goodId}: ${cost}`, s => { s.player.costBasis[goodId] = 0; });
+      } else if (!player.inventory?.[goodId]) {
+        report('orphan_cost_basis', path, `Cost basis for ${goodId} without inventory`, s => { delete s.player.costBasis[goodId]; });
+      }
+    }
+  }
+
+  // Markets
+  if (!state.markets || typeof state.markets !== 'object') {
+    report('missing_field', 'markets', 'Missing markets');
+  } else {
+    for (const marketId of Object.keys(state.markets)) {
+      if (!MARKETS[marketId]) {
+        report('unknown_market', `markets.${marketId}`, `Unknown market: ${marketId}`, s => { delete s.markets[marketId]; });
+      }
+    }
+
+    for (const marketId of Object.keys(MARKETS)) {
+      const market = state.markets[marketId];
+      const path = `markets.${marketId}`;
+      if (!market || typeof market !== 'object') {
+        report('missing_market', path, `Missing market: ${marketId}`, s => { s.markets[marketId] = createMarketState(pack, marketId); });
+        continue;
+      }
+
+      for (const field of ['prices', 'supply', 'priceHistory', 'pressure']) {
+        if (!market[field] || typeof market[field] !== 'object') {
+          report('missing_field', `${path}.${field}`, `Missing ${field} in ${marketId}`, s => { s.markets[marketId][field] = {}; });
+        }
+      }
+
+      for (const goodId of Object.keys(GOODS)) {
+        const price = market.prices?.[goodId];
+        if (!isNumber(price) || price <= 0) {
+          report('invalid_price', `${path}.prices.${goodId}`, `Invalid price for ${goodId} in ${marketId}: ${price}`,
+            s => { s.markets[marketId].prices[goodId] = getStartingPrice(pack, marketId, goodId); });
+        }
+        if (!SUPPLY_LEVELS[market.supply?.[goodId]]) {
+          report('invalid_supply', `${path}.supply.${goodId}`, `Invalid supply level for ${goodId} in ${marketId}`,
+            s => { s.markets[marketId].supply[goodId] = 'normal'; });
+        }
+        const history = market.priceHistory?.[goodId];
+        if (!Array.isArray(history) || !history.every(isNumber)) {
+          report('invalid_value', `${path}.priceHistory.${goodId}`, `Invalid price history for ${goodId} in ${marketId}`,
+            s => { s.markets[marketId].priceHistory[goodId] = [s.markets[marketId].prices[goodId]]; });
+        }
+      }
+
+      for (const goodId of Object.keys(market.prices || {})) {
+        if (!GOODS[goodId]) {
+          report('unknown_good', `${path}.prices.${goodId}`, `Unknown good in ${marketId}: ${goodId}`, s => {
+            const m = s.markets[marketId];
+            delete m.prices[goodId];
+            if (m.supply) delete m.supply[goodId];
+            if (m.priceHistory) delete m.priceHistory[goodId];
+          });
+        }
+      }
+
+      for (const [goodId, pressure] of Object.entries(market.pressure || {})) {
+        if (!GOODS[goodId] || !isNumber(pressure)) {
+          report('invalid_value', `${path}.pressure.${goodId}`, `Invalid trading pressure for ${goodId} in ${marketId}`,
+            s => { delete s.markets[marketId].pressure[goodId]; });
+        }
+      }
+
+      if (!Array.isArray(market.contractOffers)) {
+        report('missing_field', `${path}.contractOffers`, `Missing contract board in ${marketId}`, s => { s.markets[marketId].contractOffers = []; });
+      } else {
+        market.contractOffers.forEach((offer, i) => {
+          if (!isValidContract(offer)) {
+            report('invalid_contract', `${path}.contractOffers.${i}`, `Invalid contract offer #${offer?.id} in ${marketId}`,
+              s => { s.markets[marketId].contractOffers = s.markets[marketId].contractOffers.filter(o => o !== offer); });
+          }
+        });
+      }
+
+      const policy = market.policy;
+      if (!policy || typeof policy.tariffs !== 'object' || !policy.tariffs || !Array.isArray(policy.sanctions)) {
+        report('missing_field', `${path}.policy`, `Missing trade policy in ${marketId}`,
+          s => { s.markets[marketId].policy = { tariffs: { ...(MARKETS[marketId].tariffs || {}) }, sanctions: [] }; });
+      } else {
+        if (policy.sanctions.some(goodId => !GOODS[goodId])) {
+          report('unknown_good', `${path}.policy.sanctions`, `Unknown sanctioned good in ${marketId}`,
+            s => { s.markets[marketId].policy.sanctions = s.markets[marketId].policy.sanctions.filter(g => GOODS[g]); });
+        }
+        for (const [goodId, rate] of Object.entries(policy.tariffs)) {
+          if (!GOODS[goodId] || !isNumber(rate) || rate < 0 || rate >= 1) {
+            report('invalid_value', `${path}.policy.tariffs.${goodId}`, `Invalid tariff on ${goodId} in ${marketId}: ${rate}`,
+              s => { delete s.markets[marketId].policy.tariffs[goodId]; });
+          }
+        }
+      }
+    }
+  }
+
+  // Pending events (opportunities, cargo slowdowns, intel tips)
+  if (!Array.isArray(state.pendingEvents)) {
+    report('missing_field', 'pendingEvents', 'Missing pending events', s => { s.pendingEvents = []; });
+  } else {
+    state.pendingEvents.forEach((pending, i) => {
+      if (!pending || typeof pending !== 'object' || (pending.good !== undefined && !GOODS[pending.good])) {
+        report('unknown_good', `pendingEvents.${i}`, `Pending event references unknown good: ${pending?.good}`,
+          s => { s.pendingEvents = s.pendingEvents.filter(e => e !== pending); });
+      } else if (pending.market !== undefined && !MARKETS[pending.market]) {
+        report('unknown_market', `pendingEvents.${i}`, `Pending event references unknown market: ${pending.market}`,
+          s => { s.pendingEvents = s.pendingEvents.filter(e => e !== pending); });
+      }
+    });
+  }
+
+  // Travel
+  if (state.travelingTo !== null && (!MARKETS[state.travelingTo] || !Number.isInteger(state.travelTurnsRemaining) || state.travelTurnsRemaining < 1)) {
+    report('unknown_market', 'travelingTo', `Invalid trip to ${state.travelingTo}`, s => {
+      s.travelingTo = null;
+      s.travelTurnsRemaining = 0;
+    });
+  }
+
+  if (state.shippingMode !== null && !pack.SHIPPING_MODES[state.shippingMode]) {
+    report('invalid_value', 'shippingMode', `Unknown shipping mode: ${state.shippingMode}`,
+      s => { s.shippingMode = null; });
+  }
+
+  // Oracle offer
+  const offer = state.oraclePrediction;
+  if (offer && (typeof offer !== 'object' || !GOODS[offer.good] || !MARKETS[offer.market] || !isNumber(offer.cost))) {
+    report('invalid_value', 'oraclePrediction', 'Oracle offer references unknown data', s => { s.oraclePrediction = null; });
+  }
+
+  // Market conditions
+  if (!Array.isArray(state.conditions)) {
+    report('missing_field', 'conditions', 'Missing market conditions', s => { s.conditions = []; });
+  } else {
+    state.conditions.forEach((condition, i) => {
+      const valid = condition && CONDITION_KINDS.includes(condition.kind) &&
+        isNumber(condition.turnsRemaining) &&
+        isNumber(condition.kind === 'customs' ? condition.delta : condition.factor) &&
+        Array.isArray(condition.markets) && condition.markets.every(m => MARKETS[m]) &&
+        (condition.goods === null || (Array.isArray(condition.goods) && condition.goods.every(g => GOODS[g])));
+      if (!valid) {
+        report('invalid_condition', `conditions.${i}`, `Invalid market condition: ${condition?.title || condition?.kind}`,
+          s => { s.conditions = s.conditions.filter(c => c !== condition); });
+      }
+    });
+  }
+
+  // Warehouses
+  if (!state.warehouses || typeof state.warehouses !== 'object') {
+    report('missing_field', 'warehouses', 'Missing warehouses', s => { s.warehouses = {}; });
+  } else {
+    for (const [marketId, warehouse] of Object.entries(state.warehouses)) {
+      const path = `warehouses.${marketId}`;
+      if (!pack.MARKETS[marketId]?.warehouse || !warehouse?.inventory || !warehouse.costBasis) {
+        report('unknown_market', path, `Invalid warehouse in ${marketId}`, s => { delete s.warehouses[marketId]; });
+        continue;
+      }
+      for (const [goodId, qty] of Object.entries(warehouse.inventory)) {
+        if (!GOODS[goodId]) {
+          report('unknown_good', `${path}.inventory.${goodId}`, `Unknown good in ${marketId} warehouse: ${goodId}`,
+            s => { delete s.warehouses[marketId].inventory[goodId]; delete s.warehouses[marketId].costBasis[goodId]; });
+        } else if (!Number.isInteger(qty) || qty <= 0) {
+          report('invalid_quantity', `${path}.inventory.${goodId}`, `Invalid stored quantity of ${goodId}: ${qty}`,
+            s => { delete s.warehouses[marketId].inventory[goodId]; delete s.warehouses[marketId].costBasis[goodId]; });
+        }
+      }
+    }
+  }
+
+  // Forward contracts
+  if (!Array.isArray(state.contracts)) {
+    report('missing_field', 'contracts', 'Missing contracts', s => { s.contracts = []; });
+  } else {
+    state.contracts.forEach((contract, i) => {
+      if (!isValidContract(contract)) {
+        report('invalid_contract', `contracts.${i}`, `Invalid contract #${contract?.id}`,
+          s => { s.contracts = s.contracts.filter(c => c !== contract); });
+      }
+    });
+  }
+
+  const contractIds = [
+    ...(Array.isArray(state.contracts) ? state.contracts : []),
+    ...Object.values(state.markets || {}).flatMap(m => Array.isArray(m?.contractOffers) ? m.contractOffers : [])
+  ].map(c => c?.id || 0);
+  const maxContractId = Math.max(0, ...contractIds);
+  if (!Number.isInteger(state.nextContractId) || state.nextContractId <= maxContractId) {
+    report('invalid_value', 'nextContractId', 'Contract id counter is behind the posted contracts',
+      s => { s.nextContractId = maxContractId + 1; });
+  }
+
+  // Derivatives
+  if (!Array.isArray(state.positions)) {
+    report('missing_field', 'positions', 'Missing derivatives positions', s => { s.positions = []; });
+  } else {
+    state.positions.forEach((position, i) => {
+      const terms = position?.type === 'future'
+        ? ['long', 'short'].includes(position.side) && isNumber(position.margin) && isNumber(position.lastPrice)
+        : ['call', 'put'].includes(position?.type) && isNumber(position.strike) && position.strike > 0;
+      const valid = terms && GOODS[position.good] && Number.isInteger(position.quantity) && position.quantity > 0 &&
+        Number.isInteger(position.expiresTurn);
+      if (!valid) {
+        report('invalid_position', `positions.${i}`, `Invalid derivatives position #${position?.id}`,
+          s => { s.positions = s.positions.filter(p => p !== position); });
+      }
+    });
+  }
+
+  const maxPositionId = Math.max(0, ...(Array.isArray(state.positions) ? state.positions.map(p => p?.id || 0) : []));
+  if (!Number.isInteger(state.nextPositionId) || state.nextPositionId <= maxPositionId) {
+    report('invalid_value', 'nextPositionId', 'Position id counter is behind the open positions',
+      s => { s.nextPositionId = maxPositionId + 1; });
+  }
+
+  // Announced trade policy
+  if (!Array.isArray(state.policyChanges)) {
+    report('missing_field', 'policyChanges', 'Missing policy announcements', s => { s.policyChanges = []; });
+  } else {
+    state.policyChanges.forEach((change, i) => {
+      const valid = change && state.markets?.[change.market] && GOODS[change.good] &&
+        ['sanction', 'lift_sanction', 'tariff'].includes(change.change) && Number.isInteger(change.effectiveTurn) &&
+        (change.change !== 'tariff' || (isNumber(change.rate) && change.rate >= 0 && change.rate < 1));
+      if (!valid) {
+        report('invalid_policy', `policyChanges.${i}`, `Invalid policy announcement at index ${i}`,
+          s => { s.policyChanges = s.policyChanges.filter(c => c !== change); });
+      }
+    });
+  }
+
+  // Export licenses
+  if (!Array.isArray(state.licenses)) {
+    report('missing_field', 'licenses', 'Missing export licenses', s => { s.licenses = []; });
+  } else {
+    state.licenses.forEach((license, i) => {
+      if (!license || !MARKETS[license.market]?.restrictedGoods?.[license.good] || !Number.isInteger(license.expiresTurn)) {
+        report('invalid_license', `licenses.${i}`, `Invalid export license at index ${i}`,
+          s => { s.licenses = s.licenses.filter(l => l !== license); });
+      }
+    });
+  }
+  if (typeof state.customsDeclared !== 'boolean') {
+    report('invalid_value', 'customsDeclared', 'Customs declaration flag must be true or false',
+      s => { s.customsDeclared = false; });
+  }
+
+  // Local reputation
+  if (!state.marketReputation || typeof state.marketReputation !== 'object' || Array.isArray(state.marketReputation)) {
+    report('missing_field', 'marketReputation', 'Missing market reputation', s => { s.marketReputation = {}; });
+  } else {
+    for (const [marketId, standing] of Object.entries(state.marketReputation)) {
+      if (!MARKETS[marketId]) {
+        report('unknown_market', `marketReputation.${marketId}`, `Reputation in unknown market: ${marketId}`,
+          s => { delete s.marketReputation[marketId]; });
+      } else if (!isNumber(standing)) {
+        report('invalid_value', `marketReputation.${marketId}`, `Invalid reputation in ${marketId}: ${standing}`,
+          s => { delete s.marketReputation[marketId]; });
+      }
+    }
+  }
+
+  // Currencies
+  const startingRates = createExchangeRates(pack);
+  if (!state.fxRates || typeof state.fxRates !== 'object' || Array.isArray(state.fxRates)) {
+    report('missing_field', 'fxRates', 'Missing exchange rates', s => { s.fxRates = startingRates; });
+  } else {
+    for (const [currency, rate] of Object.entries(startingRates)) {
+      if (!isNumber(state.fxRates[currency]) || state.fxRates[currency] <= 0) {
+        report('invalid_value', `fxRates.${currency}`, `Invalid exchange rate for ${currency}: ${state.fxRates[currency]}`,
+          s => { s.fxRates[currency] = rate; });
+      }
+    }
+    for (const currency of Object.keys(state.fxRates)) {
+      if (!(currency in startingRates)) {
+        report('unknown_currency', `fxRates.${currency}`, `Exchange rate for unknown currency: ${currency}`,
+          s => { delete s.fxRates[currency]; });
+      }
+    }
+  }
+  if (!player.cash || typeof player.cash !== 'object' || Array.isArray(player.cash)) {
+    report('missing_field', 'player.cash', 'Missing foreign cash', s => { s.player.cash = {}; });
+  } else {
+    for (const [currency, amount] of Object.entries(player.cash)) {
+      if (!(currency in startingRates)) {
+        report('unknown_currency', `player.cash.${currency}`, `Cash in unknown currency: ${currency}`,
+          s => { delete s.player.cash[currency]; });
+      } else if (!isNumber(amount) || amount <= 0) {
+        report('invalid_value', `player.cash.${currency}`, `Invalid ${currency} cash: ${amount}`,
+          s => { delete s.player.cash[currency]; });
+      }
+    }
+  }
+
+  // Savings
+  if (!state.savings || typeof state.savings !== 'object' || Array.isArray(state.savings)) {
+    report('missing_field', 'savings', 'Missing savings accounts', s => { s.savings = {}; });
+  } else {
+    for (const [marketId, amount] of Object.entries(state.savings)) {
+      if (!MARKETS[marketId]) {
+        report('unknown_market', `savings.${marketId}`, `Savings in unknown market: ${marketId}`,
+          s => { delete s.savings[marketId]; });
+      } else if (!isNumber(amount) || amount <= 0) {
+        report('invalid_value', `savings.${marketId}`, `Invalid savings in ${marketId}: ${amount}`,
+          s => { delete s.savings[marketId]; });
+      }
+    }
+  }
+
+  // Loans
+  if (!Array.isArray(state.loans)) {
+    report('missing_field', 'loans', 'Missing loan book', s => { s.loans = []; });
+  } else {
+    state.loans.forEach((loan, i) => {
+      const valid = loan && LENDERS[loan.lender] && isNumber(loan.balance) && loan.balance > 0 &&
+        isNumber(loan.rate) && loan.rate >= 0 && Number.isInteger(loan.dueTurn);
+      if (!valid) {
+        report('invalid_loan', `loans.${i}`, `Invalid loan #${loan?.id}`,
+          s => { s.loans = s.loans.filter(l => l !== loan); });
+      }
+    });
+
+    const owed = state.loans.reduce((sum, loan) => sum + (isNumber(loan?.balance) ? loan.balance : 0), 0);
+    if (isNumber(player.debt) && player.debt !== owed) {
+      report('invalid_value', 'player.debt', `Debt ${player.debt} doesn't match the loan book (${owed})`,
+        s => { s.player.debt = s.loans.reduce((sum, loan) => sum + loan.balance, 0); });
+    }
+  }
+
+  const maxLoanId = Math.max(0, ...(Array.isArray(state.loans) ? state.loans.map(l => l?.id || 0) : []));
+  if (!Number.isInteger(state.nextLoanId) || state.nextLoanId <= maxLoanId) {
+    report('invalid_value', 'nextLoanId', 'Loan id counter is behind the open loans',
+      s => { s.nextLoanId = maxLoanId + 1; });
+  }
+
+  // Limit orders
+  if (!Array.isArray(state.limitOrders)) {
+    report('missing_field', 'limitOrders', 'Missing limit orders', s => { s.limitOrders = []; });
+  } else {
+    state.limitOrders.forEach((order, i) => {
+      const valid = order && MARKETS[order.market] && GOODS[order.good] &&
+        (order.side === 'buy' || order.side === 'sell') &&
+        Number.isInteger(order.quantity) && order.quantity > 0 &&
+        isNumber(order.limitPrice) && order.limitPrice > 0 &&
+        isNumber(order.reserved) && order.reserved >= 0 && Number.isInteger(order.expiresTurn);
+      if (!valid) {
+        report('invalid_order', `limitOrders.${i}`, `Invalid limit order #${order?.id}`,
+          s => { s.limitOrders = s.limitOrders.filter(o => o !== order); });
+      }
+    });
+  }
+
+  const maxOrderId = Math.max(0, ...(Array.isArray(state.limitOrders) ? state.limitOrders.map(o => o?.id || 0) : []));
+  if (!Number.isInteger(state.nextOrderId) || state.nextOrderId <= maxOrderId) {
+    report('invalid_value', 'nextOrderId', 'Order id counter is behind the open orders',
+      s => { s.nextOrderId = maxOrderId + 1; });
+  }
+
+  // Turn
+  if (!Number.isInteger(state.turn) || state.turn < 1) {
+    report('invalid_value', 'turn', `Invalid turn: ${state.turn}`);
+  }
+
+  // Upgrades
+  for (const field of ['unlockedUpgrades', 'purchasedUpgrades']) {
+    const list = state[field];
+    if (!Array.isArray(list)) {
+      report('missing_field', field, `Missing ${field}`, s => { s[field] = []; });
+    } else {
+      for (const upgradeId of list) {
+        if (!UPGRADES[upgradeId]) {
+          report('unknown_upgrade', field, `Unknown upgrade: ${upgradeId}`,
+            s => { s[field] = s[field].filter(id => id !== upgradeId); });
+        }
+      }
+    }
+  }
+
+  // Milestones
+  if (!state.milestones || typeof state.milestones !== 'object') {
+    report('missing_field', 'milestones', 'Missing milestones', s => { s.milestones = {}; });
+  }
+  for (const milestoneId of Object.keys(MILESTONES)) {
+    const milestone = state.milestones?.[milestoneId];
+    if (!milestone || typeof milestone.achieved !== 'boolean') {
+      report('missing_milestone', `milestones.${milestoneId}`, `Missing milestone: ${milestoneId}`,
+        s => { s.milestones[milestoneId] = createMilestoneState(pack, milestoneId); });
+    }
+  }
+  for (const milestoneId of Object.keys(state.milestones || {})) {
+    if (!MILESTONES[milestoneId]) {
+      report('unknown_milestone', `milestones.${milestoneId}`, `Unknown milestone: ${milestoneId}`,
+        s => { delete s.milestones[milestoneId]; });
+    }
+  }
+
+  // Pending choice must point at a real travel or collection choice, good,
+  // destination and (for collections) loan
+  const choice = state.pendingChoice;
+  if (choice) {
+    const knownType = choice.type === 'collection'
+      ? COLLECTIONS[choice.id] && Array.isArray(state.loans) && state.loans.some(l => l.id === choice.params?.loanId)
+      : choice.type === RESTRUCTURING.type || Object.values(TRAVEL_CHOICES).some(c => c.type === choice.type);
+    const validChoices = Array.isArray(choice.choices) && choice.choices.length > 0;
+    const validGood = !choice.params?.goodId || GOODS[choice.params.goodId];
+    const validDestination = !choice.destination || MARKETS[choice.destination];
+    if (!knownType || !validChoices || !choice.params || !validGood || !validDestination) {
+      report('invalid_pending_choice', 'pendingChoice', 'Pending choice references unknown data', s => {
+        s.pendingChoice = null;
+        delete s._pendingDestination;
+      });
+    }
+  }
+  if (state._pendingDestination !== undefined && !MARKETS[state._pendingDestination]) {
+    report('unknown_market', '_pendingDestination', `Unknown pending destination: ${state._pendingDestination}`,
+      s => { delete s._pendingDestination; });
+  }
+
+  return problems;
+}
+
+// Deep check of a game state against its content pack.
+// Returns { valid, problems: [{ type, path, message, repairable }] }
+export function validateState(state) {
+  const problems = inspectState(state).map(({ repair, ...problem }) => ({
+    ...problem,
+    repairable: repair !== null
+  }));
+  return { valid: problems.length === 0, problems };
+}
+
+// Fix every repairable problem on a copy of the state.
+// Returns { state, repaired, remaining } where remaining lists unfixable problems.
+export function repairState(state) {
+  const repairedState = deepClone(state);
+  const repaired = [];
+
+  // Repairs can expose new problems (e.g. a rebuilt market), so loop a few times
+  for (let pass = 0; pass < 3; pass++) {
+    const fixable = inspectState(repairedState).filter(p => p.repair);
+    if (fixable.length === 0) break;
+    for (const { repair, ...problem } of fixable) {
+      repair(repairedState);
+      repaired.push(problem);
+    }
+  }
+
+  return {
+    state: repairedState,
+    repaired,
+    remaining: validateState(repairedState).problems
+  };
+}
+
 export function submitAction(state, action) {
   return processAction(state, action);
 }
 
 // Helper to get available actions
 export function getAvailableActions(state) {
+  const { GOODS, MARKETS, UPGRADES, SHIPPING_MODES, LENDERS, CONFIG } = getContentPack(state);
   const actions = [];
   const market = state.markets[state.player.location];
-  const inventoryUsed = calculateInventoryUsed(state.player.inventory);
 
   // Buy actions
   for (const goodId of Object.keys(GOODS)) {
-    if (!market.restricted.includes(goodId)) {
-      const maxAfford = Math.floor(state.player.balance / market.prices[goodId]);
-      const maxCapacity = state.player.inventoryCapacity - inventoryUsed;
-      const max = Math.min(maxAfford, maxCapacity);
+    if (!state.travelingTo && !isSanctioned(state, market.id, goodId)) {
+      const max = getMaxBuyQuantity(state, goodId);
       if (max > 0) {
         actions.push({ action: 'buy', good: goodId, maxQuantity: max });
       }
@@ -1482,16 +4357,72 @@ export function getAvailableActions(state) {
 
   // Sell actions
   for (const [goodId, quantity] of Object.entries(state.player.inventory)) {
-    if (!market.restricted.includes(goodId) && quantity > 0) {
+    if (!state.travelingTo && !isSanctioned(state, market.id, goodId) && quantity > 0) {
       actions.push({ action: 'sell', good: goodId, maxQuantity: quantity });
     }
   }
 
+  // Warehouse here
+  const warehouse = state.warehouses[state.player.location];
+  if (!state.travelingTo && !warehouse && getWarehouseSpec(state, state.player.location)) {
+    actions.push({ action: 'rentWarehouse' });
+  }
+  if (!state.travelingTo && warehouse) {
+    for (const [goodId, quantity] of Object.entries(state.player.inventory)) {
+      actions.push({ action: 'deposit', good: goodId, maxQuantity: quantity });
+    }
+    for (const [goodId, quantity] of Object.entries(warehouse.inventory)) {
+      actions.push({ action: 'withdraw', good: goodId, maxQuantity: quantity });
+    }
+  }
+  for (const [marketId, stored] of Object.entries(state.warehouses)) {
+    if (Object.keys(stored.inventory).length === 0) {
+      actions.push({ action: 'releaseWarehouse', market: marketId });
+    }
+  }
+
+  // Contracts: sign here, deliver at the destination
+  if (!state.travelingTo) {
+    for (const offer of market.contractOffers) {
+      if (offer.deposit <= state.player.balance && state.contracts.length < CONFIG.maxContracts &&
+          getReputation(state, state.player.location) >= CONFIG.contractMinReputation) {
+        actions.push({ action: 'acceptContract', contractId: offer.id });
+      }
+    }
+    for (const contract of state.contracts) {
+      if (contract.destination === state.player.location && (state.player.inventory[contract.good] || 0) >= contract.quantity) {
+        actions.push({ action: 'deliverContract', contractId: contract.id });
+      }
+    }
+  }
+
+  // Derivatives desk (global, like the order book)
+  if (state.positions.length < CONFIG.maxPositions) {
+    actions.push({ action: 'openFuture', tenors: CONFIG.derivativeTenors });
+    actions.push({ action: 'buyOption', tenors: CONFIG.derivativeTenors });
+  }
+  for (const position of state.positions) {
+    actions.push({ action: 'closePosition', positionId: position.id });
+  }
+
+  // Order book (works from anywhere, even on the road)
+  if (state.limitOrders.length < CONFIG.maxLimitOrders) {
+    actions.push({ action: 'placeOrder', maxExpiresTurn: state.turn + CONFIG.maxOrderTurns - 1 });
+  }
+  for (const order of state.limitOrders) {
+    actions.push({ action: 'cancelOrder', orderId: order.id });
+  }
+
   // Travel actions
   if (!state.travelingTo) {
     for (const marketId of Object.keys(MARKETS)) {
-      if (marketId !== state.player.location) {
-        actions.push({ action: 'travel', destination: marketId });
+      if (marketId === state.player.location) continue;
+      const duty = getAtRiskGoods(state, marketId).reduce((sum, g) => sum + g.duty, 0);  // To travel with declare
+      for (const modeId of Object.keys(SHIPPING_MODES)) {
+        const quote = getTripQuote(state, marketId, modeId);
+        if (quote.fits && quote.cost <= state.player.balance) {
+          actions.push({ action: 'travel', destination: marketId, mode: modeId, turns: quote.turns, cost: quote.cost, duty });
+        }
       }
     }
   }
@@ -1499,18 +4430,59 @@ export function getAvailableActions(state) {
   // Wait
   actions.push({ action: 'wait' });
 
-  // Borrow
-  const maxBorrow = getMaxBorrowable(state);
-  if (maxBorrow > 0) {
-    actions.push({ action: 'borrow', maxAmount: maxBorrow });
+  // Oracle
+  const oracle = state.oraclePrediction;
+  if (oracle && !oracle.revealed && (oracle.isFree || state.player.balance >= oracle.cost)) {
+    actions.push({ action: 'consultOracle', cost: oracle.isFree ? 0 : oracle.cost });
   }
 
-  // Pay debt
-  if (state.player.debt > 0 && state.player.balance > 0) {
-    actions.push({
-      action: 'payDebt',
-      maxAmount: Math.min(state.player.balance, state.player.debt)
-    });
+  // Borrow from each lender still willing
+  for (const lenderId of Object.keys(LENDERS)) {
+    const maxBorrow = getMaxBorrowable(state, lenderId);
+    if (maxBorrow > 0) {
+      actions.push({ action: 'borrow', lender: lenderId, maxAmount: maxBorrow });
+    }
+  }
+
+  // Savings at the current market
+  if (!state.travelingTo) {
+    if (state.player.balance > 0) {
+      actions.push({ action: 'bankDeposit', maxAmount: state.player.balance });
+    }
+    if (state.savings[state.player.location] > 0) {
+      actions.push({ action: 'bankWithdraw', maxAmount: state.savings[state.player.location] });
+    }
+  }
+
+  // Currency desk: dollars into any currency in use, held cash back to dollars
+  for (const currency of Object.keys(state.fxRates)) {
+    if (state.player.balance > 0) {
+      actions.push({ action: 'exchange', from: CONFIG.baseCurrency, to: currency, maxAmount: state.player.balance });
+    }
+    if (state.player.cash[currency] > 0) {
+      actions.push({ action: 'exchange', from: currency, to: CONFIG.baseCurrency, maxAmount: state.player.cash[currency] });
+    }
+  }
+
+  // Export licenses for restricted goods
+  for (const [marketId, marketData] of Object.entries(MARKETS)) {
+    for (const [goodId, restriction] of Object.entries(marketData.restrictedGoods || {})) {
+      const { license } = getComplianceTerms(state, restriction);
+      if (license.cost <= state.player.balance) {
+        actions.push({ action: 'buyLicense', market: marketId, good: goodId, cost: license.cost, turns: license.turns });
+      }
+    }
+  }
+
+  // Pay down each loan
+  if (state.player.balance > 0) {
+    for (const loan of state.loans) {
+      actions.push({
+        action: 'payDebt',
+        loanId: loan.id,
+        maxAmount: Math.min(state.player.balance, loan.balance)
+      });
+    }
   }
 
   // Upgrades
@@ -2,8 +2,8 @@
 // COMPUTE WARS - Test Suite
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { createGame, submitAction, calculateNetWorth, calculateInventoryUsed, calculateAverageCost, getEffectiveBuyPrice, getEffectiveSellPrice, getAtRiskGoods, createSaveData, validateSaveData, SAVE_VERSION } from './engine.js';
-import { GOODS, MARKETS, TRAVEL_CHOICES } from './data.js';
+import { createGame, submitAction, replayGame, registerContentPack, getContentPack, calculateNetWorth, calculateInventoryUsed, calculateAverageCost, getCargoCapacity, getRoute, getTripQuote, getAvailableActions, getActiveConditions, getCustomsRisk, getEffectiveBuyPrice, getEffectiveSellPrice, getSpotPrice, getFillQuote, getMaxBuyQuantity, getGlobalPrice, getMaxBorrowable, getLoanStatus, getSavingsRate, getReputation, getTariff, isSanctioned, getExchangeRate, getExchangeQuote, getOptionPremium, getAtRiskGoods, createSaveData, validateSaveData, migrateSaveData, validateState, repairState, SAVE_VERSION } from './engine.js';
+import { GOODS, MARKETS, EVENTS, SHIPPING_MODES, TRAVEL_CHOICES, LENDERS, COLLECTIONS } from './data.js';
 
 // ANSI color codes
 const colors = {
@@ -18,24 +18,6 @@ const colors = {
   bgGreen: '\x1b[42m',
 };
 
-// Deterministic random for testing (seeded PRNG)
-function createSeededRandom(seed) {
-  return function() {
-    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-    return seed / 0x7fffffff;
-  };
-}
-
-function withDeterministicRandom(seed, fn) {
-  const originalRandom = Math.random;
-  Math.random = createSeededRandom(seed);
-  try {
-    return fn();
-  } finally {
-    Math.random = originalRandom;
-  }
-}
-
 let passed = 0;
 let failed = 0;
 const failures = [];
@@ -96,6 +78,396 @@ test('all markets have prices for all goods', () => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Seeded Random Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Seeded Random');
+
+function waitTurns(state, turns) {
+  for (let i = 0; i < turns; i++) {
+    state = submitAction(state, { action: 'wait' }).state;
+  }
+  return state;
+}
+
+test('createGame stores seed and RNG state', () => {
+  const state = createGame({ seed: 1234 });
+  assertEqual(state.seed, 1234, 'Seed should be stored in state');
+  assertEqual(typeof state.rngState, 'number', 'RNG state should be a number');
+});
+
+test('same seed and actions produce the same game', () => {
+  const a = waitTurns(createGame({ seed: 77 }), 10);
+  const b = waitTurns(createGame({ seed: 77 }), 10);
+  assertEqual(JSON.stringify(a), JSON.stringify(b), 'States should be identical');
+});
+
+test('different seeds produce different games', () => {
+  const a = waitTurns(createGame({ seed: 1 }), 5);
+  const b = waitTurns(createGame({ seed: 2 }), 5);
+  assert(JSON.stringify(a.markets) !== JSON.stringify(b.markets), 'Prices should diverge');
+});
+
+test('string seeds are accepted and deterministic', () => {
+  const a = waitTurns(createGame({ seed: 'bug-report-42' }), 3);
+  const b = waitTurns(createGame({ seed: 'bug-report-42' }), 3);
+  assertEqual(typeof a.seed, 'number', 'String seed should be hashed to a number');
+  assertEqual(JSON.stringify(a), JSON.stringify(b), 'States should be identical');
+});
+
+test('saved games resume the same random stream', () => {
+  const state = waitTurns(createGame({ seed: 99 }), 3);
+  const restored = JSON.parse(JSON.stringify(createSaveData(state))).state;
+
+  const direct = waitTurns(state, 5);
+  const resumed = waitTurns(restored, 5);
+  assertEqual(JSON.stringify(direct), JSON.stringify(resumed), 'Resumed game should match');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Action Journal & Replay Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Action Journal & Replay');
+
+test('journal is off by default', () => {
+  const state = createGame();
+  assertEqual(state.journal, null, 'Journal should be null');
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.state.journal, null, 'Journal should stay null');
+});
+
+test('journal records successful actions with resulting turn', () => {
+  let state = createGame({ seed: 5, journal: true });
+  state = submitAction(state, { action: 'buy', good: 'compute', quantity: 1 }).state;
+  state = submitAction(state, { action: 'wait' }).state;
+
+  assertEqual(state.journal.length, 2, 'Should have 2 entries');
+  assertEqual(state.journal[0].action.action, 'buy', 'First entry should be the buy');
+  assertEqual(state.journal[0].turn, 1, 'Buy should not advance the turn');
+  assertEqual(state.journal[1].turn, 2, 'Wait should end on turn 2');
+});
+
+test('journal skips failed actions', () => {
+  const state = createGame({ seed: 5, journal: true });
+  const result = submitAction(state, { action: 'buy', good: 'h100', quantity: 100 });
+  assert(!result.success, 'Buy should fail');
+  assertEqual(result.state.journal.length, 0, 'Failed action should not be journaled');
+});
+
+test('replayGame reproduces a run from its journal', () => {
+  let state = createGame({ seed: 2024, journal: true });
+  const actions = [
+    { action: 'buy', good: 'compute', quantity: 3 },
+    { action: 'wait' },
+    { action: 'borrow', amount: 2000 },
+    { action: 'wait' },
+    { action: 'sell', good: 'compute', quantity: 2 },
+    { action: 'wait' }
+  ];
+  for (const action of actions) {
+    state = submitAction(state, action).state;
+  }
+
+  const replay = replayGame(state.seed, state.journal);
+  assertEqual(JSON.stringify(replay.state), JSON.stringify(state), 'Replayed state should match');
+  assertEqual(replay.steps.length, actions.length, 'Should have one step per action');
+  assertEqual(replay.divergedAt, null, 'Replay should not diverge');
+});
+
+test('replayGame accepts raw actions and returns per-step responses', () => {
+  const replay = replayGame(7, [
+    { action: 'wait' },
+    { action: 'buy', good: 'h100', quantity: 100 }
+  ]);
+  assert(replay.steps[0].response.success, 'Wait should succeed');
+  assert(!replay.steps[1].response.success, 'Oversized buy should fail');
+  assertEqual(replay.state.turn, 2, 'Final state should be after one wait');
+});
+
+test('replayGame flags the first divergent step', () => {
+  const replay = replayGame(7, [
+    { action: { action: 'wait' }, turn: 2 },
+    { action: { action: 'wait' }, turn: 5 }
+  ]);
+  assertEqual(replay.divergedAt, 1, 'Second entry should be flagged');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Content Pack Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Content Packs');
+
+// Tiny two-market, one-good economy
+const FIXTURE_PACK = {
+  id: 'fixture',
+  name: 'Fixture Economy',
+  GOODS: {
+    widget: { id: 'widget', name: 'Widget', fullName: 'Test Widget', icon: '[w]', baseMin: 100, baseMax: 200, volatility: 'low', description: 'Test good.' }
+  },
+  MARKETS: {
+    alpha: { id: 'alpha', name: 'Alpha', subtitle: 'Test', priceModifiers: { widget: 1.0 }, customsRisk: 0, restrictedGoods: {}, description: 'Test market.' },
+    beta: { id: 'beta', name: 'Beta', subtitle: 'Test', priceModifiers: { widget: 1.5 }, customsRisk: 0, restrictedGoods: {}, description: 'Test market.' }
+  },
+  SHIPPING_MODES: {
+    truck: { id: 'truck', name: 'Truck', icon: '[t]', turnsModifier: 0, freightPerUnit: 0, customsMultiplier: 1, damageChance: 0, maxUnits: null, description: 'Test mode.' }
+  },
+  CONFIG: { startingLocation: 'alpha', startingBalance: 1000, defaultShippingMode: 'truck' }
+};
+
+// Fixture economy with no random events, so only intel moves prices
+const QUIET_PACK = { ...FIXTURE_PACK, id: 'quiet', EVENTS: {} };
+
+test('createGame uses the default pack when none is given', () => {
+  const state = createGame();
+  assertEqual(state.contentPack, 'default', 'Should store default pack id');
+  assertEqual(getContentPack(state).GOODS, GOODS, 'Default pack should use data.js goods');
+});
+
+test('createGame builds markets and goods from a content pack', () => {
+  const state = createGame({ seed: 1, pack: FIXTURE_PACK });
+  assertEqual(state.contentPack, 'fixture', 'Should store pack id');
+  assertEqual(Object.keys(state.markets).join(','), 'alpha,beta', 'Should only have fixture markets');
+  assertEqual(Object.keys(state.markets.alpha.prices).join(','), 'widget', 'Should only have fixture goods');
+  assertEqual(state.player.location, 'alpha', 'Should start at pack starting location');
+  assertEqual(state.player.balance, 1000, 'Pack CONFIG should override defaults');
+  assertEqual(state.player.inventoryCapacity, 10, 'Missing CONFIG keys should fall back');
+});
+
+test('a registered pack can be referenced by id', () => {
+  registerContentPack(FIXTURE_PACK);
+  const state = createGame({ pack: 'fixture' });
+  assertEqual(state.contentPack, 'fixture', 'Should store pack id');
+});
+
+test('a pack id cannot be taken over by a different pack', () => {
+  assertEqual(registerContentPack(FIXTURE_PACK), getContentPack({ contentPack: 'fixture' }), 'Re-registering the same pack is a no-op');
+  for (const pack of [{ ...FIXTURE_PACK, name: 'Impostor' }, { ...FIXTURE_PACK, id: 'default' }]) {
+    let threw = false;
+    try {
+      registerContentPack(pack);
+    } catch (e) {
+      threw = e.message.includes('already registered');
+    }
+    assert(threw, `Registering another pack as ${pack.id} should throw`);
+  }
+  assertEqual(getContentPack({ contentPack: 'default' }).GOODS, GOODS, 'Default pack should be untouched');
+});
+
+test('unknown pack ids are rejected', () => {
+  let threw = false;
+  try {
+    createGame({ pack: 'no-such-pack' });
+  } catch (e) {
+    threw = e.message.includes('no-such-pack');
+  }
+  assert(threw, 'Should throw for unknown pack');
+});
+
+test('fixture economy plays through trades, travel and turns', () => {
+  let state = createGame({ seed: 3, pack: FIXTURE_PACK });
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 2 }).state;
+  for (let i = 0; i < 20; i++) {
+    const destination = state.player.location === 'alpha' ? 'beta' : 'alpha';
+    let result = submitAction(state, { action: 'travel', destination });
+    if (result.choiceEvent) {
+      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+    }
+    assert(result.success, `Travel ${i} should succeed`);
+    state = result.state;
+  }
+  for (const market of Object.values(state.markets)) {
+    assert(Number.isFinite(market.prices.widget), 'Widget price should stay numeric');
+  }
+  assert(validateState(state).valid, 'State should stay valid for its pack');
+});
+
+test('default goods are unknown in a fixture game', () => {
+  const state = createGame({ pack: FIXTURE_PACK });
+  const result = submitAction(state, { action: 'buy', good: 'h100', quantity: 1 });
+  assert(!result.success, 'Buying a default good should fail');
+
+  state.player.inventory = { h100: 1 };
+  assert(validateState(state).problems.some(p => p.type === 'unknown_good'), 'Should flag h100');
+});
+
+test('games with an unregistered pack are refused', () => {
+  const state = createGame();
+  state.contentPack = 'missing-pack';
+  const result = submitAction(state, { action: 'wait' });
+  assert(!result.success, 'Action should fail');
+  assert(result.error.includes('content pack'), 'Error should mention content pack');
+  assertEqual(validateState(state).problems[0].type, 'unknown_content_pack', 'Validation should flag pack');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Event Effect Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Event Effects');
+
+// Fixture pack whose only event always fires with the given template
+function scriptedPack(id, template) {
+  return {
+    ...FIXTURE_PACK,
+    id,
+    EVENTS: {
+      scripted: { id: 'scripted', type: 'scripted', title: 'Scripted', templates: [template], probability: 1 }
+    }
+  };
+}
+
+test('every default event template declares its effects', () => {
+  for (const eventData of Object.values(EVENTS)) {
+    for (const template of eventData.templates) {
+      assert(Array.isArray(template.effects) && template.effects.length > 0, `"${template.text}" has no effects`);
+    }
+  }
+});
+
+test('price multiplier applies only to the listed markets', () => {
+  const state = createGame({ seed: 1, pack: scriptedPack('fx-mult', {
+    text: 'Widgets boom in Beta.',
+    effects: [{ type: 'price', goods: ['widget'], markets: ['beta'], multiplier: 1.5 }]
+  }) });
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.events[0].description, 'Widgets boom in Beta.', 'Event should be reported');
+  assertEqual(result.priceChanges.beta.widget.old, 338, 'Beta price should be scaled before drift');
+  assertEqual(result.priceChanges.alpha.widget.old, 150, 'Alpha price should be untouched');
+});
+
+test('event odds come from data: shields and customs sources', () => {
+  const withOdds = (id, odds) => {
+    const pack = scriptedPack(id, { text: 'Hit.', effects: [{ type: 'money', direction: 'down' }], amount: { range: [1, 1] } });
+    pack.EVENTS.scripted.odds = odds;
+    return pack;
+  };
+  const shielded = createGame({ seed: 1, pack: withOdds('odds-shield', { shield: { upgrade: 'security', chance: 1 } }) });
+  assertEqual(submitAction(shielded, { action: 'wait' }).events.length, 1, 'Fires without the upgrade');
+  shielded.purchasedUpgrades = ['security'];
+  assertEqual(submitAction(shielded, { action: 'wait' }).events.length, 0, 'The upgrade blocks it');
+
+  const customs = createGame({ seed: 1, pack: withOdds('odds-customs', { source: 'customs' }) });
+  assertEqual(submitAction(customs, { action: 'wait' }).events.length, 0, 'Customs events need cargo on the road');
+});
+
+test('price direction uses the rolled percent', () => {
+  const state = createGame({ seed: 2, pack: scriptedPack('fx-percent', {
+    text: '{good} down {percent}%.',
+    percent: [10, 20],
+    effects: [{ type: 'price', direction: 'down' }]
+  }) });
+  const result = submitAction(state, { action: 'wait' });
+  const { percent, description } = result.events[0];
+  assert(percent >= 10 && percent <= 20, 'Percent should be within range');
+  assertEqual(description, `Widget down ${percent}%.`, 'Text should be filled in');
+  assertEqual(result.priceChanges.alpha.widget.old, Math.round(150 * (1 - percent / 100)), 'Price should drop');
+});
+
+test('money effects fill in the amount', () => {
+  const state = createGame({ seed: 3, pack: scriptedPack('fx-money', {
+    text: 'Fee: ${amount}.',
+    amount: { range: [100, 200] },
+    effects: [{ type: 'money', direction: 'down' }]
+  }) });
+  const result = submitAction(state, { action: 'wait' });
+  const { amount } = result.events[0];
+  assert(amount >= 100 && amount < 200, 'Amount should be within range');
+  assertEqual(result.events[0].description, `Fee: $${amount.toLocaleString()}.`, 'Text should show the amount');
+  assertEqual(result.state.player.balance, 1000 - amount, 'Balance should drop');
+});
+
+test('policy effects announce sanctions ahead of time', () => {
+  let state = createGame({ seed: 4, pack: scriptedPack('fx-sanction', {
+    text: '{good} banned in Alpha in {delay} turns.',
+    effects: [{ type: 'policy', change: 'sanction', markets: ['alpha'] }]
+  }) });
+  const result = submitAction(state, { action: 'wait' });
+  const [change] = result.state.policyChanges;
+  assertEqual(result.events[0].description, `Widget banned in Alpha in ${result.events[0].delay} turns.`, 'Text should show the notice');
+  assertEqual(change.effectiveTurn, 1 + result.events[0].delay, 'Change should wait out the notice');
+  assertEqual(result.state.markets.alpha.policy.sanctions.length, 0, 'Not in force yet');
+  assertEqual(submitAction(result.state, { action: 'wait' }).events.length, 0, 'Already announced, so no repeat');
+
+  state = result.state;
+  while (state.turn < change.effectiveTurn) state = submitAction(state, { action: 'wait' }).state;
+  assert(isSanctioned(state, 'alpha', 'widget'), 'Alpha should sanction widgets');
+  assert(!isSanctioned(state, 'beta', 'widget'), 'Beta should not');
+  assert(submitAction(state, { action: 'buy', good: 'widget', quantity: 1 }).error.includes('sanctions'), 'Trading should be banned');
+
+  const lift = { text: 'Ban on {good} lifted.', goodPool: 'sanctioned', effects: [{ type: 'policy', change: 'lift_sanction' }] };
+  state = createGame({ seed: 4, pack: scriptedPack('fx-lift', lift) });
+  const quiet = submitAction(state, { action: 'wait' });
+  assertEqual(quiet.events.length, 0, 'Nothing to lift, so no event');
+
+  state = quiet.state;
+  state.markets.alpha.policy.sanctions = ['widget'];
+  state.markets.beta.policy.sanctions = ['widget'];
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.policyChanges.length, 2, 'Lift should be announced everywhere');
+});
+
+test('timed effects count down and expire', () => {
+  let state = createGame({ seed: 5, pack: scriptedPack('fx-timed', {
+    text: 'Slowdown.',
+    effects: [{ type: 'capacity', delta: -3, duration: 2 }]
+  }) });
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(getCargoCapacity(state), 7, 'Capacity should drop by 3');
+
+  state.player.balance = 100000;
+  const result = submitAction(state, { action: 'buy', good: 'widget', quantity: 8 });
+  assert(!result.success && result.error.includes('cargo'), 'Reduced capacity should limit buying');
+
+  // Stop new events so only the existing ones tick down
+  state.contentPack = registerContentPack(QUIET_PACK).id;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(getCargoCapacity(state), 7, 'Still active one turn later');
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(getCargoCapacity(state), 10, 'Capacity should be restored');
+  assertEqual(state.pendingEvents.length, 0, 'Expired events should be dropped');
+});
+
+test('conditions keep shifting prices while active', () => {
+  const boom = factor => createGame({ seed: 6, pack: scriptedPack(`fx-boom-${factor}`, {
+    text: 'Widget boom.',
+    effects: [{ type: 'condition', kind: 'base_shift', goods: ['widget'], markets: ['alpha'], factor, duration: 2, label: 'Boom' }]
+  }) });
+  // Same seed and same random draws, so only the condition differs
+  const shifted = submitAction(boom(1.6), { action: 'wait' }).state;
+  const control = submitAction(boom(1), { action: 'wait' }).state;
+
+  assertEqual(getActiveConditions(shifted, 'alpha').length, 1, 'Condition should be active in alpha');
+  assertEqual(getActiveConditions(shifted, 'beta').length, 0, 'Condition should not reach beta');
+  assert(shifted.markets.alpha.prices.widget > control.markets.alpha.prices.widget, 'Alpha should drift toward the shifted base');
+  assertEqual(shifted.markets.beta.prices.widget, control.markets.beta.prices.widget, 'Beta should be unaffected');
+});
+
+test('customs conditions raise customs risk until they expire', () => {
+  let state = createGame({ seed: 7, pack: scriptedPack('fx-customs', {
+    text: 'Crackdown.',
+    effects: [{ type: 'condition', kind: 'customs', markets: ['beta'], delta: 0.25, duration: 2 }]
+  }) });
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(getCustomsRisk(state, 'beta'), 0.25, 'Beta customs risk should rise');
+  assertEqual(getCustomsRisk(state, 'alpha'), 0, 'Alpha should be unaffected');
+
+  state.contentPack = registerContentPack(QUIET_PACK).id;
+  state = submitAction(state, { action: 'wait' }).state;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.conditions.length, 0, 'Condition should expire');
+  assertEqual(getCustomsRisk(state, 'beta'), 0, 'Risk should return to normal');
+});
+
+test('invalid conditions are flagged and repaired', () => {
+  const state = createGame();
+  state.conditions = [{ kind: 'base_shift', goods: ['h100'], markets: ['atlantis'], factor: 2, turnsRemaining: 2 }];
+  assertEqual(validateState(state).problems[0].type, 'invalid_condition', 'Should flag unknown market');
+  assertEqual(repairState(state).state.conditions.length, 0, 'Repair should drop it');
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Buy/Sell Tests
 // ─────────────────────────────────────────────────────────────────────────────
@@ -113,8 +485,8 @@ test('can buy goods with sufficient funds', () => {
 
 test('cannot buy more than can afford', () => {
   let state = createGame();
-  // Try to buy 100 H100s (way too expensive)
-  const result = submitAction(state, { action: 'buy', good: 'h100', quantity: 100 });
+  // Try to buy 5 H100s (way too expensive, but they'd fit)
+  const result = submitAction(state, { action: 'buy', good: 'h100', quantity: 5 });
   assert(!result.success, 'Buy should fail');
   assert(result.error.includes('Insufficient funds'), 'Error should mention funds');
 });
@@ -168,12 +540,11 @@ section('Cost Basis');
 
 test('buying tracks cost basis', () => {
   let state = createGame();
-  const market = state.markets[state.player.location];
-  const price = market.prices.compute;
+  const startBalance = state.player.balance;
 
   const result = submitAction(state, { action: 'buy', good: 'compute', quantity: 2 });
   assert(result.success, 'Buy should succeed');
-  assertEqual(result.state.player.costBasis.compute, price * 2, 'Cost basis should equal total spent');
+  assertEqual(result.state.player.costBasis.compute, startBalance - result.state.player.balance, 'Cost basis should equal total spent');
 });
 
 test('calculateAverageCost returns correct average', () => {
@@ -188,8 +559,6 @@ test('calculateAverageCost returns correct average', () => {
 test('multiple buys accumulate cost basis', () => {
   let state = createGame();
   state.player.balance = 100000;
-  const market = state.markets[state.player.location];
-  const price = market.prices.compute;
 
   // Buy 2
   let result = submitAction(state, { action: 'buy', good: 'compute', quantity: 2 });
@@ -200,7 +569,7 @@ test('multiple buys accumulate cost basis', () => {
   state = result.state;
 
   assertEqual(state.player.inventory.compute, 5, 'Should have 5 compute');
-  assertEqual(state.player.costBasis.compute, price * 5, 'Cost basis should equal total spent');
+  assertEqual(state.player.costBasis.compute, 100000 - state.player.balance, 'Cost basis should equal total spent');
 });
 
 test('selling reduces cost basis proportionally', () => {
@@ -241,35 +610,162 @@ test('average cost after partial sell remains same', () => {
 
 section('Effective Prices');
 
-test('getEffectiveBuyPrice returns base price without discount', () => {
+test('getEffectiveBuyPrice adds half the spread and brokerage without discount', () => {
   let state = createGame();
   const result = getEffectiveBuyPrice(state, 'compute');
   const basePrice = state.markets[state.player.location].prices.compute;
-  assertEqual(result.price, basePrice, 'Price should equal base price');
+  const { spread, brokerageFee } = MARKETS['us-west'];
+  assertEqual(result.basePrice, basePrice, 'Base price should be the mid');
+  assertEqual(result.price, Math.round(basePrice * (1 + spread.compute / 2) * (1 + brokerageFee)), 'Price should be the ask plus fee');
   assertEqual(result.discount, 0, 'Discount should be 0');
 });
 
 test('getEffectiveBuyPrice applies discount from pending event', () => {
   let state = createGame();
-  const basePrice = state.markets[state.player.location].prices.compute;
+  const listPrice = getEffectiveBuyPrice(state, 'compute').price;
   // Simulate a discount event
   state.pendingEvents = [{ effect: 'discount_buy', good: 'compute', percent: 40 }];
 
   const result = getEffectiveBuyPrice(state, 'compute');
   assertEqual(result.discount, 40, 'Discount should be 40%');
-  assertEqual(result.price, Math.round(basePrice * 0.6), 'Price should be 60% of base');
-  assertEqual(result.basePrice, basePrice, 'Base price should be preserved');
+  assert(Math.abs(result.price - listPrice * 0.6) <= 1, 'Price should be 60% of the ask');
+  assertEqual(result.basePrice, state.markets[state.player.location].prices.compute, 'Base price should be preserved');
 });
 
 test('getEffectiveSellPrice applies premium from pending event', () => {
   let state = createGame();
-  const basePrice = state.markets[state.player.location].prices.compute;
+  const listPrice = getEffectiveSellPrice(state, 'compute').price;
   // Simulate a premium event
   state.pendingEvents = [{ effect: 'premium_sell', good: 'compute', percent: 30 }];
 
   const result = getEffectiveSellPrice(state, 'compute');
   assertEqual(result.premium, 30, 'Premium should be 30%');
-  assertEqual(result.price, Math.round(basePrice * 1.3), 'Price should be 130% of base');
+  assert(Math.abs(result.price - listPrice * 1.3) <= 1, 'Price should be 130% of the bid');
+});
+
+test('buying and selling straight back loses the spread and fees', () => {
+  let state = createGame();
+  const startBalance = state.player.balance;
+  state = submitAction(state, { action: 'buy', good: 'compute', quantity: 1 }).state;
+  state.markets[state.player.location].pressure = {};
+  state = submitAction(state, { action: 'sell', good: 'compute', quantity: 1 }).state;
+  assert(state.player.balance < startBalance, 'Round trip should cost money');
+});
+
+test('Singapore quotes tighter than China East', () => {
+  const state = createGame();
+  state.markets['singapore'].prices.h100 = state.markets['china-east'].prices.h100;
+  const gap = () => getEffectiveBuyPrice(state, 'h100').price - getEffectiveSellPrice(state, 'h100').price;
+  state.player.location = 'singapore';
+  const hubGap = gap();
+  state.player.location = 'china-east';
+  assert(hubGap < gap(), 'The trading hub should have the narrower spread');
+});
+
+test('fill quotes report brokerage on both sides', () => {
+  const state = createGame();
+  const buy = getFillQuote(state, 'h100', 2, 'buy');
+  const sell = getFillQuote(state, 'h100', 2, 'sell');
+  assert(buy.fee > 0 && sell.fee > 0, 'Both sides should pay a fee');
+  assert(buy.total > sell.total, 'Ask plus fee should exceed bid less fee');
+});
+
+section('Market Depth & Slippage');
+
+test('larger orders fill at a worse average price', () => {
+  const state = createGame();
+  const spot = state.markets[state.player.location].prices.h100;
+  const small = getFillQuote(state, 'h100', 1, 'buy');
+  const large = getFillQuote(state, 'h100', 20, 'buy');
+
+  assertEqual(small.spot, spot, 'Spot should start at the market price');
+  assert(large.average > small.average, 'Bigger buys should average higher');
+  assert(large.after > spot, 'Buying should leave the price higher');
+  assert(getFillQuote(state, 'h100', 20, 'sell').average < spot, 'Bigger sells should average lower');
+});
+
+test('thin markets slip more than deep ones', () => {
+  const state = createGame();
+  state.markets['china-east'].prices.h100 = state.markets['us-west'].prices.h100;
+  const deep = getFillQuote(state, 'h100', 10, 'buy');
+  state.player.location = 'china-east';
+  const thin = getFillQuote(state, 'h100', 10, 'buy');
+  assert(thin.average > deep.average, 'China East has less H100 depth than US West');
+});
+
+test('trades charge the quoted fill and push the spot price', () => {
+  let state = createGame();
+  state.player.balance = 1000000;
+  const quote = getFillQuote(state, 'h100', 10, 'buy');
+  const before = getSpotPrice(state, state.player.location, 'h100');
+
+  state = submitAction(state, { action: 'buy', good: 'h100', quantity: 10 }).state;
+  assertEqual(1000000 - state.player.balance, quote.total, 'Should pay the quoted total');
+  assertEqual(state.markets[state.player.location].pressure.h100, 10, 'Should record buying pressure');
+  assert(getSpotPrice(state, state.player.location, 'h100') > before, 'Spot price should rise');
+  assert(getEffectiveBuyPrice(state, 'h100').price > before, 'Effective price should include impact');
+});
+
+test('discounts apply to the whole fill', () => {
+  const state = createGame();
+  const full = getFillQuote(state, 'compute', 10, 'buy');
+  state.pendingEvents = [{ effect: 'discount_buy', good: 'compute', percent: 40 }];
+  const discounted = getFillQuote(state, 'compute', 10, 'buy');
+  assertEqual(discounted.discount, 40, 'Should report the discount');
+  assert(Math.abs(discounted.total - full.total * 0.6) <= 1, 'Should take 40% off the fill');
+});
+
+test('fills are quoted in closed form, even past the impact floor', () => {
+  const state = createGame();
+  const price = state.markets['us-west'].prices.compute;
+  const sell = getFillQuote(state, 'compute', 1000, 'sell');
+  // Compute depth is 400, so units past ~320 sell at the 20% floor
+  let gross = 0;
+  for (let i = 0; i < 1000; i++) gross += price * Math.max(0.2, 1 - (i + 0.5) / 400);
+  const bid = Math.round(gross * (1 - 0.02 / 2));
+  assertEqual(sell.total, bid - sell.fee, 'Should match the unit-by-unit sum');
+
+  const start = Date.now();
+  getFillQuote(state, 'compute', 1e10, 'buy');
+  assert(Date.now() - start < 100, 'Huge quantities should quote instantly');
+});
+
+test('buy and sell reject fractional and oversized quantities before quoting', () => {
+  const state = createGame();
+  for (const [quantity, error] of [[1.5, 'whole number'], [1e10, 'cargo space']]) {
+    const result = submitAction(state, { action: 'buy', good: 'compute', quantity });
+    assert(!result.success && result.error.includes(error), `Buy of ${quantity}: ${result.error}`);
+  }
+  assert(!submitAction(state, { action: 'sell', good: 'compute', quantity: 0.5 }).success, 'Fractional sells fail');
+});
+
+test('max buy quantity accounts for slippage', () => {
+  const state = createGame();
+  state.player.balance = 200000;
+  const max = getMaxBuyQuantity(state, 'h100');
+  assert(getFillQuote(state, 'h100', max, 'buy').total <= state.player.balance, 'Max should be affordable');
+  assert(getFillQuote(state, 'h100', max + 1, 'buy').total > state.player.balance, 'One more should not be');
+});
+
+test('trading pressure fades over a few turns', () => {
+  let state = createGame({ seed: 3 });
+  state.markets['us-west'].pressure.h100 = 8;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.markets['us-west'].pressure.h100, 4, 'Pressure should halve each turn');
+  for (let i = 0; i < 4 && !state.gameOver; i++) {
+    state = submitAction(state, { action: 'wait' }).state;
+  }
+  assertEqual(state.markets['us-west'].pressure.h100, undefined, 'Pressure should eventually clear');
+});
+
+test('validateState flags bad trading pressure', () => {
+  const state = createGame();
+  state.markets['us-west'].pressure = { h100: 'lots', unobtainium: 3 };
+  const { problems } = validateState(state);
+  assert(problems.some(p => p.path === 'markets.us-west.pressure.h100'), 'Should flag non-numeric pressure');
+  assert(problems.some(p => p.path === 'markets.us-west.pressure.unobtainium'), 'Should flag unknown good');
+  const { state: repaired } = repairState(state);
+  assertEqual(Object.keys(repaired.markets['us-west'].pressure).length, 0, 'Repair should drop bad entries');
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -279,32 +775,28 @@ test('getEffectiveSellPrice applies premium from pending event', () => {
 section('Travel Actions');
 
 test('can travel to different market', () => {
-  withDeterministicRandom(999, () => {
-    let state = createGame();
-    assertEqual(state.player.location, 'us-west', 'Should start in us-west');
+  let state = createGame({ seed: 999 });
+  assertEqual(state.player.location, 'us-west', 'Should start in us-west');
 
-    let result = submitAction(state, { action: 'travel', destination: 'singapore' });
-    // Handle choice events if they occur
-    if (result.choiceEvent) {
-      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
-    }
-    assert(result.success, 'Travel should succeed');
-    assertEqual(result.state.player.location, 'singapore', 'Should be in singapore');
-  });
+  let result = submitAction(state, { action: 'travel', destination: 'eu-central' });
+  // Handle choice events if they occur
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assert(result.success, 'Travel should succeed');
+  assertEqual(result.state.player.location, 'eu-central', 'Should be in eu-central');
 });
 
 test('travel advances turn', () => {
-  withDeterministicRandom(999, () => {
-    let state = createGame();
-    let result = submitAction(state, { action: 'travel', destination: 'singapore' });
-    // Handle choice events if they occur
-    if (result.choiceEvent) {
-      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
-    }
-    assert(result.success, 'Travel should succeed');
-    assertEqual(result.state.turn, 2, 'Turn should advance to 2');
-    assert(result.turnAdvanced, 'turnAdvanced flag should be true');
-  });
+  let state = createGame({ seed: 999 });
+  let result = submitAction(state, { action: 'travel', destination: 'singapore' });
+  // Handle choice events if they occur
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assert(result.success, 'Travel should succeed');
+  assertEqual(result.state.turn, 2, 'Turn should advance to 2');
+  assert(result.turnAdvanced, 'turnAdvanced flag should be true');
 });
 
 test('cannot travel to current location', () => {
@@ -315,18 +807,125 @@ test('cannot travel to current location', () => {
 });
 
 test('travel updates markets visited stat', () => {
-  withDeterministicRandom(999, () => {
-    let state = createGame();
-    assertEqual(state.stats.marketsVisited.length, 1, 'Should have visited 1 market');
+  let state = createGame({ seed: 999 });
+  assertEqual(state.stats.marketsVisited.length, 1, 'Should have visited 1 market');
 
-    let result = submitAction(state, { action: 'travel', destination: 'singapore' });
-    // Handle choice events if they occur
-    if (result.choiceEvent) {
-      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
-    }
-    assertEqual(result.state.stats.marketsVisited.length, 2, 'Should have visited 2 markets');
-    assert(result.state.stats.marketsVisited.includes('singapore'), 'Singapore should be in visited');
-  });
+  let result = submitAction(state, { action: 'travel', destination: 'eu-central' });
+  // Handle choice events if they occur
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assertEqual(result.state.stats.marketsVisited.length, 2, 'Should have visited 2 markets');
+  assert(result.state.stats.marketsVisited.includes('eu-central'), 'EU Central should be in visited');
+});
+
+test('routes are looked up in either direction', () => {
+  const state = createGame();
+  const there = getRoute(state, 'us-west', 'singapore');
+  const back = getRoute(state, 'singapore', 'us-west');
+  assertEqual(there, back, 'Route should be symmetric');
+  assert(there.turns > 1 && there.cost > 0, 'Pacific crossing should take time and money');
+});
+
+test('travel charges the route fare', () => {
+  const state = createGame({ seed: 999 });
+  const { cost } = getRoute(state, 'us-west', 'eu-central');
+  let result = submitAction(state, { action: 'travel', destination: 'eu-central' });
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assert(result.turnSummary.includes('fare'), 'Summary should mention the fare');
+
+  const broke = createGame();
+  broke.player.balance = cost - 1;
+  assert(!submitAction(broke, { action: 'travel', destination: 'eu-central' }).success, 'Cannot travel without the fare');
+});
+
+test('long routes leave the player in transit until arrival', () => {
+  let state = createGame({ seed: 999 });
+  const { turns } = getRoute(state, 'us-west', 'singapore');
+  let result = submitAction(state, { action: 'travel', destination: 'singapore' });
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  state = result.state;
+  assertEqual(state.travelingTo, 'singapore', 'Should be in transit');
+  assertEqual(state.travelTurnsRemaining, turns - 1, 'Departure should count as the first turn');
+  assertEqual(state.player.location, 'us-west', 'Should not have arrived yet');
+
+  const buy = submitAction(state, { action: 'buy', good: 'compute', quantity: 1 });
+  assert(!buy.success && buy.error.includes('In transit'), 'Cannot trade in transit');
+  assert(!getAvailableActions(state).some(a => a.action === 'buy' || a.action === 'travel'), 'No market actions offered');
+
+  const pricesBefore = JSON.stringify(state.markets);
+  for (let i = 1; i < turns; i++) {
+    result = submitAction(state, { action: 'wait' });
+    assert(result.success, 'Waiting in transit should succeed');
+    state = result.state;
+  }
+  assert(JSON.stringify(state.markets) !== pricesBefore, 'Prices should keep moving in transit');
+  assertEqual(state.player.location, 'singapore', 'Should arrive after the route time');
+  assertEqual(state.travelingTo, null, 'Should no longer be in transit');
+  assertEqual(state.turn, 1 + turns, 'Each leg should take a turn');
+});
+
+test('shipping modes trade speed against cost', () => {
+  const state = createGame();
+  state.player.inventory = { compute: 4 };
+  const air = getTripQuote(state, 'singapore', 'air');
+  const sea = getTripQuote(state, 'singapore', 'sea');
+  const courier = getTripQuote(state, 'singapore', 'courier');
+  assert(sea.turns > air.turns && sea.freight < air.freight, 'Sea should be slower and cheaper');
+  assert(courier.turns < air.turns && courier.freight > air.freight, 'Courier should be faster and dearer');
+  assertEqual(air.freight, 4 * SHIPPING_MODES.air.freightPerUnit, 'Freight should be charged per unit');
+  assertEqual(air.cost, air.fare + air.freight, 'Cost should be fare plus freight');
+  assertEqual(getTripQuote(state, 'singapore', 'teleport'), null, 'Unknown modes have no quote');
+});
+
+test('travel charges freight for the chosen mode', () => {
+  const state = createGame({ seed: 1 });
+  state.player.inventory = { compute: 3 };
+  const quote = getTripQuote(state, 'eu-central', 'sea');
+  const result = submitAction(state, { action: 'travel', destination: 'eu-central', mode: 'sea' });
+  assert(result.success && !result.choiceEvent, 'Travel should go straight through');
+  assertEqual(result.state.player.balance, state.player.balance - quote.cost, 'Should pay fare and freight');
+  assertEqual(result.state.travelingTo, 'eu-central', 'Sea adds a turn to a 1-turn route');
+
+  const bad = submitAction(state, { action: 'travel', destination: 'eu-central', mode: 'teleport' });
+  assert(!bad.success && bad.error.includes('shipping mode'), 'Unknown mode should be rejected');
+});
+
+test('couriers only carry small loads', () => {
+  const state = createGame();
+  state.player.inventory = { compute: 6 };
+  const result = submitAction(state, { action: 'travel', destination: 'eu-central', mode: 'courier' });
+  assert(!result.success && result.error.includes('at most'), 'Courier should refuse 6 units');
+});
+
+test('shipping mode scales customs seizure odds', () => {
+  const state = createGame();
+  state.player.inventory = { h100: 2 };
+  const byAir = getAtRiskGoods(state, 'china-east', 'air')[0].seizureRisk;
+  const byCourier = getAtRiskGoods(state, 'china-east', 'courier')[0].seizureRisk;
+  assert(byCourier < byAir, 'Couriers should be searched less often');
+});
+
+test('rough shipping can damage cargo', () => {
+  const pack = {
+    ...FIXTURE_PACK,
+    id: 'rough-roads',
+    EVENTS: {},
+    SHIPPING_MODES: { cart: { ...FIXTURE_PACK.SHIPPING_MODES.truck, id: 'cart', damageChance: 1 } },
+    CONFIG: { ...FIXTURE_PACK.CONFIG, defaultShippingMode: 'cart' }
+  };
+  const state = createGame({ seed: 15, pack });
+  state.player.inventory = { widget: 10 };
+  state.player.costBasis = { widget: 1500 };
+  const result = submitAction(state, { action: 'travel', destination: 'beta' });
+  const { damagedCargo } = result;
+  assert(damagedCargo && damagedCargo.quantity >= 1, 'Some cargo should be damaged');
+  assertEqual(result.state.player.inventory.widget, 10 - damagedCargo.quantity, 'Damaged units should be gone');
+  assertEqual(result.state.player.costBasis.widget, 150 * (10 - damagedCargo.quantity), 'Cost basis should shrink with them');
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -356,8 +955,11 @@ test('handles old saves without priceHistory', () => {
   for (const marketId of Object.keys(state.markets)) {
     delete state.markets[marketId].priceHistory;
   }
+  const migration = migrateSaveData({ version: '1.0', state });
+  assert(migration.success, 'Migration should succeed');
+
   // This should not crash
-  const result = submitAction(state, { action: 'wait' });
+  const result = submitAction(migration.saveData.state, { action: 'wait' });
   assert(result.success, 'Wait should succeed even without priceHistory');
   // priceHistory should now be initialized
   const market = result.state.markets[result.state.player.location];
@@ -399,11 +1001,11 @@ test('debt accrues interest on turn advance', () => {
 
 test('can pay debt', () => {
   let state = createGame();
-  state.player.debt = 5000;
+  state = submitAction(state, { action: 'borrow', amount: 5000 }).state;
   const result = submitAction(state, { action: 'payDebt', amount: 3000 });
   assert(result.success, 'PayDebt should succeed');
   assertEqual(result.state.player.debt, 2000, 'Debt should be 2000');
-  assertEqual(result.state.player.balance, 7000, 'Balance should be 7000');
+  assertEqual(result.state.player.balance, 12000, 'Balance should be 12000');
 });
 
 test('cannot pay more than balance', () => {
@@ -486,8 +1088,11 @@ test('wealth milestone triggers when net worth reached', () => {
 
 section('Game Over');
 
+// Default economy with the old instant bankruptcy
+const HARDCORE_PACK = { id: 'hardcore', name: 'Hardcore', CONFIG: { hardcoreBankruptcy: true } };
+
 test('bankruptcy when debt exceeds 3x net worth', () => {
-  let state = createGame();
+  let state = createGame({ pack: HARDCORE_PACK });
   state.player.balance = 1000;
   state.player.debt = 50000; // Way more than 3x net worth
 
@@ -497,54 +1102,109 @@ test('bankruptcy when debt exceeds 3x net worth', () => {
 });
 
 test('inventory value prevents bankruptcy', () => {
-  // Use deterministic random to avoid price fluctuations affecting the test
-  withDeterministicRandom(123, () => {
-    let state = createGame();
-    const market = state.markets[state.player.location];
+  // Fixed seed avoids price fluctuations affecting the test
+  let state = createGame({ seed: 123 });
+  const market = state.markets[state.player.location];
 
-    // Give player valuable inventory
-    state.player.balance = 10000;
-    state.player.inventory = { h100: 5 }; // 5 H100s
-    state.player.costBasis = { h100: 150000 };
+  // Give player valuable inventory
+  state.player.balance = 10000;
+  state.player.inventory = { h100: 5 }; // 5 H100s
+  state.player.costBasis = { h100: 150000 };
 
-    // Calculate what inventory is worth
-    const inventoryValue = market.prices.h100 * 5;
-    const totalAssets = state.player.balance + inventoryValue;
+  // Calculate what inventory is worth
+  const inventoryValue = market.prices.h100 * 5;
+  const totalAssets = state.player.balance + inventoryValue;
 
-    // Set debt to 50% of total assets (well below bankruptcy threshold)
-    // Bankruptcy triggers when debt > 3 * netWorth
-    // netWorth = totalAssets - debt
-    // So debt > 3 * (totalAssets - debt) => debt > 0.75 * totalAssets
-    state.player.debt = Math.floor(totalAssets * 0.5); // 50% of assets, safely below 75%
+  // Set debt to 50% of total assets (well below bankruptcy threshold)
+  // Bankruptcy triggers when debt > 3 * netWorth
+  // netWorth = totalAssets - debt
+  // So debt > 3 * (totalAssets - debt) => debt > 0.75 * totalAssets
+  state.player.debt = Math.floor(totalAssets * 0.5); // 50% of assets, safely below 75%
 
-    const expectedNetWorth = totalAssets - state.player.debt;
+  const expectedNetWorth = totalAssets - state.player.debt;
 
-    const result = submitAction(state, { action: 'wait' });
+  const result = submitAction(state, { action: 'wait' });
 
-    assert(!result.state.gameOver, `Should NOT be bankrupt. Debt: ${state.player.debt}, Expected net worth: ${expectedNetWorth}`);
-  });
+  assert(!result.state.gameOver, `Should NOT be bankrupt. Debt: ${state.player.debt}, Expected net worth: ${expectedNetWorth}`);
 });
 
 test('bankruptcy triggers when debt exceeds threshold even with inventory', () => {
-  withDeterministicRandom(456, () => {
-    let state = createGame();
-    const market = state.markets[state.player.location];
+  let state = createGame({ seed: 456, pack: HARDCORE_PACK });
+  const market = state.markets[state.player.location];
 
-    // Set up: some balance and inventory
-    state.player.balance = 10000;
-    state.player.inventory = { h100: 2 };
-    state.player.costBasis = { h100: 60000 };
-    const inventoryValue = market.prices.h100 * 2;
-    const totalAssets = state.player.balance + inventoryValue;
+  // Set up: some balance and inventory
+  state.player.balance = 10000;
+  state.player.inventory = { h100: 2 };
+  state.player.costBasis = { h100: 60000 };
+  const inventoryValue = market.prices.h100 * 2;
+  const totalAssets = state.player.balance + inventoryValue;
 
-    // Set debt to 80% of total assets (above 75% threshold)
-    state.player.debt = Math.floor(totalAssets * 0.8);
+  // Set debt to 80% of total assets (above 75% threshold)
+  state.player.debt = Math.floor(totalAssets * 0.8);
 
-    const result = submitAction(state, { action: 'wait' });
+  const result = submitAction(state, { action: 'wait' });
 
-    assert(result.state.gameOver, `Should be bankrupt. Debt: ${state.player.debt}, Total assets: ${totalAssets}`);
-    assertEqual(result.state.gameOverReason, 'bankruptcy', 'Reason should be bankruptcy');
-  });
+  assert(result.state.gameOver, `Should be bankrupt. Debt: ${state.player.debt}, Total assets: ${totalAssets}`);
+  assertEqual(result.state.gameOverReason, 'bankruptcy', 'Reason should be bankruptcy');
+});
+
+// A game owing the shark far more than it's worth
+function insolventGame() {
+  const state = createGame({ seed: 321 });
+  state.player.balance = 1000;
+  state.player.inventory = { h100: 4 };
+  state.player.costBasis = { h100: 120000 };
+  state.purchasedUpgrades = ['cargo_1', 'cargo_2'];
+  state.player.inventoryCapacity = 25;
+  state.loans = [{ id: 1, lender: 'shark', principal: 400000, balance: 400000, rate: 0.15, takenTurn: 1, dueTurn: 5 }];
+  state.nextLoanId = 2;
+  state.player.debt = 400000;
+  return submitAction(state, { action: 'wait' });
+}
+
+test('insolvency offers restructuring outside hardcore runs', () => {
+  const result = insolventGame();
+  assert(!result.state.gameOver, 'Game should go on for now');
+  assertEqual(result.state.pendingChoice.type, 'bankruptcy', 'Should offer the court');
+  assertEqual(result.choiceEvent, result.state.pendingChoice, 'Response should carry the choice');
+  assert(result.state.pendingChoice.choices.some(c => c.id === 'liquidate'), 'Should offer to walk away');
+});
+
+test('a restructuring plan surrenders stock and upgrades and writes debt down', () => {
+  const filed = submitAction(insolventGame().state, { action: 'resolveChoice', choiceId: 'surrender_cargo' });
+  const state = filed.state;
+  assert(!state.gameOver, 'Game should continue');
+  assertEqual(state.player.inventory.h100, 1, 'Should surrender 75% of each good, rounded up');
+  assertEqual(state.purchasedUpgrades.join(), 'cargo_1', 'Should lose the upgrade nothing builds on');
+  assertEqual(state.player.inventoryCapacity, 15, 'Lost upgrade should take its slots');
+  assertEqual(state.player.reputation, 30, 'Should cost 20 reputation');
+  assertEqual(state.loans.length, 1, 'Loans should roll into one plan');
+  assertEqual(state.loans[0].lender, 'trustee', 'Plan should sit with the trustee');
+  assert(state.player.debt <= calculateNetWorth(state), 'Plan should leave the player solvent');
+  assertEqual(state.stats.restructurings, 1, 'Should count the filing');
+  assert(validateState(state).valid, 'Restructured state should validate');
+});
+
+test('walking away from the court ends the run', () => {
+  const result = submitAction(insolventGame().state, { action: 'resolveChoice', choiceId: 'liquidate' });
+  assert(result.state.gameOver, 'Game should be over');
+  assertEqual(result.state.gameOverReason, 'bankruptcy', 'Reason should be bankruptcy');
+});
+
+test('unknown choice ids are rejected instead of walking away', () => {
+  const result = submitAction(insolventGame().state, { action: 'resolveChoice', choiceId: 'surender_cargo' });
+  assert(!result.success, 'Typo should fail');
+  assert(result.error.includes('Invalid choice'), result.error);
+  assert(!result.state.gameOver, 'Run should go on');
+  assertEqual(result.state.pendingChoice.type, 'bankruptcy', 'Court should still be waiting');
+});
+
+test('insolvency is final once filings run out', () => {
+  const state = createGame();
+  state.player.balance = 1000;
+  state.player.debt = 50000;
+  state.stats.restructurings = getContentPack(state).CONFIG.maxRestructurings;
+  assert(submitAction(state, { action: 'wait' }).state.gameOver, 'No more plans on offer');
 });
 
 test('cannot act after game over', () => {
@@ -661,14 +1321,232 @@ test('round-trip save/validate works', () => {
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Restricted Goods & Seizure Tests
+// Save Migration Tests
 // ─────────────────────────────────────────────────────────────────────────────
 
-section('Restricted Goods & Seizure');
-
-test('getAtRiskGoods returns empty for safe destination', () => {
-  let state = createGame();
-  state.player.inventory = { compute: 5, h100: 2 };
+section('Save Migrations');
+
+// Build a save in the 1.0 shape (none of the fields added since)
+function createV1Save() {
+  const state = createGame();
+  delete state.seed;
+  delete state.rngState;
+  delete state.journal;
+  delete state.contentPack;
+  delete state.conditions;
+  for (const market of Object.values(state.markets)) {
+    delete market.pressure;
+    delete market.contractOffers;
+    delete market.policy;
+    market.restricted = [];
+  }
+  delete state.limitOrders;
+  delete state.nextOrderId;
+  delete state.warehouses;
+  delete state.contracts;
+  delete state.nextContractId;
+  delete state.positions;
+  delete state.nextPositionId;
+  delete state.loans;
+  delete state.nextLoanId;
+  state.player.debtInterestRate = 0.05;
+  delete state.stats.restructurings;
+  delete state.savings;
+  delete state.marketReputation;
+  delete state.player.heat;
+  delete state.licenses;
+  delete state.customsDeclared;
+  delete state.policyChanges;
+  delete state.fxRates;
+  delete state.player.cash;
+  return { version: '1.0', state, eventLog: [] };
+}
+
+test('current saves need no migration', () => {
+  const saveData = createSaveData(createGame());
+  const migration = migrateSaveData(saveData);
+  assert(migration.success, 'Migration should succeed');
+  assertEqual(migration.steps.length, 0, 'No steps should run');
+  assertEqual(migration.saveData.version, SAVE_VERSION, 'Version should be unchanged');
+});
+
+test('1.0 saves are upgraded to the current version', () => {
+  const migration = migrateSaveData(createV1Save());
+  assert(migration.success, 'Migration should succeed');
+  assertEqual(migration.saveData.version, SAVE_VERSION, 'Should reach current version');
+  assertEqual(migration.steps[0].from, '1.0', 'First step should start at 1.0');
+  assertEqual(typeof migration.saveData.state.rngState, 'number', 'Should add RNG state');
+  assertEqual(migration.saveData.state.journal, null, 'Should add disabled journal');
+  assertEqual(migration.saveData.state.contentPack, 'default', 'Should assign default pack');
+  assert(Array.isArray(migration.saveData.state.conditions), 'Should add market conditions');
+  assert(Array.isArray(migration.saveData.state.limitOrders), 'Should add limit orders');
+  assertEqual(typeof migration.saveData.state.warehouses, 'object', 'Should add warehouses');
+  assert(Array.isArray(migration.saveData.state.contracts), 'Should add contracts');
+  assert(Array.isArray(migration.saveData.state.positions), 'Should add derivatives positions');
+  assert(Array.isArray(migration.saveData.state.loans), 'Should add loan book');
+  assertEqual(migration.saveData.state.stats.restructurings, 0, 'Should add restructuring count');
+  assertEqual(typeof migration.saveData.state.savings, 'object', 'Should add savings accounts');
+  assertEqual(typeof migration.saveData.state.marketReputation, 'object', 'Should add market reputation');
+  assertEqual(migration.saveData.state.player.heat, 0, 'Should add heat');
+  assert(Array.isArray(migration.saveData.state.licenses), 'Should add export licenses');
+  assertEqual(migration.saveData.state.markets['china-east'].policy.tariffs.datasets, 0.05, 'Should add starting tariffs');
+  assertEqual(migration.saveData.state.markets['us-west'].restricted, undefined, 'Should drop the old ban list');
+  assertEqual(typeof migration.saveData.state.markets['us-west'].pressure, 'object', 'Should add trading pressure');
+  assert(validateSaveData(migration.saveData).valid, 'Migrated save should validate');
+});
+
+test('old debt moves onto a loan from the default lender', () => {
+  const saveData = createV1Save();
+  saveData.state.player.debt = 5000;
+  const { state } = migrateSaveData(saveData).saveData;
+  assertEqual(state.loans.length, 1, 'Should open one loan');
+  assertEqual(state.loans[0].lender, 'bank', 'Loan should be with the bank');
+  assertEqual(state.loans[0].balance, 5000, 'Loan should carry the old debt');
+  assertEqual(state.player.debtInterestRate, undefined, 'Old rate tier should be dropped');
+  assert(validateState(state).valid, 'Migrated state should validate');
+});
+
+test('migrating a custom-pack save moves old debt to that pack\'s lender', () => {
+  const pack = {
+    ...QUIET_PACK,
+    id: 'credit-union',
+    LENDERS: { coop: { ...LENDERS.bank, id: 'coop', name: 'Credit Union' } },
+    CONFIG: { ...QUIET_PACK.CONFIG, defaultLender: 'coop' }
+  };
+  const state = createGame({ seed: 18, pack });
+  state.player.debt = 5000;
+  state.player.debtInterestRate = 0.05;
+  delete state.loans;
+  delete state.nextLoanId;
+  const { saveData } = migrateSaveData({ version: '1.10', state });
+  assertEqual(saveData.state.loans[0].lender, 'coop', 'Loan should be with the pack\'s default lender');
+  assert(validateState(saveData.state).valid, 'Migrated state should validate');
+});
+
+test('migrating a custom-pack trip under way takes that pack\'s default shipping mode', () => {
+  const state = createGame({ seed: 18, pack: QUIET_PACK });
+  state.travelingTo = 'beta';
+  state.travelTurnsRemaining = 2;
+  delete state.shippingMode;
+  const { saveData } = migrateSaveData({ version: '1.4', state });
+  assertEqual(saveData.state.shippingMode, 'truck', 'Trip should use the pack\'s default mode');
+  assert(validateState(saveData.state).valid, 'Migrated state should validate');
+  assert(submitAction(saveData.state, { action: 'wait' }).success, 'The trip should carry on');
+});
+
+test('migration reports what changed', () => {
+  const saveData = createV1Save();
+  delete saveData.state.markets['singapore'].priceHistory;
+  const migration = migrateSaveData(saveData);
+  const changes = migration.steps.flatMap(step => step.changes);
+  assert(changes.some(c => c.includes('singapore')), 'Should report price history fix');
+  assert(changes.some(c => c.includes('seed')), 'Should report new seed');
+});
+
+test('migration does not mutate the original save', () => {
+  const saveData = createV1Save();
+  migrateSaveData(saveData);
+  assertEqual(saveData.version, '1.0', 'Original version should be untouched');
+  assertEqual(saveData.state.rngState, undefined, 'Original state should be untouched');
+});
+
+test('saves from newer versions are rejected', () => {
+  const saveData = createSaveData(createGame());
+  saveData.version = '99.0';
+  const migration = migrateSaveData(saveData);
+  assert(!migration.success, 'Migration should fail');
+  assert(migration.error.includes('newer'), 'Error should mention newer version');
+  assert(!validateSaveData(saveData).valid, 'Validation should also reject it');
+});
+
+test('unknown older versions are rejected', () => {
+  const saveData = createV1Save();
+  saveData.version = '0.5';
+  const migration = migrateSaveData(saveData);
+  assert(!migration.success, 'Migration should fail');
+  assert(migration.error.includes('No migration path'), 'Error should mention missing path');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// State Validation Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('State Validation');
+
+test('validateState accepts a fresh game', () => {
+  const result = validateState(createGame());
+  assert(result.valid, 'Fresh game should be valid');
+  assertEqual(result.problems.length, 0, 'Should have no problems');
+});
+
+test('validateState reports negative inventory and unknown goods', () => {
+  const state = createGame();
+  state.player.inventory = { h100: -3, unobtainium: 2 };
+  const { valid, problems } = validateState(state);
+
+  assert(!valid, 'Should be invalid');
+  assert(problems.some(p => p.type === 'invalid_quantity' && p.path === 'player.inventory.h100'), 'Should flag negative h100');
+  assert(problems.some(p => p.type === 'unknown_good' && p.path === 'player.inventory.unobtainium'), 'Should flag unknown good');
+});
+
+test('validateState reports market, milestone and upgrade problems', () => {
+  const state = createGame();
+  state.markets['mars'] = { prices: {} };
+  delete state.markets['singapore'];
+  state.markets['us-west'].supply.h100 = 'glut';
+  state.markets['eu-central'].prices.b100 = -1;
+  delete state.milestones.unicorn;
+  state.purchasedUpgrades = ['warp_drive'];
+  const types = validateState(state).problems.map(p => p.type);
+
+  assert(types.includes('unknown_market'), 'Should flag unknown market');
+  assert(types.includes('missing_market'), 'Should flag missing market');
+  assert(types.includes('invalid_supply'), 'Should flag bad supply level');
+  assert(types.includes('invalid_price'), 'Should flag negative price');
+  assert(types.includes('missing_milestone'), 'Should flag missing milestone');
+  assert(types.includes('unknown_upgrade'), 'Should flag unknown upgrade');
+});
+
+test('validateState reports dangling pending choice', () => {
+  const state = createGame();
+  state.pendingChoice = { type: 'alien_abduction', choices: [], params: {} };
+  const { problems } = validateState(state);
+  assert(problems.some(p => p.type === 'invalid_pending_choice'), 'Should flag pending choice');
+});
+
+test('repairState fixes repairable problems on a copy', () => {
+  const state = createGame();
+  state.player.inventory = { h100: -3, compute: 2 };
+  state.player.costBasis = { compute: 1000, talent: 500 };
+  delete state.markets['singapore'];
+  delete state.milestones.unicorn;
+
+  const result = repairState(state);
+  assertEqual(result.remaining.length, 0, 'Nothing should remain');
+  assert(result.repaired.length >= 4, 'Should report each repair');
+  assert(validateState(result.state).valid, 'Repaired state should be valid');
+  assertEqual(result.state.player.inventory.compute, 2, 'Valid inventory should be kept');
+  assertEqual(result.state.player.inventory.h100, undefined, 'Negative inventory should be removed');
+  assert(result.state.markets['singapore'], 'Missing market should be rebuilt');
+  assertEqual(state.player.inventory.h100, -3, 'Original state should be untouched');
+});
+
+test('repairState leaves fatal problems in remaining', () => {
+  const state = createGame();
+  state.player.balance = 'lots';
+  const result = repairState(state);
+  assert(result.remaining.some(p => p.path === 'player.balance'), 'Balance should be unrepairable');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Restricted Goods & Seizure Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Restricted Goods & Seizure');
+
+test('getAtRiskGoods returns empty for safe destination', () => {
+  let state = createGame();
+  state.player.inventory = { compute: 5, h100: 2 };
 
   // US West has no restricted goods
   const atRisk = getAtRiskGoods(state, 'singapore');
@@ -764,6 +1642,1127 @@ test('cannot perform other actions while choice is pending', () => {
   assert(result.error.includes('choice'), 'Error should mention choice');
 });
 
+function intelTip(accurate, direction = 'rise') {
+  return { type: 'intel_tip', good: 'widget', direction, accurate, turnsRemaining: 1 };
+}
+
+test('buying intel schedules a tip', () => {
+  let state = createGame({ seed: 8, pack: QUIET_PACK });
+  state.pendingChoice = {
+    type: 'intel',
+    title: 'Intel Offer',
+    text: 'Psst.',
+    choices: [{ id: 'buy', label: 'Buy' }, { id: 'decline', label: 'Pass' }],
+    params: { cost: 100, accuracy: 100, goodId: 'widget', good: 'Widget' }
+  };
+  state = submitAction(state, { action: 'resolveChoice', choiceId: 'buy' }).state;
+  const tip = state.pendingEvents.find(e => e.type === 'intel_tip');
+  assert(tip, 'Tip should be pending');
+  assertEqual(tip.accurate, true, '100% accuracy should give a true tip');
+  assert(tip.turnsRemaining >= 1 && tip.turnsRemaining <= 2, 'Tip should play out in 1-2 turns');
+});
+
+test('accurate intel moves the price when it comes due', () => {
+  const state = createGame({ seed: 9, pack: QUIET_PACK });
+  state.pendingEvents = [intelTip(true, 'fall')];
+  const result = submitAction(state, { action: 'wait' });
+  const [outcome] = result.intelResults;
+  assert(outcome && outcome.accurate, 'Response should report the tip');
+  assert(outcome.percent >= 15 && outcome.percent <= 30, 'Move should be 15-30%');
+  assertEqual(result.priceChanges.alpha.widget.old, Math.round(150 * (1 - outcome.percent / 100)), 'Alpha price should fall');
+  assertEqual(result.priceChanges.beta.widget.old, Math.round(225 * (1 - outcome.percent / 100)), 'Beta price should fall');
+  assert(result.turnSummary.includes('Intel came true'), 'Summary should mention the tip');
+  assertEqual(result.state.pendingEvents.length, 0, 'Tip should be used up');
+});
+
+test('inaccurate intel is just noise', () => {
+  const state = createGame({ seed: 9, pack: QUIET_PACK });
+  state.pendingEvents = [intelTip(false)];
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.intelResults[0].accurate, false, 'Response should report a bust');
+  assertEqual(result.priceChanges.alpha.widget.old, 150, 'Price should not move');
+});
+
+test('intel waits until its countdown runs out', () => {
+  const state = createGame({ seed: 9, pack: QUIET_PACK });
+  state.pendingEvents = [{ ...intelTip(true), turnsRemaining: 2 }];
+  let result = submitAction(state, { action: 'wait' });
+  assertEqual(result.intelResults.length, 0, 'Nothing on the first turn');
+  result = submitAction(result.state, { action: 'wait' });
+  assertEqual(result.intelResults.length, 1, 'Tip should fire on the second turn');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Limit Order Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Limit Orders');
+
+function placeOrder(state, overrides = {}) {
+  return submitAction(state, {
+    action: 'placeOrder', market: 'alpha', good: 'widget', side: 'buy',
+    quantity: 2, limitPrice: 100, expiresTurn: state.turn + 2, ...overrides
+  });
+}
+
+test('buy orders reserve cash without changing net worth', () => {
+  const state = createGame({ seed: 12, pack: QUIET_PACK });
+  const result = placeOrder(state, { limitPrice: 50 });
+  assert(result.success, 'Order should be placed');
+  assertEqual(result.state.player.balance, 900, 'Should reserve limit x quantity');
+  assertEqual(result.state.limitOrders[0].market, 'alpha', 'Order should sit in the market given');
+  assertEqual(calculateNetWorth(result.state), calculateNetWorth(state), 'Reserved cash still counts');
+  assertEqual(result.state.turn, state.turn, 'Placing an order should not advance the turn');
+});
+
+test('sell orders hold goods and cancelling returns them', () => {
+  let state = createGame({ seed: 12, pack: QUIET_PACK });
+  state.player.inventory = { widget: 4 };
+  state.player.costBasis = { widget: 400 };
+  state = placeOrder(state, { side: 'sell', quantity: 3, limitPrice: 1000 }).state;
+  assertEqual(state.player.inventory.widget, 1, 'Should hold back 3 widgets');
+  assertEqual(state.player.costBasis.widget, 100, 'Cost basis should move with them');
+
+  state = submitAction(state, { action: 'cancelOrder', orderId: state.limitOrders[0].id }).state;
+  assertEqual(state.player.inventory.widget, 4, 'Goods should come back');
+  assertEqual(state.player.costBasis.widget, 400, 'Cost basis should come back');
+  assertEqual(state.limitOrders.length, 0, 'Order should be gone');
+});
+
+test('buy orders fill once the price crosses and refund the difference', () => {
+  let state = createGame({ seed: 12, pack: QUIET_PACK });
+  state = placeOrder(state, { limitPrice: 500 }).state;
+  const result = submitAction(state, { action: 'wait' });
+
+  assertEqual(result.filledOrders.length, 1, 'Order should fill');
+  const fill = result.filledOrders[0];
+  assertEqual(result.state.player.inventory.widget, 2, 'Goods should arrive');
+  assertEqual(result.state.player.balance, 1000 - fill.total, 'Only the fill price should be spent');
+  assertEqual(result.state.player.costBasis.widget, fill.total, 'Cost basis should be the fill');
+  assertEqual(result.state.markets.alpha.pressure.widget, 2, 'Fill should push the order\'s market');
+  assert(result.turnSummary.includes('filled'), 'Summary should report the fill');
+});
+
+test('sell orders fill at or above the limit', () => {
+  let state = createGame({ seed: 12, pack: QUIET_PACK });
+  state.player.inventory = { widget: 2 };
+  state.player.costBasis = { widget: 200 };
+  state = placeOrder(state, { side: 'sell', limitPrice: 10 }).state;
+  const result = submitAction(state, { action: 'wait' });
+
+  assertEqual(result.filledOrders.length, 1, 'Order should fill');
+  assert(result.filledOrders[0].average >= 10, 'Should fill at the limit or better');
+  assertEqual(result.state.player.balance, 1000 + result.filledOrders[0].total, 'Proceeds should be paid');
+  assertEqual(result.state.player.inventory.widget, undefined, 'Goods should be gone');
+});
+
+test('orders that never cross expire and release their reservation', () => {
+  let state = createGame({ seed: 12, pack: QUIET_PACK });
+  state = placeOrder(state, { limitPrice: 1, expiresTurn: state.turn + 1 }).state;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.limitOrders.length, 1, 'Order should still be open');
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.state.limitOrders.length, 0, 'Order should expire');
+  assertEqual(result.state.player.balance, 1000, 'Cash should be released');
+  assert(result.turnSummary.includes('expired'), 'Summary should report the expiry');
+});
+
+test('invalid orders are rejected', () => {
+  const state = createGame({ seed: 12, pack: QUIET_PACK });
+  assert(!placeOrder(state, { side: 'short' }).success, 'Unknown side should fail');
+  assert(!placeOrder(state, { market: 'gamma' }).success, 'Unknown market should fail');
+  assert(placeOrder(state, { market: 'beta' }).error.includes('Rent a warehouse'), 'Remote orders need storage there');
+  assert(!placeOrder(state, { expiresTurn: state.turn + 50 }).success, 'Far expiry should fail');
+  assert(placeOrder(state, { limitPrice: 1000 }).error.includes('Insufficient funds'), 'Reservation must be affordable');
+  assert(placeOrder(state, { side: 'sell' }).error.includes('Insufficient inventory'), 'Must own the goods to sell');
+  assert(!submitAction(state, { action: 'cancelOrder', orderId: 99 }).success, 'Unknown order should fail');
+});
+
+test('validateState flags broken orders', () => {
+  const state = createGame({ seed: 12, pack: QUIET_PACK });
+  state.limitOrders = [{ id: 1, market: 'gamma', good: 'widget', side: 'buy', quantity: 1, limitPrice: 5, reserved: 5, expiresTurn: 3 }];
+  const { problems } = validateState(state);
+  assert(problems.some(p => p.type === 'invalid_order'), 'Should flag unknown market');
+  assert(problems.some(p => p.path === 'nextOrderId'), 'Should flag stale id counter');
+  assert(repairState(state).remaining.length === 0, 'Repair should clear them');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Warehouse Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Warehouses');
+
+// Quiet fixture with a safe warehouse in Alpha and a raid-prone one in Beta
+const STORAGE_PACK = {
+  ...QUIET_PACK,
+  id: 'storage',
+  MARKETS: {
+    alpha: { ...FIXTURE_PACK.MARKETS.alpha, warehouse: { capacity: 5, rent: 50, raidRisk: 0 } },
+    beta: { ...FIXTURE_PACK.MARKETS.beta, warehouse: { capacity: 5, rent: 50, raidRisk: 1 } }
+  }
+};
+
+function withWarehouse(state, stock = {}) {
+  state = submitAction(state, { action: 'rentWarehouse' }).state;
+  state.player.inventory = { ...stock };
+  state.player.costBasis = Object.fromEntries(Object.entries(stock).map(([g, q]) => [g, q * 100]));
+  return state;
+}
+
+test('deposit and withdraw move goods and cost basis', () => {
+  let state = withWarehouse(createGame({ seed: 13, pack: STORAGE_PACK }), { widget: 4 });
+  state = submitAction(state, { action: 'deposit', good: 'widget', quantity: 3 }).state;
+  assertEqual(state.player.inventory.widget, 1, 'Cargo should keep 1');
+  assertEqual(state.warehouses.alpha.inventory.widget, 3, 'Warehouse should hold 3');
+  assertEqual(state.warehouses.alpha.costBasis.widget, 300, 'Cost basis should follow the goods');
+
+  state = submitAction(state, { action: 'withdraw', good: 'widget', quantity: 3 }).state;
+  assertEqual(state.player.inventory.widget, 4, 'All goods should be back in cargo');
+  assertEqual(state.player.costBasis.widget, 400, 'Cost basis should be whole again');
+  assertEqual(state.warehouses.alpha.inventory.widget, undefined, 'Warehouse should be empty');
+});
+
+test('warehouse and cargo space both limit transfers', () => {
+  let state = withWarehouse(createGame({ seed: 13, pack: STORAGE_PACK }), { widget: 8 });
+  const full = submitAction(state, { action: 'deposit', good: 'widget', quantity: 6 });
+  assert(full.error.includes('warehouse space'), 'Should not exceed warehouse capacity');
+
+  state.warehouses.alpha.inventory = { widget: 5 };
+  state.player.inventory = { widget: 8 };
+  const crowded = submitAction(state, { action: 'withdraw', good: 'widget', quantity: 5 });
+  assert(crowded.error.includes('cargo space'), 'Should not exceed cargo capacity');
+});
+
+test('rent is charged every turn and shortfalls become debt', () => {
+  let state = withWarehouse(createGame({ seed: 13, pack: STORAGE_PACK }));
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.state.player.balance, 950, 'Should pay one turn of rent');
+  assert(result.turnSummary.includes('Warehouse rent'), 'Summary should mention rent');
+
+  state = result.state;
+  state.player.balance = 20;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.player.balance, 0, 'Should spend what it can');
+  assertEqual(state.player.debt, 30, 'The rest should go on debt');
+});
+
+test('stored goods count in net worth at their market', () => {
+  const state = createGame({ seed: 13, pack: STORAGE_PACK });
+  const before = calculateNetWorth(state);
+  state.warehouses.beta = { inventory: { widget: 2 }, costBasis: { widget: 200 } };
+  assertEqual(calculateNetWorth(state) - before, state.markets.beta.prices.widget * 2, 'Should use Beta prices');
+});
+
+test('raids take part of a stored good', () => {
+  const state = createGame({ seed: 13, pack: STORAGE_PACK });
+  state.warehouses.beta = { inventory: { widget: 5 }, costBasis: { widget: 500 } };
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.warehouseLosses.length, 1, 'Beta should be raided');
+  const left = result.state.warehouses.beta.inventory.widget || 0;
+  assertEqual(left, 5 - result.warehouseLosses[0].quantity, 'Loss should come out of storage');
+  assert(left >= 2 && left <= 4, 'Should lose 30-60% of the good');
+});
+
+test('warehouses can only be rented once and released when empty', () => {
+  let state = withWarehouse(createGame({ seed: 13, pack: STORAGE_PACK }), { widget: 1 });
+  assert(!submitAction(state, { action: 'rentWarehouse' }).success, 'Cannot rent twice');
+  state = submitAction(state, { action: 'deposit', good: 'widget', quantity: 1 }).state;
+  assert(!submitAction(state, { action: 'releaseWarehouse' }).success, 'Cannot release while stocked');
+  state = submitAction(state, { action: 'withdraw', good: 'widget', quantity: 1 }).state;
+  state = submitAction(state, { action: 'releaseWarehouse' }).state;
+  assertEqual(state.warehouses.alpha, undefined, 'Warehouse should be released');
+});
+
+test('validateState flags bad warehouse contents', () => {
+  const state = createGame({ seed: 13, pack: STORAGE_PACK });
+  state.warehouses = { alpha: { inventory: { gizmo: 1, widget: -2 }, costBasis: {} }, gamma: { inventory: {}, costBasis: {} } };
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('warehouses.alpha.inventory.gizmo'), 'Should flag unknown good');
+  assert(paths.includes('warehouses.alpha.inventory.widget'), 'Should flag negative stock');
+  assert(paths.includes('warehouses.gamma'), 'Should flag unknown market');
+  assert(repairState(state).remaining.length === 0, 'Repair should clear them');
+});
+
+test('remote orders settle through the warehouse in their market', () => {
+  let state = withWarehouse(createGame({ seed: 13, pack: STORAGE_PACK }), { widget: 3 });
+  state = submitAction(state, { action: 'deposit', good: 'widget', quantity: 3 }).state;
+  state.player.location = 'beta';
+
+  state = placeOrder(state, { market: 'alpha', side: 'sell', quantity: 2, limitPrice: 100000 }).state;
+  assertEqual(state.warehouses.alpha.inventory.widget, 1, 'Sell order should take goods from storage there');
+  state = placeOrder(state, { market: 'alpha', quantity: 2, limitPrice: 500 }).state;
+
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.filledOrders.length, 1, 'Buy order should fill');
+  assertEqual(result.state.warehouses.alpha.inventory.widget, 3, 'Bought goods should land in the Alpha warehouse');
+  assertEqual(result.state.player.inventory.widget, undefined, 'Nothing should reach the cargo in Beta');
+
+  const cancel = { action: 'cancelOrder', orderId: result.state.limitOrders[0].id };
+  assertEqual(submitAction(result.state, cancel).state.warehouses.alpha.inventory.widget, 5, 'Cancelling returns goods to storage');
+  result.state.warehouses.alpha.inventory.widget = 5;
+  assert(!submitAction(result.state, cancel).success, 'A full warehouse has no room for them');
+  result.state.player.location = 'alpha';
+  assertEqual(submitAction(result.state, cancel).state.player.inventory.widget, 2, 'Standing in Alpha, they return to cargo');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Forward Contract Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Forward Contracts');
+
+function signFirstOffer(state) {
+  const offer = state.markets[state.player.location].contractOffers[0];
+  return { offer, result: submitAction(state, { action: 'acceptContract', contractId: offer.id }) };
+}
+
+test('every market board starts with offers elsewhere', () => {
+  const state = createGame({ seed: 14 });
+  for (const [marketId, market] of Object.entries(state.markets)) {
+    assertEqual(market.contractOffers.length, 2, `${marketId} should have a full board`);
+    for (const offer of market.contractOffers) {
+      assert(offer.destination !== marketId, 'Offers should deliver to another market');
+      assert(offer.deadline > state.turn + getRoute(state, marketId, offer.destination).turns, 'Deadline should leave time to travel');
+      const atDestination = { ...state, player: { ...state.player, location: offer.destination } };
+      const ask = getFillQuote(atDestination, offer.good, 1, 'buy').total;
+      assert(offer.price <= ask, 'Price should be capped at the destination ask');
+      assert(offer.price > state.markets[marketId].prices[offer.good] || offer.price === ask, 'Price should beat the sourcing mid');
+    }
+  }
+});
+
+test('a contract premium cannot be captured by buying at the destination', () => {
+  for (const seed of [14, 15, 16, 17]) {
+    const state = createGame({ seed });
+    state.player.balance = 10000000;
+    state.player.inventoryCapacity = 100;
+    for (const offer of state.markets[state.player.location].contractOffers) {
+      const signed = submitAction(state, { action: 'acceptContract', contractId: offer.id }).state;
+      signed.player.location = offer.destination;
+      const before = signed.player.balance;
+      const bought = submitAction(signed, { action: 'buy', good: offer.good, quantity: offer.quantity }).state;
+      const delivered = submitAction(bought, { action: 'deliverContract', contractId: offer.id }).state;
+      assert(delivered.player.balance - offer.deposit <= before, `Seed ${seed}: offer #${offer.id} should not pay for itself`);
+    }
+  }
+});
+
+test('accepting a contract holds the deposit', () => {
+  const state = createGame({ seed: 14, pack: QUIET_PACK });
+  const { offer, result } = signFirstOffer(state);
+  assert(result.success, 'Should sign');
+  assertEqual(result.state.player.balance, 1000 - offer.deposit, 'Deposit should be paid');
+  assertEqual(result.state.contracts[0].id, offer.id, 'Contract should be active');
+  assertEqual(result.state.markets.alpha.contractOffers.length, 1, 'Offer should leave the board');
+  assertEqual(calculateNetWorth(result.state), calculateNetWorth(state), 'Deposit still counts toward net worth');
+});
+
+test('delivering pays out, returns the deposit and builds reputation', () => {
+  let { offer, result } = signFirstOffer(createGame({ seed: 14, pack: QUIET_PACK }));
+  let state = result.state;
+  state.player.inventory = { widget: offer.quantity };
+  state.player.costBasis = { widget: 100 };
+
+  assert(submitAction(state, { action: 'deliverContract', contractId: offer.id }).error.includes('Deliver to'), 'Must be at the destination');
+  state.player.location = offer.destination;
+  const balance = state.player.balance;
+  result = submitAction(state, { action: 'deliverContract', contractId: offer.id });
+
+  assert(result.success, 'Delivery should succeed');
+  assertEqual(result.state.player.balance, balance + offer.price * offer.quantity + offer.deposit, 'Should be paid plus deposit');
+  assertEqual(result.state.player.inventory.widget, undefined, 'Goods should be handed over');
+  assertEqual(getReputation(result.state, offer.destination), getReputation(state, offer.destination) + 2, 'Reputation should rise at the destination');
+  assertEqual(result.state.player.reputation, state.player.reputation, 'Global reputation should hold');
+  assertEqual(result.state.contracts.length, 0, 'Contract should be closed');
+});
+
+test('missing the deadline forfeits the deposit and charges a penalty', () => {
+  let { offer, result } = signFirstOffer(createGame({ seed: 14, pack: QUIET_PACK }));
+  let state = result.state;
+  state.contracts[0].deadline = state.turn;
+  const balance = state.player.balance;
+  result = submitAction(state, { action: 'wait' });
+
+  assertEqual(result.failedContracts.length, 1, 'Contract should fail');
+  assertEqual(result.state.contracts.length, 0, 'Contract should be gone');
+  assertEqual(result.state.player.balance, balance - offer.penalty, 'Penalty should be charged');
+  assertEqual(getReputation(result.state, offer.destination), getReputation(state, offer.destination) - 5, 'Reputation should fall at the destination');
+});
+
+test('stale offers are withdrawn and boards restocked', () => {
+  let state = createGame({ seed: 14, pack: QUIET_PACK });
+  const first = state.markets.alpha.contractOffers.map(o => o.id);
+  for (let i = 0; i < 3; i++) state = submitAction(state, { action: 'wait' }).state;
+  const now = state.markets.alpha.contractOffers.map(o => o.id);
+  assertEqual(now.length, 2, 'Board should stay full');
+  assert(!now.some(id => first.includes(id)), 'Original offers should be withdrawn');
+});
+
+test('counterparties refuse traders with poor reputation', () => {
+  const state = createGame({ seed: 14, pack: QUIET_PACK });
+  state.player.reputation = 10;
+  assert(signFirstOffer(state).result.error.includes('reputation'), 'Should refuse to sign');
+});
+
+test('validateState flags broken contracts', () => {
+  const state = createGame({ seed: 14, pack: QUIET_PACK });
+  state.contracts = [{ id: 1, good: 'gizmo', destination: 'beta', quantity: 2, price: 10, deposit: 1, penalty: 2, deadline: 9 }];
+  state.markets.beta.contractOffers = 'none';
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('contracts.0'), 'Should flag unknown good');
+  assert(paths.includes('markets.beta.contractOffers'), 'Should flag missing board');
+  assert(repairState(state).remaining.length === 0, 'Repair should clear them');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Derivatives Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Derivatives');
+
+function openFuture(state, overrides = {}) {
+  return submitAction(state, { action: 'openFuture', good: 'widget', side: 'long', quantity: 10, turns: 3, ...overrides });
+}
+
+test('getGlobalPrice averages every market', () => {
+  const state = createGame({ seed: 15, pack: QUIET_PACK });
+  state.markets.alpha.prices.widget = 100;
+  state.markets.beta.prices.widget = 201;
+  assertEqual(getGlobalPrice(state, 'widget'), 151, 'Should round the mean of both markets');
+});
+
+test('opening a future posts initial margin', () => {
+  const state = createGame({ seed: 15, pack: QUIET_PACK });
+  const price = getGlobalPrice(state, 'widget');
+  const result = openFuture(state);
+  assert(result.success, 'Should open');
+  const position = result.state.positions[0];
+  assertEqual(position.margin, Math.round(price * 10 * 0.2), 'Margin should be 20% of notional');
+  assertEqual(result.state.player.balance, 1000 - position.margin, 'Margin should come from the balance');
+  assertEqual(calculateNetWorth(result.state), calculateNetWorth(state), 'Margin still counts toward net worth');
+});
+
+test('futures are marked to market each turn', () => {
+  let state = createGame({ seed: 15, pack: QUIET_PACK });
+  state = openFuture(state, { side: 'short', quantity: 2 }).state;
+  const { margin, entryPrice } = state.positions[0];
+  state = submitAction(state, { action: 'wait' }).state;
+  const moved = getGlobalPrice(state, 'widget') - entryPrice;
+  assertEqual(state.positions[0].margin, margin - moved * 2, 'Short margin should move against price');
+});
+
+test('margin calls draw on the balance, then force liquidation', () => {
+  let state = createGame({ seed: 15, pack: QUIET_PACK });
+  state = openFuture(state).state;
+  state.positions[0].lastPrice = 10000;  // As if the price had just crashed
+  let result = submitAction(state, { action: 'wait' });
+  assertEqual(result.derivatives.marginCalls.length, 0, 'A small balance cannot meet a huge call');
+  assertEqual(result.derivatives.liquidated.length, 1, 'Position should be liquidated');
+  assertEqual(result.state.positions.length, 0, 'Position should be closed');
+  assert(result.state.player.debt > 0, 'Losses beyond the balance should become debt');
+
+  state = openFuture(createGame({ seed: 15, pack: QUIET_PACK })).state;
+  state.player.balance = 100000;
+  state.positions[0].lastPrice += 40;
+  result = submitAction(state, { action: 'wait' });
+  assertEqual(result.derivatives.marginCalls.length, 1, 'Call should be met');
+  assert(result.state.player.balance < 100000, 'Call should be paid from the balance');
+});
+
+test('options cost more than intrinsic value and pay it at expiry', () => {
+  let state = createGame({ seed: 15, pack: QUIET_PACK });
+  const price = getGlobalPrice(state, 'widget');
+  const premium = getOptionPremium(state, 'widget', 'call', price - 20, 5);
+  assert(premium > 20, 'Premium should include time value');
+
+  state = submitAction(state, { action: 'buyOption', good: 'widget', kind: 'call', strike: price - 20, quantity: 2, turns: 5 }).state;
+  assertEqual(state.player.balance, 1000 - premium * 2, 'Should pay the premium');
+  state.positions[0].expiresTurn = state.turn;
+  const result = submitAction(state, { action: 'wait' });
+  const expected = Math.max(0, getGlobalPrice(result.state, 'widget') - (price - 20)) * 2;
+  assertEqual(result.derivatives.settled[0].value, expected, 'Should pay intrinsic value');
+  assertEqual(result.state.player.balance, state.player.balance + expected, 'Payout should reach the balance');
+});
+
+test('positions can be closed early', () => {
+  let state = createGame({ seed: 15, pack: QUIET_PACK });
+  state = openFuture(state).state;
+  const result = submitAction(state, { action: 'closePosition', positionId: state.positions[0].id });
+  assert(result.success, 'Should close');
+  assertEqual(result.state.player.balance, 1000, 'Untouched margin should come back');
+  assertEqual(result.state.positions.length, 0, 'No positions should remain');
+});
+
+test('invalid derivatives trades are rejected', () => {
+  const state = createGame({ seed: 15, pack: QUIET_PACK });
+  assert(!openFuture(state, { side: 'sideways' }).success, 'Unknown side should fail');
+  assert(!openFuture(state, { turns: 4 }).success, 'Unlisted tenor should fail');
+  assert(openFuture(state, { quantity: 1000 }).error.includes('Insufficient funds'), 'Margin must be affordable');
+  assert(!submitAction(state, { action: 'buyOption', good: 'widget', kind: 'call', strike: 0, quantity: 1, turns: 3 }).success, 'Strike must be positive');
+});
+
+test('validateState flags broken positions', () => {
+  const state = createGame({ seed: 15, pack: QUIET_PACK });
+  state.positions = [{ id: 4, type: 'swap', good: 'widget', quantity: 1, expiresTurn: 5 }];
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('positions.0'), 'Should flag unknown position type');
+  assert(paths.includes('nextPositionId'), 'Should flag stale id counter');
+  assert(repairState(state).remaining.length === 0, 'Repair should clear them');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Lender Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Lenders');
+
+test('each lender opens its own loan on its own terms', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'bank', amount: 500 }).state;
+  state = submitAction(state, { action: 'borrow', lender: 'shark', amount: 500 }).state;
+  assertEqual(state.loans.length, 2, 'Should hold two loans');
+  assertEqual(state.loans[0].dueTurn, 1 + LENDERS.bank.term, 'Bank loan should fall due after its term');
+  assertEqual(state.loans[1].dueTurn, 1 + LENDERS.shark.term, 'Shark loan should fall due sooner');
+  assertEqual(state.player.debt, 1000, 'Debt should total the loans');
+
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.loans[0].balance, 515, 'Bank loan should accrue at 3%');
+  assertEqual(state.loans[1].balance, 575, 'Shark loan should accrue at 15%');
+  assertEqual(state.player.debt, 1090, 'Debt should follow the loans');
+});
+
+test('lenders cap what they will advance', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  assertEqual(getMaxBorrowable(state, 'bank'), 1000, 'Bank lends up to 1x net worth');
+  assertEqual(getMaxBorrowable(state, 'shark'), 3000, 'Shark lends up to 3x net worth');
+  assertEqual(getMaxBorrowable(state), 3000, 'Without a lender, the best offer');
+
+  const result = submitAction(state, { action: 'borrow', lender: 'bank', amount: 1500 });
+  assert(!result.success, 'Should refuse past the cap');
+  assert(result.error.includes(LENDERS.bank.name), 'Error should name the lender');
+  assert(!submitAction(state, { action: 'borrow', lender: 'mafia', amount: 100 }).success, 'Unknown lender should fail');
+
+  state = submitAction(state, { action: 'borrow', lender: 'bank', amount: 400 }).state;
+  assertEqual(getMaxBorrowable(state, 'bank'), 600, 'Existing debt should count against the cap');
+});
+
+test('late loans pick up penalties and secured lenders seize cargo', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'vc', amount: 1000 }).state;
+  state.player.inventory.widget = 5;
+  state.player.costBasis.widget = 500;
+  state.loans[0].dueTurn = state.turn;
+
+  let result = submitAction(state, { action: 'wait' });
+  assertEqual(result.state.loans[0].balance, 1166, 'Interest then a 10% late penalty');
+  assertEqual(getLoanStatus(result.state, result.state.loans[0]), 'late', 'Should be late inside the grace turn');
+  assertEqual(result.seizedCollateral.length, 0, 'Nothing seized during grace');
+
+  result = submitAction(result.state, { action: 'wait' });
+  assertEqual(result.seizedCollateral.length, 1, 'Should seize cargo once grace runs out');
+  assertEqual(result.state.player.inventory.widget, undefined, 'All widgets should go toward the loan');
+  assertEqual(getLoanStatus(result.state, result.state.loans[0]), 'default', 'Loan should be in default');
+  assertEqual(getMaxBorrowable(result.state, 'vc'), 0, 'Lender should refuse more while in default');
+});
+
+test('unsecured lenders never take cargo', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'shark', amount: 1000 }).state;
+  state.player.inventory.widget = 5;
+  state.player.costBasis.widget = 500;
+  state.loans[0].dueTurn = state.turn;
+  state = submitAction(state, { action: 'wait' }).state;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.player.inventory.widget, 5, 'Cargo should be untouched');
+  assert(state.loans[0].balance > 1500, 'Penalties should keep piling up');
+});
+
+test('payments can target one loan', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'bank', amount: 500 }).state;
+  state = submitAction(state, { action: 'borrow', lender: 'shark', amount: 500 }).state;
+  const shark = state.loans[1];
+
+  const result = submitAction(state, { action: 'payDebt', loanId: shark.id, amount: 500 });
+  assert(result.success, 'Should pay off the shark');
+  assertEqual(result.state.loans.length, 1, 'Paid-off loan should close');
+  assertEqual(result.state.loans[0].lender, 'bank', 'Bank loan should remain');
+  assert(!submitAction(state, { action: 'payDebt', loanId: shark.id, amount: 600 }).success, 'Cannot overpay a loan');
+  assert(!submitAction(state, { action: 'payDebt', loanId: 99, amount: 100 }).success, 'Unknown loan should fail');
+});
+
+test('validateState flags broken loans and a debt mismatch', () => {
+  let state = createGame({ seed: 16, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'bank', amount: 500 }).state;
+  state.loans.push({ id: 7, lender: 'mafia', balance: 100, rate: 0.5, dueTurn: 3 });
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('loans.1'), 'Should flag unknown lender');
+  assert(paths.includes('player.debt'), 'Should flag debt that disagrees with the loans');
+  assert(paths.includes('nextLoanId'), 'Should flag stale id counter');
+  const repaired = repairState(state);
+  assertEqual(repaired.remaining.length, 0, 'Repair should clear them');
+  assertEqual(repaired.state.player.debt, 500, 'Debt should match the remaining loan');
+});
+
+// Quiet economy where every collection stage a late loan reaches fires
+const COLLECTOR_PACK = {
+  ...QUIET_PACK,
+  id: 'collectors',
+  COLLECTIONS: Object.fromEntries(Object.entries(COLLECTIONS).map(([id, stage]) => [id, { ...stage, chance: 1 }]))
+};
+
+function lateSharkLoan(turnsLate, cargo = 0) {
+  let state = createGame({ seed: 17, pack: COLLECTOR_PACK });
+  state = submitAction(state, { action: 'borrow', lender: 'shark', amount: 1000 }).state;
+  state.loans[0].dueTurn = state.turn - turnsLate + 1;
+  if (cargo > 0) {
+    state.player.inventory.widget = cargo;
+    state.player.costBasis.widget = cargo * 100;
+  }
+  return state;
+}
+
+test('a loan gone late draws a collection fee', () => {
+  const result = submitAction(lateSharkLoan(1), { action: 'wait' });
+  assertEqual(result.collections.length, 1, 'Should send one notice');
+  assertEqual(result.collections[0].stage, 'notice', 'First late turn is a notice');
+  assertEqual(result.state.loans[0].balance, 1449, 'Interest, late penalty, then a 5% fee');
+});
+
+test('collectors escalate to taking cargo and reputation', () => {
+  const result = submitAction(lateSharkLoan(2, 4), { action: 'wait' });
+  assertEqual(result.collections[0].stage, 'collectors', 'Second late turn sends collectors');
+  assertEqual(result.state.player.inventory.widget, 2, 'Should take half the widgets');
+  assertEqual(result.state.player.reputation, 47, 'Should cost reputation');
+
+  const broke = submitAction(lateSharkLoan(2), { action: 'wait' });
+  assertEqual(broke.collections[0].stage, 'notice', 'With nothing to take, a notice instead');
+});
+
+test('enforcers corner the player with a choice', () => {
+  const result = submitAction(lateSharkLoan(3, 2), { action: 'wait' });
+  assertEqual(result.state.pendingChoice.type, 'collection', 'Should set a pending choice');
+  assertEqual(result.choiceEvent, result.state.pendingChoice, 'Response should carry the choice');
+  assertEqual(result.state.pendingChoice.choices.length, 3, 'Pay, hand over and refuse');
+  assert(!submitAction(result.state, { action: 'wait' }).success, 'Must resolve before acting');
+
+  const demand = result.state.pendingChoice.params.demand;
+  const owed = result.state.loans[0].balance;
+  const paid = submitAction(result.state, { action: 'resolveChoice', choiceId: 'pay' }).state;
+  assertEqual(paid.loans[0].balance, owed - demand, 'Payment should go on the loan');
+  assertEqual(paid.loans[0].dueTurn, paid.turn + COLLECTIONS.enforcers.reprieve, 'Paying in full buys a reprieve');
+});
+
+test('enforcers take cargo or punish a refusal', () => {
+  const cornered = submitAction(lateSharkLoan(3, 2), { action: 'wait' }).state;
+  const owed = cornered.loans[0].balance;
+
+  const handed = submitAction(cornered, { action: 'resolveChoice', choiceId: 'hand_over' }).state;
+  assertEqual(handed.player.inventory.widget, undefined, 'All of the good should go');
+  assert(handed.loans[0].balance < owed, 'Cargo should count against the loan');
+
+  const refused = submitAction(cornered, { action: 'resolveChoice', choiceId: 'refuse' }).state;
+  assertEqual(refused.loans[0].balance, Math.round(owed * 1.25), 'Refusing adds 25% to the loan');
+  assertEqual(refused.player.reputation, cornered.player.reputation - 10, 'Refusing costs reputation');
+});
+
+test('enforcers arriving the turn the player goes insolvent keep their choice', () => {
+  const state = lateSharkLoan(3, 2);
+  state.loans[0].balance = 500000;
+  state.player.debt = 500000;
+  const result = submitAction(state, { action: 'wait' });
+  assertEqual(result.collections[0].stage, 'enforcers', 'Enforcers should visit');
+  assertEqual(result.state.pendingChoice.type, 'collection', 'Their choice should not be overwritten');
+
+  const resolved = submitAction(result.state, { action: 'resolveChoice', choiceId: 'refuse' }).state;
+  resolved.loans[0].dueTurn = resolved.turn + 5;
+  const next = submitAction(resolved, { action: 'wait' });
+  assertEqual(next.state.pendingChoice.type, 'bankruptcy', 'The court should sit the next turn');
+});
+
+test('validateState flags a collection choice for a closed loan', () => {
+  const state = submitAction(lateSharkLoan(3), { action: 'wait' }).state;
+  assert(validateState(state).valid, 'Pending collection should validate');
+  state.loans = [];
+  state.player.debt = 0;
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('pendingChoice'), 'Should flag the orphaned choice');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Savings Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Savings');
+
+test('cash can be banked and withdrawn where you are', () => {
+  let state = createGame({ seed: 18, pack: QUIET_PACK });
+  let result = submitAction(state, { action: 'bankDeposit', amount: 600 });
+  assert(result.success, 'Deposit should succeed');
+  assertEqual(result.state.player.balance, 400, 'Cash should leave the balance');
+  assertEqual(result.state.savings.alpha, 600, 'Savings should sit in the current market');
+  assertEqual(result.state.turn, 1, 'Banking should not take a turn');
+  assertEqual(calculateNetWorth(result.state), calculateNetWorth(state), 'Net worth should count savings');
+
+  state = result.state;
+  assert(!submitAction(state, { action: 'bankWithdraw', amount: 700 }).success, 'Cannot withdraw more than saved');
+  assert(!submitAction(state, { action: 'bankDeposit', amount: 500 }).success, 'Cannot deposit more than the balance');
+  result = submitAction(state, { action: 'bankWithdraw', amount: 600 });
+  assertEqual(result.state.savings.alpha, undefined, 'Emptied account should close');
+  assertEqual(result.state.player.balance, 1000, 'Cash should come back');
+});
+
+test('savings earn the market rate each turn', () => {
+  let state = createGame({ seed: 18, pack: QUIET_PACK });
+  state = submitAction(state, { action: 'bankDeposit', amount: 1000 }).state;
+  state.savings.beta = 1000;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.savings.alpha, 1005, 'Default rate of 0.5% per turn');
+
+  state = createGame({ seed: 18 });
+  state.savings['china-east'] = 10000;
+  assertEqual(getSavingsRate(state, 'china-east'), MARKETS['china-east'].savingsRate, 'Rate should come from the market');
+  assert(getSavingsRate(state, 'china-east') > getSavingsRate(state, 'eu-central'), 'Rates should vary by market');
+});
+
+test('hacks take cash but not savings', () => {
+  const pack = { ...QUIET_PACK, id: 'hacked', EVENTS: { exchange_hack: { ...EVENTS.exchange_hack, probability: 1 } } };
+  let state = createGame({ seed: 18, pack });
+  state = submitAction(state, { action: 'bankDeposit', amount: 800 }).state;
+  const result = submitAction(state, { action: 'wait' });
+  assert(result.events.some(e => e.type === 'hack'), 'Hack should fire');
+  assert(result.state.player.balance < 200, 'Hack should take cash');
+  assertEqual(result.state.savings.alpha, 804, 'Savings should only grow');
+});
+
+test('a bank failure takes a share of savings in its market', () => {
+  const pack = { ...QUIET_PACK, id: 'bank-run', EVENTS: { bank_failure: { ...EVENTS.bank_failure, probability: 1 } } };
+  const state = createGame({ seed: 18, pack });
+  state.savings = { alpha: 1000, beta: 1000 };
+  const result = submitAction(state, { action: 'wait' });
+  const failure = result.events.find(e => e.type === 'bank');
+  assert(failure, 'Bank failure should fire');
+  assertEqual(result.state.savings[failure.market], 1005 - failure.amount, 'Loss should come out of that market');
+  const other = failure.market === 'alpha' ? 'beta' : 'alpha';
+  assertEqual(result.state.savings[other], 1005, 'Other banks should be untouched');
+
+  const none = createGame({ seed: 18, pack });
+  assertEqual(submitAction(none, { action: 'wait' }).events.length, 0, 'No savings, no failure');
+});
+
+test('validateState flags savings in unknown markets', () => {
+  const state = createGame({ seed: 18, pack: QUIET_PACK });
+  state.savings = { atlantis: 500, alpha: -5 };
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('savings.atlantis'), 'Should flag unknown market');
+  assert(paths.includes('savings.alpha'), 'Should flag negative savings');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reputation & Heat Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Reputation & Heat');
+
+// Beta treats widgets as contraband and customs always finds them
+const CONTRABAND_PACK = {
+  ...QUIET_PACK,
+  id: 'contraband',
+  MARKETS: {
+    ...FIXTURE_PACK.MARKETS,
+    beta: { ...FIXTURE_PACK.MARKETS.beta, restrictedGoods: { widget: { seizureRisk: 1, pricePremium: 1.5 } } }
+  },
+  TRAVEL_CHOICES: {}
+};
+
+test('reputation is tracked per market on top of the global score', () => {
+  const state = createGame({ seed: 19, pack: QUIET_PACK });
+  state.marketReputation = { beta: -20 };
+  assertEqual(getReputation(state, 'alpha'), 50, 'Untouched markets use the global score');
+  assertEqual(getReputation(state, 'beta'), 30, 'Local standing should apply');
+  state.player.reputation = 60;
+  assertEqual(getReputation(state, 'beta'), 40, 'Global gains count everywhere');
+});
+
+test('trading contraband raises heat, which cools each turn', () => {
+  let state = createGame({ seed: 19, pack: CONTRABAND_PACK });
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 1 }).state;
+  assertEqual(state.player.heat, 0, 'Legal trades draw no attention');
+
+  state.player.location = 'beta';
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 1 }).state;
+  assertEqual(state.player.heat, 5, 'Contraband trades should add heat');
+
+  state.player.heat = 40;
+  state = submitAction(state, { action: 'wait' }).state;
+  assertEqual(state.player.heat, 34, 'Heat should cool by 15%');
+});
+
+test('seizures raise heat and cost standing with that customs', () => {
+  let state = createGame({ seed: 19, pack: CONTRABAND_PACK });
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 4 }).state;
+  const result = submitAction(state, { action: 'travel', destination: 'beta', confirmed: true });
+  assert(result.seizures.some(s => s.quantity > 0), 'Customs should seize widgets');
+  assertEqual(result.state.player.heat, 17, 'Seizure heat should have cooled one turn');
+  assertEqual(getReputation(result.state, 'beta'), 47, 'Beta standing should fall');
+  assertEqual(getReputation(result.state, 'alpha'), 50, 'Alpha standing should hold');
+});
+
+test('heat raises customs seizure odds', () => {
+  const state = createGame({ seed: 19 });
+  state.player.inventory = { h100: 5 };
+  const cool = getAtRiskGoods(state, 'china-east')[0].seizureRisk;
+  state.player.heat = 50;
+  assertEqual(getAtRiskGoods(state, 'china-east')[0].seizureRisk, cool + 10, 'Heat 50 should add 10 points');
+});
+
+test('validateState flags bad heat and local reputation', () => {
+  const state = createGame({ seed: 19, pack: QUIET_PACK });
+  state.player.heat = 250;
+  state.marketReputation = { atlantis: 5, beta: 'low' };
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('player.heat'), 'Should flag out-of-range heat');
+  assert(paths.includes('marketReputation.atlantis'), 'Should flag unknown market');
+  assert(paths.includes('marketReputation.beta'), 'Should flag non-numeric standing');
+  assertEqual(repairState(state).state.player.heat, 100, 'Repair should clamp heat');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Customs Compliance Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Customs Compliance');
+
+test('getAtRiskGoods prices duty and licenses alongside seizure odds', () => {
+  const state = createGame({ seed: 20 });
+  state.player.inventory = { h100: 5 };
+  const [h100] = getAtRiskGoods(state, 'china-east');
+  assertEqual(h100.dutyRate, 25, 'Duty rate should come from the restriction');
+  assertEqual(h100.duty, Math.round(state.markets['china-east'].prices.h100 * 5 * 0.25), 'Duty is on local value');
+  assertEqual(h100.licenseCost, 40000, 'License cost should come from the restriction');
+  assertEqual(h100.licenseTurns, 8, 'License term should come from the restriction');
+});
+
+test('declaring pays duty instead of risking seizure', () => {
+  let state = createGame({ seed: 20, pack: CONTRABAND_PACK });
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 4 }).state;
+  const duty = getAtRiskGoods(state, 'beta')[0].duty;
+  const balance = state.player.balance;
+  const result = submitAction(state, { action: 'travel', destination: 'beta', declare: true });
+
+  assert(result.success, 'Declared trip should not need confirming');
+  assertEqual(result.seizures.length, 0, 'Declared cargo should not be seized');
+  assertEqual(result.state.player.inventory.widget, 4, 'Cargo should arrive intact');
+  assertEqual(result.state.player.balance, balance - duty, 'Duty should be paid');
+  assertEqual(result.state.customsDeclared, false, 'Declaration covers one trip');
+  assertEqual(result.state.player.heat, 0, 'Declaring draws no heat');
+});
+
+test('an export license exempts cargo until it expires', () => {
+  let state = createGame({ seed: 20, pack: CONTRABAND_PACK });
+  state.player.balance = 50000;
+  state = submitAction(state, { action: 'buy', good: 'widget', quantity: 4 }).state;
+  let result = submitAction(state, { action: 'buyLicense', market: 'beta', good: 'widget' });
+  assert(result.success, 'License should be sold');
+  assertEqual(result.state.licenses[0].expiresTurn, 8, 'Default license covers 8 turns');
+  assertEqual(getAtRiskGoods(result.state, 'beta').length, 0, 'Licensed goods are not at risk');
+
+  result = submitAction(result.state, { action: 'travel', destination: 'beta' });
+  assert(result.success, 'Licensed trip should not need confirming');
+  assertEqual(result.seizures.length, 0, 'Licensed cargo should not be seized');
+
+  state = result.state;
+  while (state.turn < 8) state = submitAction(state, { action: 'wait' }).state;
+  result = submitAction(state, { action: 'wait' });
+  assertEqual(result.expiredLicenses.length, 1, 'License should expire after its last turn');
+  assertEqual(result.state.licenses.length, 0, 'Expired license should be dropped');
+});
+
+test('licenses are only sold for restricted goods and renew by extending', () => {
+  let state = createGame({ seed: 20, pack: CONTRABAND_PACK });
+  state.player.balance = 50000;
+  assert(submitAction(state, { action: 'buyLicense', market: 'alpha', good: 'widget' }).error.includes('no license'), 'Alpha needs no license');
+  state = submitAction(state, { action: 'buyLicense', market: 'beta', good: 'widget' }).state;
+  state = submitAction(state, { action: 'buyLicense', market: 'beta', good: 'widget' }).state;
+  assertEqual(state.licenses.length, 1, 'Renewal should not add a second license');
+  assertEqual(state.licenses[0].expiresTurn, 16, 'Renewal should extend the term');
+  assertEqual(state.player.balance, 10000, 'Each license should be paid for');
+});
+
+test('validateState flags invalid licenses', () => {
+  const state = createGame({ seed: 20, pack: CONTRABAND_PACK });
+  state.licenses = [{ market: 'alpha', good: 'widget', expiresTurn: 5 }];
+  state.customsDeclared = 'yes';
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('licenses.0'), 'Should flag a license for an unrestricted good');
+  assert(paths.includes('customsDeclared'), 'Should flag a non-boolean declaration');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Trade Policy Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Trade Policy');
+
+// Alpha charges a 10% tariff on widgets
+const TARIFF_PACK = {
+  ...QUIET_PACK,
+  id: 'tariff',
+  MARKETS: { ...FIXTURE_PACK.MARKETS, alpha: { ...FIXTURE_PACK.MARKETS.alpha, tariffs: { widget: 0.10 } } }
+};
+
+test('tariffs are charged on buys and sells', () => {
+  const free = createGame({ seed: 21, pack: QUIET_PACK });
+  const taxed = createGame({ seed: 21, pack: TARIFF_PACK });
+  assertEqual(getTariff(taxed, 'alpha', 'widget'), 0.10, 'Starting tariff should come from MARKETS');
+
+  const buy = getFillQuote(taxed, 'widget', 2, 'buy');
+  const freeBuy = getFillQuote(free, 'widget', 2, 'buy');
+  assertEqual(buy.tariff, Math.round((freeBuy.total - freeBuy.fee) * 0.10), 'Tariff is a share of trade value');
+  assertEqual(buy.total, freeBuy.total + buy.tariff, 'Buys should cost the tariff more');
+  const sell = getFillQuote(taxed, 'widget', 2, 'sell');
+  assertEqual(sell.total, getFillQuote(free, 'widget', 2, 'sell').total - sell.tariff, 'Sells should net the tariff less');
+
+  const result = submitAction(taxed, { action: 'buy', good: 'widget', quantity: 2 });
+  assertEqual(result.state.player.balance, 1000 - buy.total, 'Buying should pay the tariff');
+  assert(result.turnSummary.includes('tariff'), 'Summary should show the tariff');
+});
+
+test('announced tariffs come into force on their turn', () => {
+  const pack = scriptedPack('fx-tariff', {
+    text: '{market} tariff of {percent}% on {good} in {delay} turns.',
+    percent: [20, 20],
+    effects: [{ type: 'policy', change: 'tariff', markets: 'rolled' }]
+  });
+  let result = submitAction(createGame({ seed: 21, pack }), { action: 'wait' });
+  const [change] = result.state.policyChanges;
+  assertEqual(change.rate, 0.2, 'Rate should come from {percent}');
+  assertEqual(getTariff(result.state, change.market, 'widget'), 0, 'Not in force yet');
+
+  let state = result.state;
+  while (state.turn < change.effectiveTurn) {
+    result = submitAction(state, { action: 'wait' });
+    state = result.state;
+  }
+  assertEqual(getTariff(state, change.market, 'widget'), 0.2, 'Tariff should be in force');
+  assert(result.policyChanges.some(c => c.market === change.market && c.rate === 0.2), 'Response should list the change');
+  assert(result.turnSummary.includes('New trade rules'), 'Summary should announce it');
+});
+
+test('migrating a custom-pack save takes tariffs from that pack', () => {
+  const state = createGame({ seed: 21, pack: TARIFF_PACK });
+  for (const market of Object.values(state.markets)) {
+    delete market.policy;
+    market.restricted = [];
+  }
+  delete state.policyChanges;
+  const { saveData } = migrateSaveData({ version: '1.15', state });
+  assertEqual(saveData.state.markets.alpha.policy.tariffs.widget, 0.10, 'Tariff should come from the save\'s pack');
+});
+
+test('validateState flags broken trade policy', () => {
+  const state = createGame({ seed: 21, pack: QUIET_PACK });
+  state.markets.alpha.policy.tariffs = { widget: 2 };
+  state.markets.beta.policy = null;
+  state.policyChanges = [{ market: 'atlantis', good: 'widget', change: 'sanction', effectiveTurn: 3 }];
+  const paths = validateState(state).problems.map(p => p.path);
+  assert(paths.includes('markets.alpha.policy.tariffs.widget'), 'Should flag an impossible tariff');
+  assert(paths.includes('markets.beta.policy'), 'Should flag missing policy');
+  assert(paths.includes('policyChanges.0'), 'Should flag an unknown market');
+  assert(validateState(repairState(state).state).valid, 'Repair should fix everything');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Currency Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Currencies');
+
+// Alpha trades in dollars, beta in euros at a fixed $2
+const FX_PACK = {
+  ...QUIET_PACK,
+  id: 'fx',
+  MARKETS: { ...FIXTURE_PACK.MARKETS, beta: { ...FIXTURE_PACK.MARKETS.beta, currency: 'EUR' } },
+  CURRENCIES: { USD: { id: 'USD', name: 'Dollar', symbol: '$', rate: 1, volatility: 0 }, EUR: { id: 'EUR', name: 'Euro', symbol: '€', rate: 2, volatility: 0 } }
+};
+
+function inBeta(seed = 31) {
+  const state = createGame({ seed, pack: FX_PACK });
+  state.player.location = 'beta';
+  return state;
+}
+
+test('trading outside dollar markets pays a conversion fee', () => {
+  const home = createGame({ seed: 31, pack: FX_PACK });
+  assertEqual(getFillQuote(home, 'widget', 2, 'buy').fx, 0, 'Dollar markets need no conversion');
+
+  const state = inBeta();
+  const buy = getFillQuote(state, 'widget', 2, 'buy');
+  assertEqual(buy.currency, 'EUR', 'Quote should name the local currency');
+  assertEqual(buy.fx, Math.round((buy.total - buy.fee - buy.fx) * 0.01), 'Fee is CONFIG.fxFee of trade value');
+  const result = submitAction(state, { action: 'buy', good: 'widget', quantity: 2 });
+  assertEqual(result.state.player.balance, 1000 - buy.total, 'Dollars should pay the conversion');
+  assert(result.turnSummary.includes('conversion'), 'Summary should show the conversion');
+});
+
+test('local cash pays for buys and can keep sale proceeds', () => {
+  const state = inBeta();
+  state.player.cash = { EUR: 5000 };
+  const buy = getFillQuote(state, 'widget', 2, 'buy');
+  assertEqual(buy.fx, 0, 'Paying in euros skips the conversion');
+  assertEqual(buy.cash, Math.round(buy.total / 2), 'Euros paid at the rate');
+  let result = submitAction(state, { action: 'buy', good: 'widget', quantity: 2 });
+  assertEqual(result.state.player.balance, 1000, 'Dollars should be untouched');
+  assertEqual(result.state.player.cash.EUR, 5000 - buy.cash, 'Euros should pay');
+
+  const sell = getFillQuote(result.state, 'widget', 2, 'sell', { keepLocal: true });
+  result = submitAction(result.state, { action: 'sell', good: 'widget', quantity: 2, keepLocal: true });
+  assertEqual(result.state.player.cash.EUR, 5000 - buy.cash + sell.cash, 'Proceeds kept in euros');
+  assertEqual(result.state.player.balance, 1000, 'Nothing should be converted');
+});
+
+test('exchange converts between currencies for a fee', () => {
+  const state = createGame({ seed: 31, pack: FX_PACK });
+  const quote = getExchangeQuote(state, 'USD', 'EUR', 500);
+  assertEqual(quote.fee, 5, 'Fee is CONFIG.fxFee of the dollar value');
+  assertEqual(quote.received, 247, 'Receive the rest at the rate');
+
+  let result = submitAction(state, { action: 'exchange', from: 'USD', to: 'EUR', amount: 500 });
+  assert(result.success, result.error);
+  assertEqual(result.state.player.balance, 500, 'Dollars should be spent');
+  assertEqual(result.state.player.cash.EUR, 247, 'Euros should be held');
+  assertEqual(calculateNetWorth(result.state), 500 + 247 * 2, 'Net worth counts euros in dollars');
+
+  result = submitAction(result.state, { action: 'exchange', from: 'EUR', to: 'USD', amount: 247 });
+  assert(!('EUR' in result.state.player.cash), 'Emptied currencies should be dropped');
+  assert(!submitAction(result.state, { action: 'exchange', from: 'EUR', to: 'USD', amount: 1 }).success, 'No euros left');
+  assert(!submitAction(result.state, { action: 'exchange', from: 'USD', to: 'GBP', amount: 1 }).success, 'Unknown currency');
+});
+
+test('exchange rates drift each turn around their level', () => {
+  let state = createGame({ seed: 31 });
+  assertEqual(getExchangeRate(state, 'USD'), 1, 'Dollars are the base');
+  assertEqual(getExchangeRate(state, 'CNY'), 0.14, 'Rates start at their CURRENCIES level');
+  let moved = false;
+  for (let i = 0; i < 5; i++) {
+    const result = submitAction(state, { action: 'wait' });
+    state = result.state;
+    moved = moved || result.fxChanges.EUR.new !== result.fxChanges.EUR.old;
+    assert(state.fxRates.CNY >= 0.14 * 0.7 && state.fxRates.CNY <= 0.14 * 1.3, 'Rates should stay near their level');
+  }
+  assert(moved, 'Rates should move');
+});
+
+test('migrating a custom-pack save takes currencies from that pack', () => {
+  const state = createGame({ seed: 31, pack: FX_PACK });
+  delete state.fxRates;
+  delete state.player.cash;
+  const { saveData } = migrateSaveData({ version: '1.16', state });
+  assertEqual(JSON.stringify(saveData.state.fxRates), JSON.stringify({ EUR: 2 }), 'Only the pack\'s currencies should get rates');
+  assert(validateState(saveData.state).valid, 'Migrated state should validate');
+});
+
+test('validateState flags bad exchange rates and foreign cash', () => {
+  const state = createGame({ seed: 31, pack: FX_PACK });
+  state.fxRates.EUR = -1;
+  state.fxRates.GBP = 1.3;
+  state.player.cash = { EUR: 'lots', JPY: 100 };
+  const paths = validateState(state).problems.map(p => p.path);
+  for (const path of ['fxRates.EUR', 'fxRates.GBP', 'player.cash.EUR', 'player.cash.JPY']) {
+    assert(paths.includes(path), `Should flag ${path}`);
+  }
+  assert(validateState(repairState(state).state).valid, 'Repair should fix everything');
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Oracle Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+section('Oracle');
+
+function withOracle(state, overrides = {}) {
+  state.oraclePrediction = {
+    text: 'I sense Widget prices will surge within 2 turns...',
+    type: 'price_up',
+    good: 'widget',
+    market: 'alpha',
+    accuracy: 1,
+    cost: 500,
+    isFree: false,
+    hint: 'The winds favor the patient trader...',
+    revealed: false,
+    ...overrides
+  };
+  return state;
+}
+
+test('consultOracle needs the Oracle to be present', () => {
+  const state = createGame({ pack: QUIET_PACK });
+  state.oraclePrediction = null;
+  const result = submitAction(state, { action: 'consultOracle' });
+  assert(!result.success, 'Should fail without an offer');
+});
+
+test('consulting charges the cost and reveals the prediction once', () => {
+  const state = withOracle(createGame({ seed: 10, pack: QUIET_PACK }));
+  const result = submitAction(state, { action: 'consultOracle' });
+  assert(result.success, 'Consult should succeed');
+  assertEqual(result.state.player.balance, 500, 'Should pay the cost');
+  assertEqual(result.oracleMessage.text, state.oraclePrediction.text, 'Response should reveal the text');
+  assertEqual(result.state.turn, 1, 'Consulting should not advance the turn');
+  assert(result.state.pendingEvents.some(e => e.type === 'prophecy'), 'Prophecy should be scheduled');
+
+  const again = submitAction(result.state, { action: 'consultOracle' });
+  assert(!again.success, 'Cannot consult twice');
+});
+
+test('free offers cost nothing', () => {
+  const state = withOracle(createGame({ seed: 10, pack: QUIET_PACK }), { isFree: true });
+  const result = submitAction(state, { action: 'consultOracle' });
+  assertEqual(result.state.player.balance, 1000, 'Balance should be unchanged');
+});
+
+test('prophecies come true with the stated accuracy', () => {
+  const sure = submitAction(withOracle(createGame({ seed: 11, pack: QUIET_PACK })), { action: 'consultOracle' });
+  assertEqual(sure.state.pendingEvents[0].accurate, true, '100% accuracy should come true');
+  const never = submitAction(withOracle(createGame({ seed: 11, pack: QUIET_PACK }), { accuracy: 0 }), { action: 'consultOracle' });
+  assertEqual(never.state.pendingEvents[0].accurate, false, '0% accuracy should not');
+});
+
+test('a true prophecy applies its effects when due', () => {
+  const prophecy = { type: 'prophecy', prediction: 'price_up', text: 'Surge!', good: 'widget', market: 'alpha', turnsRemaining: 1 };
+
+  let state = createGame({ seed: 12, pack: QUIET_PACK });
+  state.pendingEvents = [{ ...prophecy, accurate: true }];
+  let result = submitAction(state, { action: 'wait' });
+  const event = result.events.find(e => e.type === 'oracle');
+  assert(event, 'Oracle event should be reported');
+  assertEqual(result.priceChanges.alpha.widget.old, Math.round(150 * (1 + event.percent / 100)), 'Price should surge');
+
+  state = createGame({ seed: 12, pack: QUIET_PACK });
+  state.pendingEvents = [{ ...prophecy, accurate: false }];
+  result = submitAction(state, { action: 'wait' });
+  assertEqual(result.priceChanges.alpha.widget.old, 150, 'False prophecy should do nothing');
+  assert(result.turnSummary.includes('did not come to pass'), 'Summary should say so');
+});
+
+test('customs prophecies crack down on the named market', () => {
+  const state = createGame({ seed: 13, pack: QUIET_PACK });
+  state.pendingEvents = [{ type: 'prophecy', prediction: 'customs', text: 'Customs!', good: 'widget', market: 'beta', accurate: true, turnsRemaining: 1 }];
+  const result = submitAction(state, { action: 'wait' });
+  assert(getCustomsRisk(result.state, 'beta') > 0, 'Beta customs risk should rise');
+});
+
+test('unbought offers vanish when the turn ends', () => {
+  const state = withOracle(createGame({ seed: 14, pack: QUIET_PACK }));
+  const result = submitAction(state, { action: 'wait' });
+  const offer = result.state.oraclePrediction;
+  assert(offer === null || offer.revealed === false, 'Old offer should be replaced');
+  assert(!offer || result.oracleMessage.hint, 'A new offer should only show its hint');
+  assertEqual(result.oracleMessage?.text, undefined, 'Prediction text should stay hidden');
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Integration Test: Full Game Flow
 // ─────────────────────────────────────────────────────────────────────────────
@@ -771,46 +2770,51 @@ test('cannot perform other actions while choice is pending', () => {
 section('Integration: Full Game Flow');
 
 test('can play through multiple turns', () => {
-  // Use deterministic random to avoid random customs seizures
-  withDeterministicRandom(42, () => {
-    let state = createGame();
+  // Fixed seed avoids random customs seizures
+  let state = createGame({ seed: 42 });
 
-    // Buy some compute
-    let result = submitAction(state, { action: 'buy', good: 'compute', quantity: 5 });
-    assert(result.success, 'Buy compute should succeed');
-    state = result.state;
-    assertEqual(state.turn, 1, 'Turn should still be 1');
+  // Buy some compute
+  let result = submitAction(state, { action: 'buy', good: 'compute', quantity: 5 });
+  assert(result.success, 'Buy compute should succeed');
+  state = result.state;
+  assertEqual(state.turn, 1, 'Turn should still be 1');
 
-    // Travel to Singapore (higher prices)
-    result = submitAction(state, { action: 'travel', destination: 'singapore' });
-    // Handle choice events if they occur
-    if (result.choiceEvent) {
-      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
-    }
-    assert(result.success, 'Travel should succeed');
+  // Travel to Singapore (higher prices, two turns away)
+  result = submitAction(state, { action: 'travel', destination: 'singapore' });
+  // Handle choice events if they occur
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assert(result.success, 'Travel should succeed');
+  state = result.state;
+  while (state.travelingTo) {
+    state = submitAction(state, { action: 'wait' }).state;
+  }
+  assertEqual(state.turn, 3, 'Turn should be 3');
+  assertEqual(state.player.location, 'singapore', 'Should be in singapore');
+
+  // Sell whatever compute we still have (might have lost some to customs)
+  const computeOwned = state.player.inventory.compute || 0;
+  if (computeOwned > 0) {
+    result = submitAction(state, { action: 'sell', good: 'compute', quantity: computeOwned });
+    assert(result.success, 'Sell should succeed');
     state = result.state;
-    assertEqual(state.turn, 2, 'Turn should be 2');
-    assertEqual(state.player.location, 'singapore', 'Should be in singapore');
-
-    // Sell whatever compute we still have (might have lost some to customs)
-    const computeOwned = state.player.inventory.compute || 0;
-    if (computeOwned > 0) {
-      result = submitAction(state, { action: 'sell', good: 'compute', quantity: computeOwned });
-      assert(result.success, 'Sell should succeed');
-      state = result.state;
-      assertEqual(state.turn, 2, 'Turn should still be 2');
-    }
+    assertEqual(state.turn, 3, 'Turn should still be 3');
+  }
 
-    // Travel back
-    result = submitAction(state, { action: 'travel', destination: 'us-west' });
-    // Handle choice events if they occur
-    if (result.choiceEvent) {
-      result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
-    }
-    assert(result.success, 'Travel back should succeed');
-    state = result.state;
-    assertEqual(state.turn, 3, 'Turn should be 3');
-  });
+  // Travel back
+  result = submitAction(state, { action: 'travel', destination: 'us-west' });
+  // Handle choice events if they occur
+  if (result.choiceEvent) {
+    result = submitAction(result.state, { action: 'resolveChoice', choiceId: 'decline' });
+  }
+  assert(result.success, 'Travel back should succeed');
+  state = result.state;
+  while (state.travelingTo) {
+    state = submitAction(state, { action: 'wait' }).state;
+  }
+  assertEqual(state.turn, 5, 'Turn should be 5');
+  assertEqual(state.player.location, 'us-west', 'Should be back in us-west');
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -3,20 +3,46 @@
 // DOM rendering and event handling
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { GOODS, MARKETS, SUPPLY_LEVELS, UPGRADES, ASCII, TRAVEL_CHOICES } from './data.js';
+import { ASCII } from './data.js';
 import {
   createGame,
   submitAction,
   calculateNetWorth,
   calculateInventoryUsed,
   calculateAverageCost,
+  getCargoCapacity,
+  getWarehouseSpec,
+  getGlobalPrice,
+  getOptionPremium,
+  getSpotPrice,
+  getFillQuote,
+  getMaxBuyQuantity,
   getAvailableActions,
   getMaxBorrowable,
+  getLoanStatus,
+  getSavingsRate,
+  getReputation,
+  isSanctioned,
+  describePolicyChange,
+  getSavingsTotal,
+  getMarketCurrency,
+  getExchangeRate,
+  getExchangeQuote,
+  getForeignCashValue,
+  formatCash,
   getEffectiveBuyPrice,
   getEffectiveSellPrice,
   getAtRiskGoods,
+  getActiveConditions,
+  getOracleTeaser,
+  getShippingMode,
+  getTripQuote,
+  getContentPack,
   createSaveData,
   validateSaveData,
+  migrateSaveData,
+  validateState,
+  repairState,
   SAVE_VERSION
 } from './engine.js';
 
@@ -27,6 +53,7 @@ import {
 let gameState = null;
 let eventLog = [];
 let travelingTo = null;  // UI state for travel animation
+let selectedShippingMode = null;  // null = the pack's default mode
 const MAX_LOG_ENTRIES = 50;
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -57,6 +84,7 @@ function escapeHtml(text) {
 }
 
 function renderSparkline(prices, goodId, hasDiscount = false, hasPremium = false) {
+  const { GOODS } = getContentPack(gameState);
   const width = 70; // Wider to fit indicator
   const height = 20;
   const padding = 2;
@@ -115,6 +143,7 @@ function renderSparkline(prices, goodId, hasDiscount = false, hasPremium = false
 }
 
 function getPriceClass(price, good) {
+  const { GOODS } = getContentPack(gameState);
   const goodData = GOODS[good];
   const avg = (goodData.baseMin + goodData.baseMax) / 2;
   if (price < avg * 0.9) return 'price-low';
@@ -127,6 +156,7 @@ function getPriceClass(price, good) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 function renderHeader() {
+  const { MARKETS } = getContentPack(gameState);
   const netWorth = calculateNetWorth(gameState);
   const netWorthClass = netWorth >= 0 ? 'positive' : 'negative';
 
@@ -155,27 +185,22 @@ function renderHeader() {
 }
 
 function renderPlayerPanel() {
+  const { GOODS, MARKETS, CONFIG } = getContentPack(gameState);
   const inventoryUsed = calculateInventoryUsed(gameState.player.inventory);
   const debtClass = gameState.player.debt > 0 ? 'negative' : '';
   const market = gameState.markets[gameState.player.location];
 
-  // Calculate bankruptcy risk
+  // Bankruptcy risk: how close debt is to the point where checkGameOver
+  // calls it (debt > bankruptcyMultiplier x net worth, or no net worth left)
   const netWorth = calculateNetWorth(gameState);
-  const inventoryValue = Object.entries(gameState.player.inventory).reduce((sum, [goodId, qty]) => {
-    return sum + (market.prices[goodId] || 0) * qty;
-  }, 0);
-  const totalAssets = gameState.player.balance + inventoryValue;
   const debt = gameState.player.debt;
 
-  // Bankruptcy triggers at debt > 75% of assets
-  // Risk = how close we are to that threshold
   let riskPercent = 0;
   let riskLevel = 'safe';
   let riskClass = 'risk-safe';
 
-  if (debt > 0 && totalAssets > 0) {
-    const debtRatio = debt / totalAssets;
-    riskPercent = Math.round((debtRatio / 0.75) * 100); // % of way to bankruptcy
+  if (debt > 0) {
+    riskPercent = netWorth > 0 ? Math.round(debt / (netWorth * CONFIG.bankruptcyMultiplier) * 100) : 100;
 
     if (riskPercent >= 100) {
       riskLevel = 'BANKRUPT';
@@ -222,6 +247,13 @@ function renderPlayerPanel() {
     }
   }
 
+  // Standing where the player is, and how much customs is watching
+  const reputation = getReputation(gameState, gameState.travelingTo || gameState.player.location);
+  const heat = gameState.player.heat;
+  const heatShare = heat / CONFIG.heatMax;
+  const foreignCash = getForeignCashValue(gameState);
+  const heatClass = heatShare >= 0.75 ? 'risk-critical' : heatShare >= 0.5 ? 'risk-high' : heatShare >= 0.25 ? 'risk-moderate' : 'risk-safe';
+
   return `
     <div class="panel player-panel">
       <div class="panel-header">┌─ PLAYER STATUS ─┐</div>
@@ -230,10 +262,29 @@ function renderPlayerPanel() {
           <span class="label">Balance:</span>
           <span class="value positive">${formatMoneyFull(gameState.player.balance)}</span>
         </div>
+        <div class="stat-row">
+          <span class="label">Savings:</span>
+          <span class="value">${formatMoneyFull(getSavingsTotal(gameState))}</span>
+          <span class="interest">(${(getSavingsRate(gameState, gameState.player.location) * 100).toFixed(1)}%/turn here)</span>
+        </div>
+        <div class="savings-actions">
+          <button class="btn btn-small" id="btn-bank-deposit" ${gameState.travelingTo || gameState.player.balance <= 0 ? 'disabled' : ''}>DEPOSIT</button>
+          <button class="btn btn-small" id="btn-bank-withdraw" ${gameState.travelingTo || !gameState.savings[gameState.player.location] ? 'disabled' : ''}>WITHDRAW</button>
+        </div>
+        ${Object.keys(gameState.fxRates).length > 0 ? `
+        <div class="stat-row">
+          <span class="label">FX Cash:</span>
+          <span class="value">${Object.entries(gameState.player.cash).map(([currency, amount]) => formatCash(gameState, currency, amount)).join(' · ') || 'none'}</span>
+          ${foreignCash > 0 ? `<span class="interest">(${formatMoney(foreignCash)})</span>` : ''}
+        </div>
+        <div class="savings-actions">
+          <button class="btn btn-small" id="btn-exchange">EXCHANGE</button>
+        </div>
+        ` : ''}
         <div class="stat-row">
           <span class="label">Debt:</span>
           <span class="value ${debtClass}">${formatMoneyFull(gameState.player.debt)}</span>
-          ${gameState.player.debt > 0 ? `<span class="interest">(${(gameState.player.debtInterestRate * 100).toFixed(0)}%/turn)</span>` : ''}
+          ${gameState.loans.length > 0 ? `<span class="interest">(${gameState.loans.length} loan${gameState.loans.length === 1 ? '' : 's'})</span>` : ''}
         </div>
         ${debt > 0 ? `
         <div class="stat-row bankruptcy-risk">
@@ -246,12 +297,33 @@ function renderPlayerPanel() {
         ` : ''}
         <div class="stat-row">
           <span class="label">Cargo:</span>
-          <span class="value">${inventoryUsed}/${gameState.player.inventoryCapacity}</span>
+          <span class="value">${inventoryUsed}/${getCargoCapacity(gameState)}</span>
         </div>
         <div class="stat-row">
           <span class="label">Reputation:</span>
-          <span class="value">${gameState.player.reputation}</span>
+          <span class="value">${reputation}</span>
+          ${reputation !== gameState.player.reputation ? `<span class="interest">(${gameState.player.reputation} elsewhere)</span>` : ''}
+        </div>
+        <div class="stat-row">
+          <span class="label">Heat:</span>
+          <span class="risk-bar" title="Raises customs and seizure odds; cools each turn">
+            <span class="risk-fill ${heatClass}" style="width: ${Math.round(heat / CONFIG.heatMax * 100)}%"></span>
+          </span>
+          <span class="interest">${heat}</span>
         </div>
+        ${gameState.licenses.map(l => `
+        <div class="stat-row">
+          <span class="label">License:</span>
+          <span class="value">${GOODS[l.good].name} → ${MARKETS[l.market].name}</span>
+          <span class="interest">(to T${l.expiresTurn})</span>
+        </div>
+        `).join('')}
+        ${gameState.stats.restructurings > 0 ? `
+        <div class="stat-row">
+          <span class="label">Restructured:</span>
+          <span class="value negative">${gameState.stats.restructurings}/${CONFIG.maxRestructurings}</span>
+        </div>
+        ` : ''}
         <div class="divider">├─ INVENTORY ─────┤</div>
         <div class="inventory-list">
           ${inventoryHtml}
@@ -261,16 +333,44 @@ function renderPlayerPanel() {
   `;
 }
 
+// One-line summary of what a market condition does
+function describeCondition(condition, GOODS) {
+  const goods = (condition.goods || []).map(g => GOODS[g].name).join(', ');
+  if (condition.kind === 'customs') {
+    return `Customs risk +${Math.round(condition.delta * 100)}%`;
+  }
+  if (condition.kind === 'volatility') {
+    return `${goods} volatility x${condition.factor}`;
+  }
+  const percent = Math.round((condition.factor - 1) * 100);
+  return `${goods} base price ${percent >= 0 ? '+' : ''}${percent}%`;
+}
+
 function renderMarketPanel() {
+  const { GOODS, MARKETS, SUPPLY_LEVELS, CONFIG } = getContentPack(gameState);
   const market = gameState.markets[gameState.player.location];
   const marketData = MARKETS[market.id];
+  const brokerageFee = marketData.brokerageFee ?? CONFIG.defaultBrokerageFee;
+  const currency = getMarketCurrency(gameState, market.id);
+
+  if (gameState.travelingTo) {
+    return `
+      <div class="panel market-panel">
+        <div class="market-title">
+          <span class="market-name">▓▓▓ IN TRANSIT ▓▓▓</span>
+          <span class="market-subtitle">${marketData.name} → ${MARKETS[gameState.travelingTo].name}</span>
+        </div>
+        <div class="transit-note">No market on the road. Trading resumes when you arrive.</div>
+      </div>
+    `;
+  }
 
   let goodsHtml = '';
   for (const [goodId, good] of Object.entries(GOODS)) {
-    const basePrice = market.prices[goodId];
+    const basePrice = getSpotPrice(gameState, market.id, goodId);
     const supply = market.supply[goodId];
     const supplyData = SUPPLY_LEVELS[supply];
-    const isRestricted = market.restricted.includes(goodId);
+    const isRestricted = isSanctioned(gameState, market.id, goodId);
 
     // Check for active discounts/premiums
     const buyInfo = getEffectiveBuyPrice(gameState, goodId);
@@ -278,35 +378,32 @@ function renderMarketPanel() {
 
     const owned = gameState.player.inventory[goodId] || 0;
     const canAfford = gameState.player.balance >= buyInfo.price;
-    const hasSpace = calculateInventoryUsed(gameState.player.inventory) < gameState.player.inventoryCapacity;
+    const hasSpace = calculateInventoryUsed(gameState.player.inventory) < getCargoCapacity(gameState);
 
     const priceHistory = market.priceHistory?.[goodId] || [];
 
-    // Build price display with discount/premium indicators
-    let priceHtml;
-    if (buyInfo.discount > 0) {
-      priceHtml = `<span class="base-price strikethrough">${formatMoneyFull(basePrice)}</span>
-                   <span class="discount-price">${formatMoneyFull(buyInfo.price)}</span>
-                   <span class="discount-badge">-${buyInfo.discount}%</span>`;
-    } else if (sellInfo.premium > 0) {
-      priceHtml = `<span class="base-price strikethrough">${formatMoneyFull(basePrice)}</span>
-                   <span class="premium-price">${formatMoneyFull(sellInfo.price)}</span>
-                   <span class="premium-badge">+${sellInfo.premium}%</span>`;
-    } else {
-      const priceClass = getPriceClass(basePrice, goodId);
-      priceHtml = `<span class="${priceClass}">${formatMoneyFull(basePrice)}</span>`;
-    }
+    // Build BUY (ask) and SELL (bid) displays with discount/premium indicators
+    const priceClass = getPriceClass(basePrice, goodId);
+    const buyHtml = buyInfo.discount > 0
+      ? `<span class="discount-price">${formatMoneyFull(buyInfo.price)}</span>
+         <span class="discount-badge">-${buyInfo.discount}%</span>`
+      : `<span class="${priceClass}">${formatMoneyFull(buyInfo.price)}</span>`;
+    const sellHtml = sellInfo.premium > 0
+      ? `<span class="premium-price">${formatMoneyFull(sellInfo.price)}</span>
+         <span class="premium-badge">+${sellInfo.premium}%</span>`
+      : `<span class="${priceClass}">${formatMoneyFull(sellInfo.price)}</span>`;
 
     goodsHtml += `
       <div class="market-row ${isRestricted ? 'restricted' : ''}">
         <span class="good-icon">${good.icon}</span>
         <span class="good-name">${good.name}</span>
-        <span class="good-price">${priceHtml}</span>
+        <span class="good-price">${buyHtml}</span>
+        <span class="good-price">${sellHtml}</span>
         <span class="good-supply ${supply}">${supplyData.icon}</span>
         <span class="good-sparkline">${renderSparkline(priceHistory, goodId, buyInfo.discount > 0, sellInfo.premium > 0)}</span>
         <div class="good-actions">
           ${isRestricted
-            ? '<span class="restricted-label">[RESTRICTED]</span>'
+            ? '<span class="restricted-label">[SANCTIONED]</span>'
             : `
               <button class="btn btn-buy" ${!canAfford || !hasSpace ? 'disabled' : ''} data-good="${goodId}">BUY</button>
               <button class="btn btn-sell" ${owned === 0 ? 'disabled' : ''} data-good="${goodId}">SELL</button>
@@ -317,6 +414,20 @@ function renderMarketPanel() {
     `;
   }
 
+  const conditions = getActiveConditions(gameState, market.id);
+  const conditionsHtml = conditions.length === 0 ? '' : `
+    <div class="market-conditions">
+      <div class="conditions-header">ACTIVE CONDITIONS</div>
+      ${conditions.map(c => `
+        <div class="condition-row condition-${c.kind}">
+          <span class="condition-title">${escapeHtml(c.title)}</span>
+          <span class="condition-effect">${describeCondition(c, GOODS)}</span>
+          <span class="condition-turns">${c.turnsRemaining} turn${c.turnsRemaining === 1 ? '' : 's'}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
   return `
     <div class="panel market-panel">
       <div class="panel-header">
@@ -325,6 +436,7 @@ function renderMarketPanel() {
       <div class="market-title">
         <span class="market-name">▓▓▓ ${marketData.name.toUpperCase()} ▓▓▓</span>
         <span class="market-subtitle">${marketData.subtitle}</span>
+        ${currency !== CONFIG.baseCurrency ? `<span class="market-currency">Trades in ${currency} · ${formatCash(gameState, currency, 1)} = $${getExchangeRate(gameState, currency).toFixed(4)}</span>` : ''}
       </div>
       <div class="panel-header">
         ╚════════════════════════════════════════════════╝
@@ -333,18 +445,22 @@ function renderMarketPanel() {
         <div class="market-header-row">
           <span class="col-icon"></span>
           <span class="col-name">GOOD</span>
-          <span class="col-price">PRICE</span>
+          <span class="col-price">BUY</span>
+          <span class="col-price">SELL</span>
           <span class="col-supply">SUPPLY</span>
           <span class="col-sparkline">TREND</span>
           <span class="col-actions">ACTIONS</span>
         </div>
         ${goodsHtml}
       </div>
+      <div class="market-fees">Prices in ${CONFIG.baseCurrency} include spread, ${(brokerageFee * 100).toFixed(1)}% brokerage and any tariff${currency !== CONFIG.baseCurrency ? `, plus ${(CONFIG.fxFee * 100).toFixed(1)}% conversion unless settled in ${currency} cash` : ''}</div>
+      ${conditionsHtml}
     </div>
   `;
 }
 
 function renderTravelPanel() {
+  const { MARKETS } = getContentPack(gameState);
   // Show traveling animation if in progress
   if (travelingTo) {
     const dest = MARKETS[travelingTo];
@@ -359,12 +475,45 @@ function renderTravelPanel() {
     `;
   }
 
+  // In transit on a multi-turn route
+  if (gameState.travelingTo) {
+    const dest = MARKETS[gameState.travelingTo];
+    const { turns } = getTripQuote(gameState, gameState.travelingTo, gameState.shippingMode);
+    const left = gameState.travelTurnsRemaining;
+    const done = Math.min(10, Math.max(0, Math.round(((turns - left) / turns) * 10)));
+    return `
+      <div class="panel travel-panel">
+        <div class="panel-header">┌─ IN TRANSIT ────┐</div>
+        <div class="traveling-status">
+          <div class="travel-progress">${'▓'.repeat(done)}${'░'.repeat(10 - done)}</div>
+          <div class="travel-dest">En route to ${dest.name}</div>
+          <div class="travel-hint">ETA: ${left} turn${left === 1 ? '' : 's'} — WAIT to continue</div>
+        </div>
+      </div>
+    `;
+  }
+
+  const { SHIPPING_MODES } = getContentPack(gameState);
+  const mode = getShippingMode(gameState, selectedShippingMode);
+
+  let modesHtml = '';
+  for (const [modeId, shipping] of Object.entries(SHIPPING_MODES)) {
+    modesHtml += `
+      <button class="btn btn-mode ${modeId === mode.id ? 'active' : ''}" data-mode="${modeId}" title="${escapeHtml(shipping.description)}">
+        ${shipping.icon} ${shipping.name.split(' ')[0].toUpperCase()}
+      </button>
+    `;
+  }
+
   let buttonsHtml = '';
   for (const [marketId, market] of Object.entries(MARKETS)) {
     if (marketId !== gameState.player.location) {
+      const quote = getTripQuote(gameState, marketId, mode.id);
+      const canGo = quote.fits && gameState.player.balance >= quote.cost;
       buttonsHtml += `
-        <button class="btn btn-travel" data-destination="${marketId}">
-          ${market.name}
+        <button class="btn btn-travel" data-destination="${marketId}" ${!canGo ? 'disabled' : ''}>
+          <span class="travel-name">${market.name}</span>
+          <span class="travel-route">${quote.turns}T · ${quote.cost > 0 ? formatMoney(quote.cost) : 'free'}</span>
         </button>
       `;
     }
@@ -373,10 +522,244 @@ function renderTravelPanel() {
   return `
     <div class="panel travel-panel">
       <div class="panel-header">┌─ TRAVEL TO ─────┐</div>
+      <div class="shipping-modes">
+        ${modesHtml}
+      </div>
       <div class="travel-buttons">
         ${buttonsHtml}
       </div>
-      <div class="travel-note">Travel takes 1 turn</div>
+      <div class="travel-note">
+        ${mode.name}: customs x${mode.customsMultiplier}, ${Math.round(mode.damageChance * 100)}% damage risk${mode.maxUnits ? `, max ${mode.maxUnits} units` : ''}
+      </div>
+      <div class="travel-note">T = turns to arrive · fare + freight paid on departure</div>
+    </div>
+  `;
+}
+
+function renderOraclePanel() {
+  const teaser = getOracleTeaser(gameState);
+  const prophecies = gameState.pendingEvents.filter(e => e.type === 'prophecy');
+  if (!teaser && prophecies.length === 0) return '';
+
+  let offerHtml = '';
+  if (teaser && !teaser.revealed) {
+    const canAfford = teaser.isFree || gameState.player.balance >= teaser.cost;
+    offerHtml = `
+      <div class="oracle-name">${teaser.icon} ${teaser.name} appears</div>
+      <div class="oracle-hint">"${escapeHtml(teaser.hint || '...')}"</div>
+      <button class="btn btn-oracle" id="btn-oracle" ${!canAfford ? 'disabled' : ''}>
+        ${teaser.isFree ? 'LISTEN (FREE)' : `CONSULT (${formatMoney(teaser.cost)})`}
+      </button>
+    `;
+  } else if (teaser) {
+    const offer = gameState.oraclePrediction;
+    offerHtml = `
+      <div class="oracle-name">${teaser.icon} ${teaser.name} has spoken</div>
+      <div class="oracle-prophecy">"${escapeHtml(offer.text)}"</div>
+      <div class="oracle-accuracy">${Math.round(offer.accuracy * 100)}% certain</div>
+    `;
+  }
+
+  const pendingHtml = prophecies.map(p => `
+    <div class="oracle-pending">▸ ${escapeHtml(p.text)} (${p.turnsRemaining} turn${p.turnsRemaining === 1 ? '' : 's'})</div>
+  `).join('');
+
+  return `
+    <div class="panel oracle-panel">
+      <div class="panel-header">┌─ ORACLE ────────┐</div>
+      <div class="panel-content">
+        ${offerHtml}
+        ${pendingHtml}
+      </div>
+    </div>
+  `;
+}
+
+function renderWarehousePanel() {
+  const { GOODS, MARKETS } = getContentPack(gameState);
+  const here = gameState.player.location;
+  const spec = getWarehouseSpec(gameState, here);
+  const warehouse = gameState.warehouses[here];
+  const atMarket = !gameState.travelingTo;
+
+  let hereHtml = '';
+  if (atMarket && warehouse) {
+    const used = calculateInventoryUsed(warehouse.inventory);
+    const rows = Object.keys(GOODS).filter(g => warehouse.inventory[g] || gameState.player.inventory[g]).map(goodId => `
+      <div class="warehouse-row">
+        <span class="warehouse-good">${GOODS[goodId].name}</span>
+        <span class="warehouse-qty">${warehouse.inventory[goodId] || 0} stored</span>
+        <button class="btn btn-small btn-deposit" data-good="${goodId}" ${!gameState.player.inventory[goodId] || used >= spec.capacity ? 'disabled' : ''}>IN</button>
+        <button class="btn btn-small btn-withdraw" data-good="${goodId}" ${!warehouse.inventory[goodId] ? 'disabled' : ''}>OUT</button>
+      </div>
+    `).join('');
+    hereHtml = `
+      <div class="warehouse-title">${MARKETS[here].name}: ${used}/${spec.capacity} slots · ${formatMoney(spec.rent)}/turn</div>
+      ${rows || '<div class="warehouse-note">Empty. Nothing in cargo to store.</div>'}
+      ${used === 0 ? `<button class="btn btn-small btn-release-warehouse" data-market="${here}">GIVE UP</button>` : ''}
+    `;
+  } else if (atMarket && spec) {
+    hereHtml = `
+      <div class="warehouse-note">${spec.capacity} slots for ${formatMoney(spec.rent)}/turn · ${Math.round(spec.raidRisk * 100)}% raid risk</div>
+      <button class="btn btn-rent-warehouse" id="btn-rent-warehouse">RENT HERE</button>
+    `;
+  }
+
+  const elsewhere = Object.entries(gameState.warehouses).filter(([marketId]) => marketId !== here || !atMarket);
+  const elsewhereHtml = elsewhere.map(([marketId, stored]) => {
+    const contents = Object.entries(stored.inventory).map(([g, q]) => `${q}x ${GOODS[g].name}`).join(', ');
+    return `<div class="warehouse-note">▸ ${MARKETS[marketId].name}: ${contents || 'empty'}</div>`;
+  }).join('');
+
+  if (!hereHtml && !elsewhereHtml) return '';
+
+  return `
+    <div class="panel warehouse-panel">
+      <div class="panel-header">┌─ WAREHOUSES ────┐</div>
+      <div class="panel-content">
+        ${hereHtml}
+        ${elsewhereHtml}
+      </div>
+    </div>
+  `;
+}
+
+function renderOrdersPanel() {
+  const { GOODS, MARKETS, CONFIG } = getContentPack(gameState);
+  const orders = gameState.limitOrders;
+
+  const ordersHtml = orders.map(order => `
+    <div class="order-row order-${order.side}">
+      <span class="order-desc">#${order.id} ${order.side.toUpperCase()} ${order.quantity}x ${GOODS[order.good].name}</span>
+      <button class="btn btn-small btn-cancel-order" data-order="${order.id}" title="Cancel order">✕</button>
+      <span class="order-where">${MARKETS[order.market].name} @ ${formatMoney(order.limitPrice)} · until T${order.expiresTurn}</span>
+    </div>
+  `).join('');
+
+  return `
+    <div class="panel orders-panel">
+      <div class="panel-header">┌─ ORDERS ────────┐</div>
+      <div class="panel-content">
+        ${ordersHtml || '<div class="order-empty">No standing orders.</div>'}
+        <button class="btn btn-new-order" id="btn-new-order" ${orders.length >= CONFIG.maxLimitOrders ? 'disabled' : ''}>
+          NEW ORDER
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function renderDerivativesPanel() {
+  const { GOODS, CONFIG } = getContentPack(gameState);
+  const positions = gameState.positions;
+
+  const positionsHtml = positions.map(position => {
+    const label = position.type === 'future'
+      ? `${position.side.toUpperCase()} ${position.quantity}x ${GOODS[position.good].name} FUT @ ${formatMoney(position.entryPrice)}`
+      : `${position.quantity}x ${GOODS[position.good].name} ${position.type.toUpperCase()} ${formatMoney(position.strike)}`;
+    const value = position.type === 'future'
+      ? `margin ${formatMoney(position.margin)}`
+      : `pays ${formatMoney(Math.max(0, (position.type === 'call' ? 1 : -1) * (getGlobalPrice(gameState, position.good) - position.strike)) * position.quantity)}`;
+    return `
+      <div class="position-row">
+        <span class="position-desc">#${position.id} ${label}</span>
+        <button class="btn btn-small btn-close-position" data-position="${position.id}" title="Close position">✕</button>
+        <span class="position-value">${value} · expires T${position.expiresTurn}</span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="panel derivatives-panel">
+      <div class="panel-header">┌─ DERIVATIVES ───┐</div>
+      <div class="panel-content">
+        ${positionsHtml || '<div class="position-empty">No open positions.</div>'}
+        <button class="btn btn-new-position" id="btn-new-position" ${positions.length >= CONFIG.maxPositions ? 'disabled' : ''}>
+          NEW POSITION
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function renderContractsPanel() {
+  const { GOODS, MARKETS, CONFIG } = getContentPack(gameState);
+  const atMarket = !gameState.travelingTo;
+  const offers = atMarket ? gameState.markets[gameState.player.location].contractOffers : [];
+  const canSign = gameState.contracts.length < CONFIG.maxContracts &&
+    getReputation(gameState, gameState.player.location) >= CONFIG.contractMinReputation;
+
+  const offersHtml = offers.map(offer => `
+    <div class="contract-row">
+      <span class="contract-terms">
+        ${escapeHtml(offer.counterparty)}: ${offer.quantity}x ${GOODS[offer.good].name} → ${MARKETS[offer.destination].name}
+        by T${offer.deadline} @ ${formatMoney(offer.price)}
+      </span>
+      <span class="contract-money">Deposit ${formatMoney(offer.deposit)} · Penalty ${formatMoney(offer.penalty)}</span>
+      <button class="btn btn-small btn-accept-contract" data-contract="${offer.id}"
+              ${!canSign || offer.deposit > gameState.player.balance ? 'disabled' : ''}>SIGN</button>
+    </div>
+  `).join('');
+
+  const activeHtml = gameState.contracts.map(contract => {
+    const turnsLeft = contract.deadline - gameState.turn;
+    const canDeliver = atMarket && contract.destination === gameState.player.location &&
+      (gameState.player.inventory[contract.good] || 0) >= contract.quantity;
+    return `
+      <div class="contract-row contract-active ${turnsLeft <= 1 ? 'contract-due' : ''}">
+        <span class="contract-terms">
+          ${contract.quantity}x ${GOODS[contract.good].name} → ${MARKETS[contract.destination].name} for ${escapeHtml(contract.counterparty)}
+        </span>
+        <span class="contract-money">${formatMoney(contract.price * contract.quantity)} · ${turnsLeft === 0 ? 'due this turn' : `${turnsLeft} turn${turnsLeft === 1 ? '' : 's'} left`}</span>
+        <button class="btn btn-small btn-deliver-contract" data-contract="${contract.id}" ${!canDeliver ? 'disabled' : ''}>DELIVER</button>
+      </div>
+    `;
+  }).join('');
+
+  if (!offersHtml && !activeHtml) return '';
+
+  return `
+    <div class="panel contracts-panel">
+      <div class="panel-header">┌─ CONTRACTS ─────────────────────────────────────┐</div>
+      ${activeHtml ? `<div class="contracts-subheader">YOUR CONTRACTS</div>${activeHtml}` : ''}
+      ${offersHtml ? `<div class="contracts-subheader">BOARD</div>${offersHtml}` : ''}
+    </div>
+  `;
+}
+
+// Tariffs and sanctions in force in every market, and what's been announced
+function renderPolicyPanel() {
+  const { GOODS, MARKETS } = getContentPack(gameState);
+
+  const rulesHtml = Object.keys(gameState.markets).map(marketId => {
+    const { tariffs, sanctions } = gameState.markets[marketId].policy;
+    const rules = [
+      ...Object.entries(tariffs).map(([goodId, rate]) => `${GOODS[goodId].name} ${Math.round(rate * 100)}%`),
+      ...sanctions.map(goodId => `<span class="policy-ban">${GOODS[goodId].name} banned</span>`)
+    ];
+    return `
+      <div class="policy-row ${marketId === gameState.player.location ? 'policy-here' : ''}">
+        <span class="policy-market">${MARKETS[marketId].name}</span>
+        <span class="policy-rules">${rules.length > 0 ? rules.join(' · ') : 'Free trade'}</span>
+      </div>
+    `;
+  }).join('');
+
+  const upcomingHtml = [...gameState.policyChanges]
+    .sort((a, b) => a.effectiveTurn - b.effectiveTurn)
+    .map(change => `
+      <div class="policy-row policy-upcoming">
+        <span class="policy-market">T${change.effectiveTurn}</span>
+        <span class="policy-rules">${describePolicyChange(gameState, change)}</span>
+      </div>
+    `).join('');
+
+  return `
+    <div class="panel policy-panel">
+      <div class="panel-header">┌─ TRADE POLICY ──────────────────────────────────┐</div>
+      <div class="contracts-subheader">TARIFFS &amp; SANCTIONS</div>
+      ${rulesHtml}
+      ${upcomingHtml ? `<div class="contracts-subheader">ANNOUNCED</div>${upcomingHtml}` : ''}
     </div>
   `;
 }
@@ -403,20 +786,14 @@ function renderEventLog() {
 }
 
 function renderActionBar() {
-  const maxBorrow = getMaxBorrowable(gameState);
-  const canPayDebt = gameState.player.debt > 0 && gameState.player.balance > 0;
+  const overdue = gameState.loans.some(loan => getLoanStatus(gameState, loan) !== 'current');
 
   return `
     <div class="action-bar">
-      <button class="btn btn-wait" id="btn-wait">WAIT</button>
-      <div class="action-group">
-        <button class="btn btn-borrow" id="btn-borrow" ${maxBorrow <= 0 ? 'disabled' : ''}>
-          BORROW
-        </button>
-        <button class="btn btn-pay-debt" id="btn-pay-debt" ${!canPayDebt ? 'disabled' : ''}>
-          PAY DEBT
-        </button>
-      </div>
+      <button class="btn btn-wait" id="btn-wait">${gameState.travelingTo ? 'CONTINUE' : 'WAIT'}</button>
+      <button class="btn btn-loans ${overdue ? 'overdue' : ''}" id="btn-loans">
+        LOANS${gameState.loans.length > 0 ? ` (${gameState.loans.length})` : ''}
+      </button>
       <button class="btn btn-upgrades" id="btn-upgrades">UPGRADES</button>
       <div class="action-group">
         <button class="btn btn-save" id="btn-save">SAVE</button>
@@ -440,9 +817,9 @@ function renderModal(content) {
 }
 
 function renderBuySellModal(action, goodId) {
+  const { GOODS, CONFIG } = getContentPack(gameState);
   const good = GOODS[goodId];
-  const market = gameState.markets[gameState.player.location];
-  const basePrice = market.prices[goodId];
+  const basePrice = getSpotPrice(gameState, gameState.player.location, goodId);
   const owned = gameState.player.inventory[goodId] || 0;
 
   const isBuy = action === 'buy';
@@ -454,9 +831,10 @@ function renderBuySellModal(action, goodId) {
   const hasDiscount = isBuy && buyInfo.discount > 0;
   const hasPremium = !isBuy && sellInfo.premium > 0;
 
-  const maxAfford = Math.floor(gameState.player.balance / effectivePrice);
-  const maxCapacity = gameState.player.inventoryCapacity - calculateInventoryUsed(gameState.player.inventory);
-  const maxQuantity = isBuy ? Math.min(maxAfford, maxCapacity) : owned;
+  const maxCapacity = getCargoCapacity(gameState) - calculateInventoryUsed(gameState.player.inventory);
+  const maxAfford = isBuy ? getMaxBuyQuantity(gameState, goodId) : 0;
+  const maxQuantity = isBuy ? maxAfford : owned;
+  const quote = getFillQuote(gameState, goodId, 1, action);
 
   // Cost basis info for sell modal
   const avgCost = !isBuy ? calculateAverageCost(goodId, gameState.player) : 0;
@@ -467,9 +845,9 @@ function renderBuySellModal(action, goodId) {
   // Price display with discount/premium indicator
   let priceDisplay;
   if (hasDiscount) {
-    priceDisplay = `<span class="strikethrough">${formatMoneyFull(basePrice)}</span> <span class="discount-price">${formatMoneyFull(effectivePrice)}</span> <span class="discount-badge">-${buyInfo.discount}%</span>`;
+    priceDisplay = `<span class="discount-price">${formatMoneyFull(effectivePrice)}</span> <span class="discount-badge">-${buyInfo.discount}%</span>`;
   } else if (hasPremium) {
-    priceDisplay = `<span class="strikethrough">${formatMoneyFull(basePrice)}</span> <span class="premium-price">${formatMoneyFull(effectivePrice)}</span> <span class="premium-badge">+${sellInfo.premium}%</span>`;
+    priceDisplay = `<span class="premium-price">${formatMoneyFull(effectivePrice)}</span> <span class="premium-badge">+${sellInfo.premium}%</span>`;
   } else {
     priceDisplay = `<span class="${getPriceClass(basePrice, goodId)}">${formatMoneyFull(effectivePrice)} each</span>`;
   }
@@ -479,7 +857,11 @@ function renderBuySellModal(action, goodId) {
     <div class="modal-divider">────────────────────────</div>
     <div class="modal-content">
       <div class="modal-row">
-        <span>${hasDiscount || hasPremium ? 'Special Price:' : 'Market Price:'}</span>
+        <span>Mid Price:</span>
+        <span>${formatMoneyFull(basePrice)}</span>
+      </div>
+      <div class="modal-row">
+        <span>${hasDiscount || hasPremium ? 'Special Price:' : (isBuy ? 'Ask Price:' : 'Bid Price:')}</span>
         ${priceDisplay}
       </div>
       ${isBuy ? `
@@ -508,12 +890,46 @@ function renderBuySellModal(action, goodId) {
       <div class="modal-input-row">
         <label>Quantity:</label>
         <input type="number" id="modal-quantity" value="1" min="1" max="${maxQuantity}"
-               data-avg-cost="${avgCost}" data-is-buy="${isBuy}" data-price="${effectivePrice}">
+               data-avg-cost="${avgCost}" data-is-buy="${isBuy}">
         <button class="btn btn-small" id="btn-max">MAX</button>
       </div>
+      <div class="modal-row">
+        <span>Avg Fill:</span>
+        <span id="modal-average">${formatMoneyFull(quote.average)} each</span>
+      </div>
+      <div class="modal-row">
+        <span>Price After:</span>
+        <span id="modal-after">${formatMoneyFull(quote.after)}</span>
+      </div>
+      <div class="modal-row">
+        <span>Brokerage:</span>
+        <span id="modal-fee">${formatMoneyFull(quote.fee)}</span>
+      </div>
+      ${quote.tariff > 0 ? `
+      <div class="modal-row">
+        <span>Tariff:</span>
+        <span id="modal-tariff">${formatMoneyFull(quote.tariff)}</span>
+      </div>
+      ` : ''}
+      ${quote.currency !== CONFIG.baseCurrency ? `
+      <div class="modal-row">
+        <span>Conversion:</span>
+        <span id="modal-fx">${formatMoneyFull(quote.fx)}</span>
+      </div>
+      <div class="modal-row">
+        <span>Settles in:</span>
+        <span id="modal-settlement">${describeSettlement(quote)}</span>
+      </div>
+      ${!isBuy ? `
+      <div class="modal-input-row">
+        <label for="modal-keep-local">Keep ${quote.currency}:</label>
+        <input type="checkbox" id="modal-keep-local">
+      </div>
+      ` : ''}
+      ` : ''}
       <div class="modal-row">
         <span>Total:</span>
-        <span id="modal-total" class="${isBuy ? 'negative' : 'positive'}">${formatMoneyFull(effectivePrice)}</span>
+        <span id="modal-total" class="${isBuy ? 'negative' : 'positive'}">${formatMoneyFull(quote.total)}</span>
       </div>
       ${!isBuy ? `
         <div class="modal-row">
@@ -530,70 +946,317 @@ function renderBuySellModal(action, goodId) {
   `);
 }
 
-function renderBorrowModal() {
-  const maxBorrow = getMaxBorrowable(gameState);
+// Where a trade's money comes from or goes: local cash, or the dollar balance
+function describeSettlement(quote) {
+  const { CONFIG } = getContentPack(gameState);
+  return quote.cash > 0 ? `${formatCash(gameState, quote.currency, quote.cash)} cash` : `${CONFIG.baseCurrency} balance`;
+}
+
+function renderTransferModal(action, goodId) {
+  const { GOODS } = getContentPack(gameState);
+  const here = gameState.player.location;
+  const warehouse = gameState.warehouses[here];
+  const isDeposit = action === 'deposit';
+  const owned = (isDeposit ? gameState.player.inventory[goodId] : warehouse.inventory[goodId]) || 0;
+  const space = isDeposit
+    ? getWarehouseSpec(gameState, here).capacity - calculateInventoryUsed(warehouse.inventory)
+    : getCargoCapacity(gameState) - calculateInventoryUsed(gameState.player.inventory);
+  const maxQuantity = Math.max(0, Math.min(owned, space));
+
+  return renderModal(`
+    <div class="modal-header">${isDeposit ? 'STORE' : 'TAKE'} ${GOODS[goodId].name}</div>
+    <div class="modal-divider">────────────────────────</div>
+    <div class="modal-content">
+      <div class="modal-row">
+        <span>${isDeposit ? 'In cargo:' : 'In storage:'}</span>
+        <span>${owned}</span>
+      </div>
+      <div class="modal-row">
+        <span>${isDeposit ? 'Warehouse space:' : 'Cargo space:'}</span>
+        <span>${space} slots</span>
+      </div>
+      <div class="modal-input-row">
+        <label>Quantity:</label>
+        <input type="number" id="modal-amount" value="${maxQuantity}" min="1" max="${maxQuantity}">
+        <button class="btn btn-small" id="btn-max">MAX</button>
+      </div>
+    </div>
+    <div class="modal-actions">
+      <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
+      <button class="btn btn-confirm" id="btn-modal-confirm">${isDeposit ? 'STORE' : 'TAKE'}</button>
+    </div>
+  `);
+}
+
+function renderSavingsModal(action) {
+  const { MARKETS } = getContentPack(gameState);
+  const here = gameState.player.location;
+  const isDeposit = action === 'bankDeposit';
+  const saved = gameState.savings[here] || 0;
+  const maxAmount = Math.max(0, isDeposit ? gameState.player.balance : saved);
 
   return renderModal(`
-    <div class="modal-header">BORROW FUNDS</div>
+    <div class="modal-header">${isDeposit ? 'DEPOSIT' : 'WITHDRAW'} · ${MARKETS[here].name.toUpperCase()} BANKS</div>
     <div class="modal-divider">────────────────────────</div>
     <div class="modal-content">
       <div class="modal-row">
-        <span>Current debt:</span>
-        <span class="negative">${formatMoneyFull(gameState.player.debt)}</span>
+        <span>Your balance:</span>
+        <span class="positive">${formatMoneyFull(gameState.player.balance)}</span>
       </div>
       <div class="modal-row">
-        <span>Interest rate:</span>
-        <span class="warning">${(gameState.player.debtInterestRate * 100).toFixed(0)}% per turn</span>
+        <span>Saved here:</span>
+        <span>${formatMoneyFull(saved)}</span>
       </div>
       <div class="modal-row">
-        <span>Max borrowable:</span>
-        <span>${formatMoneyFull(maxBorrow)}</span>
+        <span>Interest:</span>
+        <span>${(getSavingsRate(gameState, here) * 100).toFixed(1)}% per turn</span>
       </div>
       <div class="modal-input-row">
         <label>Amount:</label>
-        <input type="number" id="modal-amount" value="${Math.min(10000, maxBorrow)}" min="1" max="${maxBorrow}">
+        <input type="number" id="modal-amount" value="${maxAmount}" min="1" max="${maxAmount}">
         <button class="btn btn-small" id="btn-max">MAX</button>
       </div>
       <div class="modal-warning">
-        ⚠ Debt exceeding 3x net worth = BANKRUPTCY
+        Savings are safe from hackers, but a bank failure here can take a share.
       </div>
     </div>
     <div class="modal-actions">
       <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
-      <button class="btn btn-confirm" id="btn-modal-confirm" data-action="borrow">BORROW</button>
+      <button class="btn btn-confirm" id="btn-modal-confirm">${isDeposit ? 'DEPOSIT' : 'WITHDRAW'}</button>
     </div>
   `);
 }
 
-function renderPayDebtModal() {
-  const maxPay = Math.min(gameState.player.balance, gameState.player.debt);
+function renderExchangeModal() {
+  const { CURRENCIES, CONFIG } = getContentPack(gameState);
+  const currencies = [CONFIG.baseCurrency, ...Object.keys(gameState.fxRates)];
+  const options = selected => currencies
+    .map(c => `<option value="${c}" ${c === selected ? 'selected' : ''}>${c} · ${CURRENCIES[c]?.name ?? c}</option>`).join('');
 
   return renderModal(`
-    <div class="modal-header">PAY DEBT</div>
+    <div class="modal-header">CURRENCY DESK</div>
     <div class="modal-divider">────────────────────────</div>
     <div class="modal-content">
-      <div class="modal-row">
-        <span>Current debt:</span>
-        <span class="negative">${formatMoneyFull(gameState.player.debt)}</span>
+      ${Object.keys(gameState.fxRates).map(c => `
+        <div class="modal-row">
+          <span>${formatCash(gameState, c, 1)}:</span>
+          <span>$${getExchangeRate(gameState, c).toFixed(4)}</span>
+        </div>
+      `).join('')}
+      <div class="modal-input-row">
+        <label>From:</label>
+        <select id="fx-from">${options(CONFIG.baseCurrency)}</select>
       </div>
-      <div class="modal-row">
-        <span>Your balance:</span>
-        <span class="positive">${formatMoneyFull(gameState.player.balance)}</span>
+      <div class="modal-input-row">
+        <label>To:</label>
+        <select id="fx-to">${options(currencies[1])}</select>
       </div>
       <div class="modal-input-row">
         <label>Amount:</label>
-        <input type="number" id="modal-amount" value="${maxPay}" min="1" max="${maxPay}">
+        <input type="number" id="modal-amount" value="0" min="1">
         <button class="btn btn-small" id="btn-max">MAX</button>
       </div>
+      <div class="modal-row">
+        <span>Fee:</span>
+        <span id="fx-fee"></span>
+      </div>
+      <div class="modal-row">
+        <span>You receive:</span>
+        <span id="fx-received" class="positive"></span>
+      </div>
+      <div class="modal-warning">
+        ${(CONFIG.fxFee * 100).toFixed(1)}% fee on every exchange. Cash held in a market's currency trades there without conversion.
+      </div>
+    </div>
+    <div class="modal-actions">
+      <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
+      <button class="btn btn-confirm" id="btn-modal-confirm">EXCHANGE</button>
+    </div>
+  `);
+}
+
+function renderDerivativesModal() {
+  const { GOODS, CONFIG } = getContentPack(gameState);
+  const goodOptions = Object.values(GOODS)
+    .map(g => `<option value="${g.id}">${g.name}</option>`).join('');
+  const tenorOptions = CONFIG.derivativeTenors
+    .map(t => `<option value="${t}">${t} turns</option>`).join('');
+
+  return renderModal(`
+    <div class="modal-header">DERIVATIVES DESK</div>
+    <div class="modal-divider">────────────────────────</div>
+    <div class="modal-content">
+      <div class="modal-input-row">
+        <label>Instrument:</label>
+        <select id="deriv-kind">
+          <option value="long">LONG FUTURE</option>
+          <option value="short">SHORT FUTURE</option>
+          <option value="call">CALL OPTION</option>
+          <option value="put">PUT OPTION</option>
+        </select>
+      </div>
+      <div class="modal-input-row">
+        <label>Good:</label>
+        <select id="deriv-good">${goodOptions}</select>
+      </div>
+      <div class="modal-row">
+        <span>Global avg price:</span>
+        <span id="deriv-price"></span>
+      </div>
+      <div class="modal-input-row">
+        <label>Quantity:</label>
+        <input type="number" id="deriv-quantity" value="1" min="1">
+      </div>
+      <div class="modal-input-row">
+        <label>Expiry:</label>
+        <select id="deriv-turns">${tenorOptions}</select>
+      </div>
+      <div class="modal-input-row" id="deriv-strike-row">
+        <label>Strike:</label>
+        <input type="number" id="deriv-strike" min="1">
+      </div>
+      <div class="modal-row">
+        <span id="deriv-cost-label">Initial margin:</span>
+        <span id="deriv-cost"></span>
+      </div>
+      <div class="modal-warning">
+        Futures are marked to market each turn. Miss a margin call and the desk liquidates you.
+      </div>
+    </div>
+    <div class="modal-actions">
+      <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
+      <button class="btn btn-confirm" id="btn-modal-confirm">OPEN</button>
+    </div>
+  `);
+}
+
+function renderOrderModal() {
+  const { GOODS, MARKETS, CONFIG } = getContentPack(gameState);
+  const marketOptions = Object.values(MARKETS)
+    .map(m => `<option value="${m.id}" ${m.id === gameState.player.location ? 'selected' : ''}>${m.name}</option>`).join('');
+  const goodOptions = Object.values(GOODS)
+    .map(g => `<option value="${g.id}">${g.name}</option>`).join('');
+
+  return renderModal(`
+    <div class="modal-header">NEW LIMIT ORDER</div>
+    <div class="modal-divider">────────────────────────</div>
+    <div class="modal-content">
+      <div class="modal-input-row">
+        <label>Side:</label>
+        <select id="order-side">
+          <option value="buy">BUY</option>
+          <option value="sell">SELL</option>
+        </select>
+      </div>
+      <div class="modal-input-row">
+        <label>Market:</label>
+        <select id="order-market">${marketOptions}</select>
+      </div>
+      <div class="modal-input-row">
+        <label>Good:</label>
+        <select id="order-good">${goodOptions}</select>
+      </div>
+      <div class="modal-row">
+        <span>Mid price there:</span>
+        <span id="order-mid"></span>
+      </div>
+      <div class="modal-input-row">
+        <label>Quantity:</label>
+        <input type="number" id="order-quantity" value="1" min="1">
+      </div>
+      <div class="modal-input-row">
+        <label>Limit (each, all-in):</label>
+        <input type="number" id="order-limit" min="1">
+      </div>
+      <div class="modal-input-row">
+        <label>Good for (turns):</label>
+        <input type="number" id="order-turns" value="3" min="1" max="${CONFIG.maxOrderTurns}">
+      </div>
+      <div class="modal-row">
+        <span id="order-reserve-label">Reserves:</span>
+        <span id="order-reserve"></span>
+      </div>
+      <div class="modal-warning">
+        Orders settle through your cargo in the market you're in, or your warehouse anywhere else. Sells hold the goods until filled, cancelled or expired.
+      </div>
     </div>
     <div class="modal-actions">
       <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
-      <button class="btn btn-confirm" id="btn-modal-confirm" data-action="payDebt">PAY</button>
+      <button class="btn btn-confirm" id="btn-modal-confirm">PLACE ORDER</button>
+    </div>
+  `);
+}
+
+function renderLoanBookModal() {
+  const { LENDERS } = getContentPack(gameState);
+  const loans = gameState.loans;
+
+  const loansHtml = loans.map(loan => {
+    const status = getLoanStatus(gameState, loan);
+    return `
+      <div class="loan-row">
+        <span class="loan-lender">#${loan.id} ${LENDERS[loan.lender].name}</span>
+        <span class="negative">${formatMoneyFull(loan.balance)}</span>
+        <span class="loan-terms">${(loan.rate * 100).toFixed(0)}%/turn · due T${loan.dueTurn}${status !== 'current' ? ` (${gameState.turn - loan.dueTurn} late)` : ''}</span>
+        <span class="loan-status loan-${status}">${status.toUpperCase()}</span>
+      </div>
+    `;
+  }).join('');
+
+  // The trustee only holds restructuring plans
+  const lenders = Object.values(LENDERS).filter(lender => lender.maxAmount > 0);
+
+  const lendersHtml = lenders.map(lender => `
+    <div class="lender-row">
+      <div class="lender-main">
+        <span class="lender-name">${lender.name}</span>
+        <span class="lender-limit">up to ${formatMoneyFull(getMaxBorrowable(gameState, lender.id))}</span>
+      </div>
+      <div class="lender-terms">
+        ${(lender.rate * 100).toFixed(0)}%/turn · ${lender.term} turns · late +${(lender.latePenalty * 100).toFixed(0)}%/turn
+        ${lender.secured ? `· seizes cargo ${lender.graceTurns} turn${lender.graceTurns === 1 ? '' : 's'} after due` : '· unsecured'}
+        · ${lender.enforcement >= 1 ? 'sends enforcers' : lender.enforcement >= 0.5 ? 'firm collections' : 'gentle collections'}
+      </div>
+      <div class="lender-desc">${lender.description}</div>
+    </div>
+  `).join('');
+
+  const loanOptions = loans
+    .map(loan => `<option value="${loan.id}">#${loan.id} ${LENDERS[loan.lender].name}</option>`).join('');
+  const lenderOptions = lenders
+    .map(lender => `<option value="${lender.id}">${lender.name}</option>`).join('');
+
+  return renderModal(`
+    <div class="modal-header">LOAN BOOK</div>
+    <div class="modal-divider">────────────────────────</div>
+    <div class="modal-content loan-book">
+      ${loansHtml || '<div class="loan-empty">No open loans.</div>'}
+      ${loans.length > 0 ? `
+      <div class="modal-input-row">
+        <select id="loan-select">${loanOptions}</select>
+        <input type="number" id="loan-pay-amount" min="1">
+        <button class="btn btn-small" id="btn-pay-loan" ${gameState.player.balance <= 0 ? 'disabled' : ''}>PAY</button>
+      </div>
+      ` : ''}
+      <div class="modal-divider">├─ LENDERS ─────────────┤</div>
+      ${lendersHtml}
+      <div class="modal-input-row">
+        <select id="lender-select">${lenderOptions}</select>
+        <input type="number" id="loan-borrow-amount" min="1">
+        <button class="btn btn-small" id="btn-take-loan">BORROW</button>
+      </div>
+      <div class="modal-warning">
+        ⚠ Debt exceeding 3x net worth = BANKRUPTCY
+      </div>
+    </div>
+    <div class="modal-actions">
+      <button class="btn btn-cancel" id="btn-modal-cancel">CLOSE</button>
     </div>
   `);
 }
 
 function renderUpgradesModal() {
+  const { UPGRADES } = getContentPack(gameState);
   let upgradesHtml = '';
 
   for (const [upgradeId, upgrade] of Object.entries(UPGRADES)) {
@@ -669,7 +1332,11 @@ function renderChoiceModal(choice) {
 }
 
 function renderTravelConfirmModal(destination, atRiskGoods) {
+  const { GOODS, MARKETS } = getContentPack(gameState);
   const destMarket = MARKETS[destination];
+  const quote = getTripQuote(gameState, destination, selectedShippingMode);
+
+  const duty = atRiskGoods.reduce((sum, item) => sum + item.duty, 0);
 
   let riskTableHtml = '';
   for (const item of atRiskGoods) {
@@ -679,6 +1346,9 @@ function renderTravelConfirmModal(destination, atRiskGoods) {
         <span class="risk-qty">x${item.quantity}</span>
         <span class="risk-chance">${item.seizureRisk}% seizure</span>
         <span class="risk-premium">+${item.pricePremium}% price</span>
+        <span class="risk-duty">${item.dutyRate}% duty (${formatMoney(item.duty)})</span>
+        <button class="btn btn-small btn-buy-license" data-good="${item.goodId}"
+                ${item.licenseCost > gameState.player.balance ? 'disabled' : ''}>LICENSE ${formatMoney(item.licenseCost)}/${item.licenseTurns}T</button>
       </div>
     `;
   }
@@ -696,10 +1366,16 @@ function renderTravelConfirmModal(destination, atRiskGoods) {
       </div>
       <div class="confirm-note">
         Restricted goods sell for higher prices here, but customs may seize part of your cargo.
+        Declare it and pay duty instead, or buy an export license to carry it freely for a while.
+      </div>
+      <div class="confirm-note">
+        Trip: ${quote.turns} turn${quote.turns === 1 ? '' : 's'}, fare and freight ${formatMoneyFull(quote.cost)}.
       </div>
     </div>
     <div class="modal-actions">
       <button class="btn btn-cancel" id="btn-modal-cancel">CANCEL</button>
+      <button class="btn btn-confirm" id="btn-modal-declare"
+              ${quote.cost + duty > gameState.player.balance ? 'disabled' : ''}>DECLARE (${formatMoney(duty)})</button>
       <button class="btn btn-confirm btn-danger" id="btn-modal-confirm"
               data-action="travel" data-destination="${destination}">PROCEED ANYWAY</button>
     </div>
@@ -707,6 +1383,7 @@ function renderTravelConfirmModal(destination, atRiskGoods) {
 }
 
 function renderSeizureNotice(seizureInfo) {
+  const { GOODS } = getContentPack(gameState);
   if (!seizureInfo || seizureInfo.length === 0) return '';
 
   let seizureHtml = '';
@@ -727,6 +1404,7 @@ function renderSeizureNotice(seizureInfo) {
 }
 
 function renderMilestoneToast(milestone) {
+  const { UPGRADES } = getContentPack(gameState);
   return `
     <div class="milestone-toast" id="milestone-toast">
       <div class="toast-border">╔══════════════════════════════════════╗</div>
@@ -802,9 +1480,15 @@ function render() {
       <div class="left-column">
         ${renderPlayerPanel()}
         ${renderTravelPanel()}
+        ${renderOraclePanel()}
+        ${renderWarehousePanel()}
+        ${renderOrdersPanel()}
+        ${renderDerivativesPanel()}
       </div>
       <div class="right-column">
         ${renderMarketPanel()}
+        ${renderPolicyPanel()}
+        ${renderContractsPanel()}
         ${renderEventLog()}
       </div>
     </div>
@@ -843,7 +1527,7 @@ function attachEvents() {
       const destination = btn.dataset.destination;
 
       // Check for at-risk goods
-      const atRiskGoods = getAtRiskGoods(gameState, destination);
+      const atRiskGoods = getAtRiskGoods(gameState, destination, selectedShippingMode);
 
       if (atRiskGoods.length > 0) {
         // Show confirmation modal
@@ -856,21 +1540,98 @@ function attachEvents() {
     });
   });
 
+  // Shipping mode buttons
+  document.querySelectorAll('.btn-mode').forEach(btn => {
+    btn.addEventListener('click', () => {
+      selectedShippingMode = btn.dataset.mode;
+      render();
+    });
+  });
+
   // Wait button
   document.getElementById('btn-wait')?.addEventListener('click', () => {
     executeAction({ action: 'wait' });
   });
 
-  // Borrow button
-  document.getElementById('btn-borrow')?.addEventListener('click', () => {
-    showModal(renderBorrowModal());
-    attachBorrowModalEvents();
+  // Oracle button
+  document.getElementById('btn-oracle')?.addEventListener('click', () => {
+    executeAction({ action: 'consultOracle' });
+  });
+
+  // Contract buttons
+  document.querySelectorAll('.btn-accept-contract').forEach(btn => {
+    btn.addEventListener('click', () => {
+      executeAction({ action: 'acceptContract', contractId: parseInt(btn.dataset.contract) });
+    });
   });
 
-  // Pay debt button
-  document.getElementById('btn-pay-debt')?.addEventListener('click', () => {
-    showModal(renderPayDebtModal());
-    attachPayDebtModalEvents();
+  document.querySelectorAll('.btn-deliver-contract').forEach(btn => {
+    btn.addEventListener('click', () => {
+      executeAction({ action: 'deliverContract', contractId: parseInt(btn.dataset.contract) });
+    });
+  });
+
+  // Savings buttons
+  for (const action of ['bankDeposit', 'bankWithdraw']) {
+    document.getElementById(action === 'bankDeposit' ? 'btn-bank-deposit' : 'btn-bank-withdraw')?.addEventListener('click', () => {
+      showModal(renderSavingsModal(action));
+      attachSavingsModalEvents(action);
+    });
+  }
+
+  document.getElementById('btn-exchange')?.addEventListener('click', () => {
+    showModal(renderExchangeModal());
+    attachExchangeModalEvents();
+  });
+
+  // Warehouse buttons
+  document.getElementById('btn-rent-warehouse')?.addEventListener('click', () => {
+    executeAction({ action: 'rentWarehouse' });
+  });
+
+  document.querySelectorAll('.btn-release-warehouse').forEach(btn => {
+    btn.addEventListener('click', () => {
+      executeAction({ action: 'releaseWarehouse', market: btn.dataset.market });
+    });
+  });
+
+  ['deposit', 'withdraw'].forEach(action => {
+    document.querySelectorAll(`.btn-${action}`).forEach(btn => {
+      btn.addEventListener('click', () => {
+        showModal(renderTransferModal(action, btn.dataset.good));
+        attachTransferModalEvents(action, btn.dataset.good);
+      });
+    });
+  });
+
+  // Derivatives buttons
+  document.getElementById('btn-new-position')?.addEventListener('click', () => {
+    showModal(renderDerivativesModal());
+    attachDerivativesModalEvents();
+  });
+
+  document.querySelectorAll('.btn-close-position').forEach(btn => {
+    btn.addEventListener('click', () => {
+      executeAction({ action: 'closePosition', positionId: parseInt(btn.dataset.position) });
+    });
+  });
+
+  // Order book buttons
+  document.getElementById('btn-new-order')?.addEventListener('click', () => {
+    showModal(renderOrderModal());
+    attachOrderModalEvents();
+  });
+
+  document.querySelectorAll('.btn-cancel-order').forEach(btn => {
+    btn.addEventListener('click', () => {
+      executeAction({ action: 'cancelOrder', orderId: parseInt(btn.dataset.order) });
+    });
+  });
+
+  // Loan book button
+  document.getElementById('btn-loans')?.addEventListener('click', () => {
+    showModal(renderLoanBookModal());
+    attachLoanBookModalEvents();
   });
 
   // Upgrades button
@@ -912,25 +1673,40 @@ function attachModalEvents(action, goodId) {
   const quantityInput = document.getElementById('modal-quantity');
   const totalDisplay = document.getElementById('modal-total');
   const profitDisplay = document.getElementById('modal-profit');
+  const averageDisplay = document.getElementById('modal-average');
+  const afterDisplay = document.getElementById('modal-after');
+  const feeDisplay = document.getElementById('modal-fee');
+  const tariffDisplay = document.getElementById('modal-tariff');
+  const fxDisplay = document.getElementById('modal-fx');
+  const settlementDisplay = document.getElementById('modal-settlement');
+  const keepLocalInput = document.getElementById('modal-keep-local');
+  const keepLocal = () => Boolean(keepLocalInput?.checked);
   const avgCost = parseFloat(quantityInput?.dataset.avgCost) || 0;
   const isBuy = quantityInput?.dataset.isBuy === 'true';
-  // Use effective price from data attribute (includes discounts/premiums)
-  const price = parseFloat(quantityInput?.dataset.price) || 0;
 
-  // Update total (and profit for sell) on quantity change
+  // Re-quote the fill (slippage, discounts/premiums) on quantity change
   quantityInput?.addEventListener('input', () => {
     const qty = parseInt(quantityInput.value) || 0;
-    totalDisplay.textContent = formatMoneyFull(price * qty);
+    const quote = getFillQuote(gameState, goodId, qty, action, { keepLocal: keepLocal() });
+    totalDisplay.textContent = formatMoneyFull(quote.total);
+    averageDisplay.textContent = `${formatMoneyFull(quote.average)} each`;
+    afterDisplay.textContent = formatMoneyFull(quote.after);
+    feeDisplay.textContent = formatMoneyFull(quote.fee);
+    if (tariffDisplay) tariffDisplay.textContent = formatMoneyFull(quote.tariff);
+    if (fxDisplay) fxDisplay.textContent = formatMoneyFull(quote.fx);
+    if (settlementDisplay) settlementDisplay.textContent = describeSettlement(quote);
 
     // Update net profit for sell transactions
     if (!isBuy && profitDisplay) {
-      const netProfit = (price - avgCost) * qty;
+      const netProfit = quote.total - avgCost * qty;
       const sign = netProfit >= 0 ? '+' : '';
       profitDisplay.textContent = sign + formatMoneyFull(netProfit);
       profitDisplay.className = netProfit >= 0 ? 'positive' : 'negative';
     }
   });
 
+  keepLocalInput?.addEventListener('change', () => quantityInput.dispatchEvent(new Event('input')));
+
   // Max button
   document.getElementById('btn-max')?.addEventListener('click', () => {
     quantityInput.value = quantityInput.max;
@@ -944,7 +1720,7 @@ function attachModalEvents(action, goodId) {
   document.getElementById('btn-modal-confirm')?.addEventListener('click', () => {
     const quantity = parseInt(quantityInput.value) || 0;
     if (quantity > 0) {
-      executeAction({ action, good: goodId, quantity });
+      executeAction({ action, good: goodId, quantity, ...(keepLocal() && { keepLocal: true }) });
       closeModal();
     }
   });
@@ -955,20 +1731,19 @@ function attachModalEvents(action, goodId) {
   });
 }
 
-function attachBorrowModalEvents() {
+function attachTransferModalEvents(action, goodId) {
   const amountInput = document.getElementById('modal-amount');
-  const maxBorrow = getMaxBorrowable(gameState);
 
   document.getElementById('btn-max')?.addEventListener('click', () => {
-    amountInput.value = maxBorrow;
+    amountInput.value = amountInput.max;
   });
 
   document.getElementById('btn-modal-cancel')?.addEventListener('click', closeModal);
 
   document.getElementById('btn-modal-confirm')?.addEventListener('click', () => {
-    const amount = parseInt(amountInput.value) || 0;
-    if (amount > 0) {
-      executeAction({ action: 'borrow', amount });
+    const quantity = parseInt(amountInput.value) || 0;
+    if (quantity > 0) {
+      executeAction({ action, good: goodId, quantity });
       closeModal();
     }
   });
@@ -978,12 +1753,11 @@ function attachBorrowModalEvents() {
   });
 }
 
-function attachPayDebtModalEvents() {
+function attachSavingsModalEvents(action) {
   const amountInput = document.getElementById('modal-amount');
-  const maxPay = Math.min(gameState.player.balance, gameState.player.debt);
 
   document.getElementById('btn-max')?.addEventListener('click', () => {
-    amountInput.value = maxPay;
+    amountInput.value = amountInput.max;
   });
 
   document.getElementById('btn-modal-cancel')?.addEventListener('click', closeModal);
@@ -991,7 +1765,7 @@ function attachPayDebtModalEvents() {
   document.getElementById('btn-modal-confirm')?.addEventListener('click', () => {
     const amount = parseInt(amountInput.value) || 0;
     if (amount > 0) {
-      executeAction({ action: 'payDebt', amount });
+      executeAction({ action, amount });
       closeModal();
     }
   });
@@ -1001,6 +1775,185 @@ function attachPayDebtModalEvents() {
   });
 }
 
+function attachExchangeModalEvents() {
+  const { CONFIG } = getContentPack(gameState);
+  const field = id => document.getElementById(id);
+  const held = currency => currency === CONFIG.baseCurrency ? gameState.player.balance : gameState.player.cash[currency] || 0;
+
+  const refresh = () => {
+    const from = field('fx-from').value;
+    const to = field('fx-to').value;
+    const amount = parseInt(field('modal-amount').value) || 0;
+    field('modal-amount').max = Math.max(0, held(from));
+    const quote = getExchangeQuote(gameState, from, to, amount);
+    field('fx-fee').textContent = formatMoneyFull(quote.fee);
+    field('fx-received').textContent = from === to ? '—' : formatCash(gameState, to, Math.max(0, quote.received));
+  };
+
+  for (const id of ['fx-from', 'fx-to', 'modal-amount']) {
+    field(id)?.addEventListener('input', refresh);
+  }
+  field('btn-max')?.addEventListener('click', () => {
+    field('modal-amount').value = field('modal-amount').max;
+    refresh();
+  });
+
+  field('btn-modal-cancel')?.addEventListener('click', closeModal);
+
+  field('btn-modal-confirm')?.addEventListener('click', () => {
+    const amount = parseInt(field('modal-amount').value) || 0;
+    if (amount > 0) {
+      executeAction({ action: 'exchange', from: field('fx-from').value, to: field('fx-to').value, amount });
+      closeModal();
+    }
+  });
+
+  field('modal-overlay')?.addEventListener('click', (e) => {
+    if (e.target.id === 'modal-overlay') closeModal();
+  });
+
+  refresh();
+}
+
+function attachDerivativesModalEvents() {
+  const field = id => document.getElementById(id);
+  const { CONFIG } = getContentPack(gameState);
+  const isFuture = () => ['long', 'short'].includes(field('deriv-kind').value);
+
+  // Strike defaults to at-the-money whenever the good changes
+  const refreshPrice = () => {
+    const price = getGlobalPrice(gameState, field('deriv-good').value);
+    field('deriv-price').textContent = formatMoneyFull(price);
+    field('deriv-strike').value = price;
+    refreshCost();
+  };
+  const refreshCost = () => {
+    const good = field('deriv-good').value;
+    const quantity = parseInt(field('deriv-quantity').value) || 0;
+    field('deriv-strike-row').style.display = isFuture() ? 'none' : '';
+    field('deriv-cost-label').textContent = isFuture() ? 'Initial margin:' : 'Premium:';
+    field('deriv-cost').textContent = formatMoneyFull(isFuture()
+      ? Math.round(getGlobalPrice(gameState, good) * quantity * CONFIG.futuresInitialMargin)
+      : getOptionPremium(gameState, good, field('deriv-kind').value,
+        parseInt(field('deriv-strike').value) || 0, parseInt(field('deriv-turns').value)) * quantity);
+  };
+
+  field('deriv-good').addEventListener('change', refreshPrice);
+  ['deriv-kind', 'deriv-turns'].forEach(id => field(id).addEventListener('change', refreshCost));
+  ['deriv-quantity', 'deriv-strike'].forEach(id => field(id).addEventListener('input', refreshCost));
+  refreshPrice();
+
+  document.getElementById('btn-modal-cancel')?.addEventListener('click', closeModal);
+
+  document.getElementById('btn-modal-confirm')?.addEventListener('click', () => {
+    const kind = field('deriv-kind').value;
+    const trade = {
+      good: field('deriv-good').value,
+      quantity: parseInt(field('deriv-quantity').value) || 0,
+      turns: parseInt(field('deriv-turns').value)
+    };
+    executeAction(isFuture()
+      ? { action: 'openFuture', side: kind, ...trade }
+      : { action: 'buyOption', kind, strike: parseInt(field('deriv-strike').value) || 0, ...trade });
+    closeModal();
+  });
+
+  document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
+    if (e.target.id === 'modal-overlay') closeModal();
+  });
+}
+
+function attachOrderModalEvents() {
+  const field = id => document.getElementById(id);
+  const { GOODS } = getContentPack(gameState);
+
+  // Default the limit to the current mid price and keep the reservation line current
+  const refreshPrice = () => {
+    const mid = gameState.markets[field('order-market').value].prices[field('order-good').value];
+    field('order-mid').textContent = formatMoneyFull(mid);
+    field('order-limit').value = mid;
+    refreshReserve();
+  };
+  const refreshReserve = () => {
+    const quantity = parseInt(field('order-quantity').value) || 0;
+    const limit = parseInt(field('order-limit').value) || 0;
+    field('order-reserve').textContent = field('order-side').value === 'buy'
+      ? formatMoneyFull(quantity * limit)
+      : `${quantity}x ${GOODS[field('order-good').value].name}`;
+  };
+
+  field('order-market').addEventListener('change', refreshPrice);
+  field('order-good').addEventListener('change', refreshPrice);
+  field('order-side').addEventListener('change', refreshReserve);
+  field('order-quantity').addEventListener('input', refreshReserve);
+  field('order-limit').addEventListener('input', refreshReserve);
+  refreshPrice();
+
+  document.getElementById('btn-modal-cancel')?.addEventListener('click', closeModal);
+
+  document.getElementById('btn-modal-confirm')?.addEventListener('click', () => {
+    const turns = parseInt(field('order-turns').value) || 1;
+    executeAction({
+      action: 'placeOrder',
+      market: field('order-market').value,
+      good: field('order-good').value,
+      side: field('order-side').value,
+      quantity: parseInt(field('order-quantity').value) || 0,
+      limitPrice: parseInt(field('order-limit').value) || 0,
+      expiresTurn: gameState.turn + turns - 1
+    });
+    closeModal();
+  });
+
+  document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
+    if (e.target.id === 'modal-overlay') closeModal();
+  });
+}
+
+function attachLoanBookModalEvents() {
+  const loanSelect = document.getElementById('loan-select');
+  const payInput = document.getElementById('loan-pay-amount');
+  const lenderSelect = document.getElementById('lender-select');
+  const borrowInput = document.getElementById('loan-borrow-amount');
+
+  // Amounts default to the most each side allows
+  const refreshPay = () => {
+    const loan = gameState.loans.find(l => l.id === parseInt(loanSelect.value));
+    payInput.value = Math.max(0, Math.min(gameState.player.balance, loan.balance));
+  };
+  const refreshBorrow = () => {
+    borrowInput.value = getMaxBorrowable(gameState, lenderSelect.value);
+  };
+  if (loanSelect) {
+    loanSelect.addEventListener('change', refreshPay);
+    refreshPay();
+  }
+  lenderSelect.addEventListener('change', refreshBorrow);
+  refreshBorrow();
+
+  document.getElementById('btn-pay-loan')?.addEventListener('click', () => {
+    const amount = parseInt(payInput.value) || 0;
+    if (amount > 0) {
+      executeAction({ action: 'payDebt', loanId: parseInt(loanSelect.value), amount });
+      closeModal();
+    }
+  });
+
+  document.getElementById('btn-take-loan')?.addEventListener('click', () => {
+    const amount = parseInt(borrowInput.value) || 0;
+    if (amount > 0) {
+      executeAction({ action: 'borrow', lender: lenderSelect.value, amount });
+      closeModal();
+    }
+  });
+
+  document.getElementById('btn-modal-cancel')?.addEventListener('click', closeModal);
+
+  document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
+    if (e.target.id === 'modal-overlay') closeModal();
+  });
+}
+
 function attachUpgradesModalEvents() {
   document.querySelectorAll('.btn-buy-upgrade').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -1021,12 +1974,12 @@ function attachGameOverEvents() {
   document.getElementById('btn-new-game')?.addEventListener('click', () => {
     localStorage.removeItem('aiWars_save');
     eventLog = [];
-    gameState = createGame();
+    gameState = createGame({ journal: true });
     render();
   });
 }
 
-function startTravel(destination) {
+function startTravel(destination, declare = false) {
   // Show traveling animation
   travelingTo = destination;
   render();
@@ -1034,7 +1987,7 @@ function startTravel(destination) {
   // Execute travel and show result after delay
   setTimeout(() => {
     travelingTo = null;
-    executeAction({ action: 'travel', destination, confirmed: true });
+    executeAction({ action: 'travel', destination, mode: selectedShippingMode, confirmed: true, declare });
   }, 800);
 }
 
@@ -1046,6 +1999,26 @@ function attachTravelConfirmModalEvents(destination) {
     startTravel(destination);
   });
 
+  document.getElementById('btn-modal-declare')?.addEventListener('click', () => {
+    closeModal();
+    startTravel(destination, true);
+  });
+
+  // A license clears that good; go straight on if nothing else is at risk
+  document.querySelectorAll('.btn-buy-license').forEach(btn => {
+    btn.addEventListener('click', () => {
+      closeModal();
+      executeAction({ action: 'buyLicense', market: destination, good: btn.dataset.good });
+      const atRiskGoods = getAtRiskGoods(gameState, destination, selectedShippingMode);
+      if (atRiskGoods.length > 0) {
+        showModal(renderTravelConfirmModal(destination, atRiskGoods));
+        attachTravelConfirmModalEvents(destination);
+      } else {
+        startTravel(destination);
+      }
+    });
+  });
+
   document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
     if (e.target.id === 'modal-overlay') closeModal();
   });
@@ -1176,12 +2149,46 @@ function executeAction(action) {
 
   // Log events
   for (const event of result.events) {
-    const type = ['customs', 'hack', 'audit'].includes(event.type) ? 'negative'
+    const type = ['customs', 'hack', 'audit', 'bank'].includes(event.type) ? 'negative'
       : ['opportunity', 'windfall'].includes(event.type) ? 'positive'
       : 'neutral';
     addLogEntry(type, `${event.title}: ${event.description}`);
   }
 
+  // Collateral taken by secured lenders
+  const { GOODS } = getContentPack(gameState);
+  for (const seizure of result.seizedCollateral || []) {
+    addLogEntry('negative', `COLLATERAL SEIZED: ${seizure.quantity}x ${GOODS[seizure.good].name} taken against loan #${seizure.loanId}`);
+  }
+
+  // Collectors chasing late loans
+  for (const collection of result.collections || []) {
+    addLogEntry('negative', `${collection.title.toUpperCase()}: ${collection.text}`);
+  }
+
+  // Margin calls and forced liquidations on the derivatives desk
+  for (const call of result.derivatives?.marginCalls || []) {
+    addLogEntry('neutral', `MARGIN CALL: ${formatMoney(call.amount)} posted on position #${call.id}`);
+  }
+  for (const position of result.derivatives?.liquidated || []) {
+    addLogEntry('negative', `LIQUIDATED: position #${position.id} closed out on a missed margin call`);
+  }
+
+  // Missed contract deadlines
+  for (const contract of result.failedContracts || []) {
+    addLogEntry('negative', `CONTRACT BREACH: ${contract.counterparty} keeps your deposit and bills ${formatMoney(contract.penalty)}`);
+  }
+
+  // Warehouse break-ins
+  for (const loss of result.warehouseLosses || []) {
+    addLogEntry('negative', `RAID: ${loss.quantity}x ${loss.goodName} stolen from storage!`);
+  }
+
+  // Announce the Oracle when it shows up
+  if (result.oracleMessage && !result.oracleMessage.revealed) {
+    addLogEntry('neutral', `${result.oracleMessage.name} appears: "${result.oracleMessage.hint}"`);
+  }
+
   // Show seizure notice if any goods were seized
   if (result.seizureInfo && result.seizureInfo.length > 0) {
     showSeizureNotice(result.seizureInfo);
@@ -1235,6 +2242,42 @@ function showMilestoneToast(milestone) {
 // Save/Load
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Upgrade and validate a parsed save, then make it the current game.
+// Returns an error message, or null on success.
+function applySaveData(saveData) {
+  const migration = migrateSaveData(saveData);
+  if (!migration.success) {
+    return migration.error;
+  }
+
+  const validation = validateSaveData(migration.saveData);
+  if (!validation.valid) {
+    return validation.errors[0];
+  }
+
+  // Deep check: repair what we can, refuse anything we can't
+  let state = migration.saveData.state;
+  let repairedCount = 0;
+  if (!validateState(state).valid) {
+    const repair = repairState(state);
+    if (repair.remaining.length > 0) {
+      return repair.remaining[0].message;
+    }
+    state = repair.state;
+    repairedCount = repair.repaired.length;
+  }
+
+  gameState = state;
+  eventLog = migration.saveData.eventLog || [];
+  if (migration.steps.length > 0) {
+    addLogEntry('neutral', `Save upgraded from v${saveData.version} to v${SAVE_VERSION}.`);
+  }
+  if (repairedCount > 0) {
+    addLogEntry('error', `Repaired ${repairedCount} problem${repairedCount === 1 ? '' : 's'} in save data.`);
+  }
+  return null;
+}
+
 function saveGame(silent = false) {
   const saveData = createSaveData(gameState, eventLog);
   localStorage.setItem('aiWars_save', JSON.stringify(saveData));
@@ -1253,15 +2296,12 @@ function loadGame() {
   }
 
   try {
-    const saveData = JSON.parse(saved);
-    const validation = validateSaveData(saveData);
-    if (!validation.valid) {
-      addLogEntry('error', `Invalid save: ${validation.errors[0]}`);
+    const error = applySaveData(JSON.parse(saved));
+    if (error) {
+      addLogEntry('error', `Invalid save: ${error}`);
       render();
       return;
     }
-    gameState = saveData.state;
-    eventLog = saveData.eventLog || [];
     addLogEntry('neutral', 'Game loaded.');
     render();
   } catch (e) {
@@ -1295,16 +2335,14 @@ function importGame(event) {
   reader.onload = (e) => {
     try {
       const saveData = JSON.parse(e.target.result);
-      const validation = validateSaveData(saveData);
+      const error = applySaveData(saveData);
 
-      if (!validation.valid) {
-        addLogEntry('error', `Invalid save file: ${validation.errors[0]}`);
+      if (error) {
+        addLogEntry('error', `Invalid save file: ${error}`);
         render();
         return;
       }
 
-      gameState = saveData.state;
-      eventLog = saveData.eventLog || [];
       addLogEntry('neutral', `Game imported from file (saved ${saveData.savedAt || 'unknown'}).`);
       render();
     } catch (err) {
@@ -1327,14 +2365,14 @@ export function init() {
   const saved = localStorage.getItem('aiWars_save');
   if (saved) {
     try {
-      const saveData = JSON.parse(saved);
-      gameState = saveData.state;
-      eventLog = saveData.eventLog || [];
+      if (applySaveData(JSON.parse(saved))) {
+        gameState = createGame({ journal: true });
+      }
     } catch (e) {
-      gameState = createGame();
+      gameState = createGame({ journal: true });
     }
   } else {
-    gameState = createGame();
+    gameState = createGame({ journal: true });
   }
 
   render();